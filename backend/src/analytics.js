@@ -0,0 +1,205 @@
+/**
+ * Live chase analytics for limited-overs matches (T20 / ODI)
+ *
+ * From the innings totals works out current run rate, target, runs and balls
+ * remaining, required run rate, projected totals at a few scoring rates and a
+ * win-probability estimate.
+ *
+ * Win probability: the runs a side can still expect are the average
+ * completed-innings total × the share of batting resources left, read off the
+ * DLS resource table (see dls.js) for the overs and wickets left. The final margin is treated as normally distributed with a
+ * spread that shrinks with the resources left. The average total and its
+ * spread come from completed first innings in the archive once there are
+ * enough of them, and from format defaults before that.
+ */
+
+const archive = require('./archive');
+const dls     = require('./dls');
+
+const FORMATS = {
+  t20: { overs: 20, rate: 8.0, sd: 24, projections: [6, 8, 10, 12] },
+  odi: { overs: 50, rate: 5.4, sd: 42, projections: [4, 5, 6, 7] },
+};
+
+const MIN_SAMPLES = 20;
+const CALIBRATION_TTL_MS = 60 * 60 * 1000;
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+function formatOf(matchType) {
+  const t = String(matchType || '').toLowerCase();
+  if (t.startsWith('t20')) return 't20';
+  if (t === 'odi' || t === 'list a' || t === 'lista') return 'odi';
+  return null;
+}
+
+function oversToBalls(o) {
+  if (o === null || o === undefined || o === '') return 0;
+  const [whole, part] = String(o).split('.');
+  return (+whole || 0) * 6 + (+part || 0);
+}
+
+function round(n, dp = 2) {
+  return Number.isFinite(n) ? +n.toFixed(dp) : null;
+}
+
+function teamOf(inning) {
+  return String(inning || '').replace(/\s+Inning\s+\d+$/i, '').trim();
+}
+
+// Standard normal CDF (Abramowitz–Stegun 7.1.26)
+function normCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592)
+    * t * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + y) / 2 : (1 - y) / 2;
+}
+
+// ── Calibration ─────────────────────────────────────────────────────────────
+const calibration = {};   // format → { rate, sd, samples, source, at }
+
+function calibrate(format) {
+  const cached = calibration[format];
+  if (cached && Date.now() - cached.at < CALIBRATION_TTL_MS) return cached;
+
+  const def  = FORMATS[format];
+  const rows = archive.db.prepare(
+    `SELECT scorecard FROM matches WHERE match_type LIKE ? AND scorecard IS NOT NULL`
+  ).all(format === 't20' ? 't20%' : 'odi');
+
+  // Completed first innings only: all out, or batted the full quota
+  const totals = [];
+  for (const row of rows) {
+    const first = JSON.parse(row.scorecard)?.scorecard?.[0]?.total;
+    if (!first || first.r === null) continue;
+    const balls = oversToBalls(first.o);
+    if (first.w === 10 || balls >= def.overs * 6) totals.push(first.r);
+  }
+
+  let result = { rate: def.rate, sd: def.sd, samples: totals.length, source: 'default' };
+  if (totals.length >= MIN_SAMPLES) {
+    const mean = totals.reduce((a, b) => a + b, 0) / totals.length;
+    const sd   = Math.sqrt(totals.reduce((a, b) => a + (b - mean) ** 2, 0) / (totals.length - 1));
+    result = { rate: mean / def.overs, sd, samples: totals.length, source: 'archive' };
+  }
+  calibration[format] = { ...result, at: Date.now() };
+  return calibration[format];
+}
+
+// Share of a full innings' batting resources left with `ballsLeft` to come
+// and `wicketsLost` down (1 at the start of the innings)
+function resource(format, ballsLeft, wicketsLost) {
+  return dls.resource(ballsLeft / 6, wicketsLost) / dls.resource(FORMATS[format].overs, 0);
+}
+
+// Runs a side can still expect, and the spread around that. `pace` scales the
+// average for a side that is scoring faster or slower than usual.
+function expectation(format, ballsLeft, wicketsLost, pace = 1) {
+  const def = FORMATS[format];
+  const cal = calibrate(format);
+  const res = resource(format, ballsLeft, wicketsLost);
+  return {
+    runs: cal.rate * def.overs * res * pace,
+    sd:   Math.max(cal.sd * Math.sqrt(res), 1),
+  };
+}
+
+// P(chasing side reaches `needed` with what it has left)
+function chaseProbability(format, needed, ballsLeft, wicketsLost) {
+  if (needed <= 0) return 1;
+  if (ballsLeft <= 0 || wicketsLost >= 10) return 0;
+  const { runs, sd } = expectation(format, ballsLeft, wicketsLost);
+  return normCdf((runs - needed + 0.5) / sd);
+}
+
+// DLS par for a chase that has stopped for rain, assuming no more play. A
+// first innings that ended short of its overs without being bowled out was
+// itself curtailed, and the chase gets the same allocation.
+function rainPar(format, first, second) {
+  const full  = FORMATS[format].overs;
+  const overs = first.w === 10 ? full : Math.min(dls.toOvers(first.o) || full, full);
+  const calc  = dls.calculate({
+    format,
+    first:  { runs: first.r, overs },
+    second: { overs, at: second.o, wickets: second.w },
+  });
+  return {
+    par:    calc.par,
+    target: calc.target,
+    overs:  calc.second.overs,
+    ahead:  second.r - calc.par,
+  };
+}
+
+// ── Public API ──────────────────────────────────────────────────────────────
+// innings: [{ inning, r, w, o }] in batting order. `rain` adds the DLS par
+// for a chase that has stopped. Returns null for formats this doesn't apply
+// to (Tests, unknown).
+function compute(matchType, innings, { matchEnded = false, rain = false } = {}) {
+  const format = formatOf(matchType);
+  if (!format) return null;
+
+  const def       = FORMATS[format];
+  const maxBalls  = def.overs * 6;
+  const cal       = calibrate(format);
+  const [first, second] = innings;
+  const model = { format, rate: round(cal.rate), sd: round(cal.sd, 1), samples: cal.samples, source: cal.source };
+
+  if (!first) return { format, phase: 'not_started', model };
+
+  const current   = second || first;
+  const balls     = oversToBalls(current.o);
+  const ballsLeft = Math.max(maxBalls - balls, 0);
+  const crr       = balls ? current.r / (balls / 6) : null;
+
+  const out = {
+    format,
+    phase:          second ? 'chase' : 'first_innings',
+    battingTeam:    teamOf(current.inning),
+    runs:           current.r,
+    wickets:        current.w,
+    overs:          current.o,
+    currentRunRate: round(crr),
+    ballsRemaining: ballsLeft,
+    model,
+  };
+
+  if (!second) {
+    // Projected totals if the rest of the innings goes at each rate
+    const rates = [...new Set([round(crr, 1), ...def.projections].filter(r => r !== null))];
+    out.projections = rates.map(rate => ({
+      rate, total: Math.round(first.r + rate * ballsLeft / 6),
+    }));
+
+    // Batting-first win chance: expected final total vs a full-resource chase.
+    // The current pace counts for more the further into the innings we are.
+    const progress = balls / maxBalls;
+    const pace = crr ? progress * crr / cal.rate + (1 - progress) : 1;
+    const rest  = expectation(format, ballsLeft, first.w, pace);
+    const chase = expectation(format, maxBalls, 0);
+    const finalTotal = first.r + rest.runs;
+    const pChase = normCdf((chase.runs - finalTotal - 0.5) / Math.hypot(rest.sd, chase.sd));
+    out.projectedTotal = Math.round(finalTotal);
+    out.winProbability = { [out.battingTeam]: round(1 - pChase, 3) };
+    return out;
+  }
+
+  const target = first.r + 1;
+  const needed = Math.max(target - second.r, 0);
+  out.target            = target;
+  out.runsNeeded        = needed;
+  out.requiredRunRate   = ballsLeft ? round(needed / (ballsLeft / 6)) : null;
+  out.projections       = [...new Set([round(crr, 1), ...def.projections].filter(r => r !== null))]
+    .map(rate => ({ rate, total: Math.round(second.r + rate * ballsLeft / 6) }));
+
+  const pChase = matchEnded
+    ? (needed === 0 ? 1 : 0)
+    : chaseProbability(format, needed, ballsLeft, second.w);
+  out.winProbability = {
+    [teamOf(second.inning)]: round(pChase, 3),
+    [teamOf(first.inning)]:  round(1 - pChase, 3),
+  };
+  if (rain && !matchEnded) out.dls = rainPar(format, first, second);
+  return out;
+}
+
+module.exports = { compute, calibrate };
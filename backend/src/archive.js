@@ -0,0 +1,235 @@
+/**
+ * Match archive — finished matches persisted to a local SQLite database
+ *
+ * The cache forgets a match as soon as Cricbuzz drops it from the live-scores
+ * page (or the process restarts). Whenever a match list arrives with a match
+ * that has ended and isn't archived yet, its final scorecard and match info are
+ * fetched and stored together with the normalized match. A match stored
+ * without either (a failed fetch) is marked incomplete and fetched again on
+ * later passes, up to ARCHIVE_MAX_ATTEMPTS times.
+ *
+ * Served by /api/archive (search) and /api/archive/:id, and used as a fallback
+ * by the match routes once the live source no longer has the match.
+ * Emits "saved" ({ match, scorecard, info }) after every write.
+ */
+
+const fs       = require('fs');
+const path     = require('path');
+const { EventEmitter } = require('events');
+const Database = require('better-sqlite3');
+const cache    = require('./cache');
+const poller   = require('./poller');
+require('dotenv').config();
+
+const DB_PATH = process.env.ARCHIVE_DB || path.join(__dirname, '..', 'data', 'criclive.db');
+const MAX_ATTEMPTS = parseInt(process.env.ARCHIVE_MAX_ATTEMPTS || '5');
+const MAX_PAGE     = 200;
+
+fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+const db = new Database(DB_PATH);
+db.pragma('journal_mode = WAL');
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS matches (
+    id           TEXT PRIMARY KEY,
+    name         TEXT,
+    match_type   TEXT,
+    series_id    TEXT,
+    series_name  TEXT,
+    team1        TEXT,
+    team2        TEXT,
+    status       TEXT,
+    date_gmt     TEXT,
+    venue        TEXT,
+    match        TEXT NOT NULL,
+    scorecard    TEXT,
+    info         TEXT,
+    archived_at  TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_matches_date   ON matches (date_gmt);
+  CREATE INDEX IF NOT EXISTS idx_matches_type   ON matches (match_type);
+  CREATE INDEX IF NOT EXISTS idx_matches_series ON matches (series_name);
+`);
+
+// series_id came later — databases created before it get the column on start
+if (!db.prepare('PRAGMA table_info(matches)').all().some(c => c.name === 'series_id')) {
+  db.exec('ALTER TABLE matches ADD COLUMN series_id TEXT');
+}
+db.exec('CREATE INDEX IF NOT EXISTS idx_matches_series_id ON matches (series_id)');
+
+// So are complete (scorecard and info both stored) and attempts (fetches so far)
+if (!db.prepare('PRAGMA table_info(matches)').all().some(c => c.name === 'complete')) {
+  db.exec(`
+    ALTER TABLE matches ADD COLUMN complete INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE matches ADD COLUMN attempts INTEGER NOT NULL DEFAULT 1;
+    UPDATE matches SET complete = (scorecard IS NOT NULL AND info IS NOT NULL);
+  `);
+}
+
+const stmts = {
+  // Archived for good: complete, or out of attempts
+  done:   db.prepare('SELECT 1 FROM matches WHERE id = ? AND (complete = 1 OR attempts >= ?)'),
+  get:    db.prepare('SELECT * FROM matches WHERE id = ?'),
+  count:  db.prepare('SELECT COUNT(*) AS n FROM matches'),
+  incomplete: db.prepare('SELECT COUNT(*) AS n FROM matches WHERE complete = 0'),
+  series: db.prepare('SELECT match FROM matches WHERE series_id = ? ORDER BY date_gmt'),
+  upsert: db.prepare(`
+    INSERT INTO matches (id, name, match_type, series_id, series_name, team1, team2, status,
+                         date_gmt, venue, match, scorecard, info, archived_at, complete, attempts)
+    VALUES (@id, @name, @match_type, @series_id, @series_name, @team1, @team2, @status,
+            @date_gmt, @venue, @match, @scorecard, @info, @archived_at,
+            @scorecard IS NOT NULL AND @info IS NOT NULL, 1)
+    ON CONFLICT(id) DO UPDATE SET
+      status = excluded.status, venue = excluded.venue, match = excluded.match,
+      series_id = COALESCE(excluded.series_id, matches.series_id),
+      scorecard = COALESCE(excluded.scorecard, matches.scorecard),
+      info      = COALESCE(excluded.info, matches.info),
+      archived_at = excluded.archived_at,
+      complete  = COALESCE(excluded.scorecard, matches.scorecard) IS NOT NULL
+              AND COALESCE(excluded.info, matches.info) IS NOT NULL,
+      attempts  = matches.attempts + 1
+  `),
+};
+
+const emitter     = new EventEmitter();
+let archivedCount = 0;
+let lastError     = null;
+
+// ── Write ───────────────────────────────────────────────────────────────────
+function save(match, scorecard, info) {
+  stmts.upsert.run({
+    id:          match.id,
+    name:        match.name || '',
+    match_type:  (match.matchType || info?.matchType || '').toLowerCase(),
+    series_id:   match.series?.id || null,
+    series_name: info?.seriesName || match.series?.name || match.seriesName || match.name || '',
+    team1:       match.teams?.[0] || '',
+    team2:       match.teams?.[1] || '',
+    status:      match.status || '',
+    date_gmt:    match.dateTimeGMT || info?.dateTimeGMT || '',
+    venue:       info?.venue || match.venue || '',
+    match:       JSON.stringify(match),
+    scorecard:   scorecard ? JSON.stringify(scorecard) : null,
+    info:        info ? JSON.stringify(info) : null,
+    archived_at: new Date().toISOString(),
+  });
+  emitter.emit('saved', { match, scorecard, info });
+}
+
+// Fetch the final scorecard + info for one finished match and store it.
+// A failed fetch still archives the match itself, marked incomplete, so a
+// later pass tries again (keeping whatever was stored before).
+async function archiveMatch(match) {
+  const [sc, info] = await Promise.allSettled([
+    poller.fetchScorecard(match.id),
+    poller.fetchMatchInfo(match.id),
+  ]);
+  save(match,
+    sc.status   === 'fulfilled' ? sc.value   : null,
+    info.status === 'fulfilled' ? info.value : null);
+  archivedCount++;
+  const label = match.name || match.teams?.join(' vs ');
+  if (sc.status === 'fulfilled' && info.status === 'fulfilled') {
+    console.log(`[archive] ✅ archived ${match.id} — ${label}`);
+  } else {
+    lastError = (sc.reason || info.reason).message;
+    console.warn(`[archive] ⚠️ archived ${match.id} — ${label} without its ${sc.status === 'fulfilled' ? 'info' : 'scorecard'}: ${lastError}`);
+  }
+}
+
+// One at a time so a list full of results doesn't hammer the source
+const queue   = [];
+const pending = new Set();
+let draining  = false;
+
+async function drain() {
+  if (draining) return;
+  draining = true;
+  while (queue.length) {
+    const match = queue.shift();
+    try {
+      await archiveMatch(match);
+    } catch (err) {
+      lastError = err.message;
+      console.error(`[archive] ❌ ${match.id}:`, err.message);
+    }
+    pending.delete(match.id);
+  }
+  draining = false;
+}
+
+function onMatches() {
+  for (const m of poller.mergedMatches()) {
+    if (!m.matchEnded || pending.has(m.id) || stmts.done.get(m.id, MAX_ATTEMPTS)) continue;
+    pending.add(m.id);
+    queue.push(m);
+  }
+  drain();
+}
+
+cache.on('set', (key) => {
+  if (key === 'currentMatches' || key === 'upcomingMatches') onMatches();
+});
+
+// ── Read ────────────────────────────────────────────────────────────────────
+function parseRow(row) {
+  if (!row) return null;
+  return {
+    match:     JSON.parse(row.match),
+    scorecard: row.scorecard ? JSON.parse(row.scorecard) : null,
+    info:      row.info ? JSON.parse(row.info) : null,
+    archivedAt: row.archived_at,
+  };
+}
+
+function get(id) {
+  return parseRow(stmts.get.get(id));
+}
+
+// Filters: team, format, series (substring, case-insensitive), from / to
+// (ISO dates, inclusive), limit (1–200) / offset. Newest first.
+function search({ team, format, series, from, to, limit = 50, offset = 0 } = {}) {
+  const where = [], params = {};
+  if (team) {
+    where.push('(team1 LIKE @team OR team2 LIKE @team)');
+    params.team = `%${team}%`;
+  }
+  if (format) { where.push('match_type = @format'); params.format = format.toLowerCase(); }
+  if (series) { where.push('series_name LIKE @series'); params.series = `%${series}%`; }
+  if (from)   { where.push('date_gmt >= @from'); params.from = from; }
+  if (to)     { where.push('substr(date_gmt, 1, 10) <= @to'); params.to = to; }
+
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const total  = db.prepare(`SELECT COUNT(*) AS n FROM matches ${clause}`).get(params).n;
+  const rows   = db.prepare(
+    `SELECT match FROM matches ${clause} ORDER BY date_gmt DESC LIMIT @limit OFFSET @offset`
+  ).all({
+    ...params,
+    // SQLite reads a negative LIMIT as no limit at all
+    limit:  Math.max(1, Math.min(Math.floor(+limit) || 50, MAX_PAGE)),
+    offset: Math.max(0, Math.floor(+offset) || 0),
+  });
+
+  return { total, matches: rows.map(r => JSON.parse(r.match)) };
+}
+
+// Every archived match of one series, oldest first
+function bySeries(seriesId) {
+  return stmts.series.all(String(seriesId)).map(r => JSON.parse(r.match));
+}
+
+function status() {
+  return {
+    path:     DB_PATH,
+    matches:  stmts.count.get().n,
+    incomplete: stmts.incomplete.get().n,
+    archivedThisRun: archivedCount,
+    queued:   queue.length,
+    lastError,
+  };
+}
+
+module.exports = {
+  get, search, bySeries, save, status, db,
+  on: (name, fn) => emitter.on(name, fn),
+};
@@ -1,31 +1,87 @@
 /**
- * Simple in-memory cache with TTL
- * No Redis needed — works fine for a single-server deployment
+ * Cache with TTL, stale-while-revalidate and request coalescing
+ *
+ * Expired entries aren't dropped: getOrFetch() serves them straight away
+ * (flagged stale) while one background refresh runs, and only a key that has
+ * never been cached — or has been stale for longer than CACHE_MAX_STALE —
+ * makes the caller wait. Concurrent loads of the same key share a single
+ * upstream request (refresh()).
+ *
+ * Where entries live is up to the store (CACHE_BACKEND):
+ *  - memory  in this process, LRU-evicted beyond CACHE_MAX_ENTRIES keys or
+ *            CACHE_MAX_MB of JSON (memoryStore.js) — the default
+ *  - redis   shared through REDIS_URL, so several instances behind a load
+ *            balancer serve the same data, and a distributed lock means only
+ *            one of them fetches a given key at a time (redisStore.js)
+ *
+ * Emits "set" (key, value) whenever fresh data is stored — here or, with a
+ * shared store, by another instance — so the SSE stream can push changes
+ * without polling the cache itself.
  */
 
-class Cache {
-  constructor() {
-    this.store = new Map();
+const { EventEmitter } = require('events');
+const MemoryStore = require('./memoryStore');
+const RedisStore  = require('./redisStore');
+require('dotenv').config();
+
+const BACKEND      = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+const MAX_ENTRIES  = parseInt(process.env.CACHE_MAX_ENTRIES || '2000');
+const MAX_BYTES    = parseFloat(process.env.CACHE_MAX_MB    || '64') * 1024 * 1024;
+const MAX_STALE_MS = parseInt(process.env.CACHE_MAX_STALE   || '3600') * 1000;
+const LOCK_TTL_MS  = parseInt(process.env.CACHE_LOCK_TTL    || '20') * 1000;
+const WAIT_POLL_MS = 200;
+
+// "scorecard:123~slug" → "scorecard"
+function prefixOf(key) {
+  return String(key).split(':')[0];
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class Cache extends EventEmitter {
+  constructor({ store, maxEntries = MAX_ENTRIES, maxBytes = MAX_BYTES,
+                maxStaleMs = MAX_STALE_MS, lockTtlMs = LOCK_TTL_MS } = {}) {
+    super();
+    this.store      = store || new MemoryStore({ maxEntries, maxBytes });
+    this.inflight   = new Map();   // key → Promise of the running load
+    this.maxStaleMs = maxStaleMs;
+    this.lockTtlMs  = lockTtlMs;
+    this.counters   = {};          // prefix → { hits, stale, misses, refreshes, coalesced, remote, errors, evictions }
+
+    this.store.on('evict', key => this.count(key, 'evictions'));
+    this.store.on('set', (key, entry) => this.emit('set', key, entry.value));
+  }
+
+  count(key, field) {
+    const prefix = prefixOf(key);
+    const c = this.counters[prefix] = this.counters[prefix] || {
+      hits: 0, stale: 0, misses: 0, refreshes: 0, coalesced: 0, remote: 0, errors: 0, evictions: 0,
+    };
+    c[field]++;
   }
 
   set(key, value, ttlSeconds) {
-    this.store.set(key, {
+    this.store.save(key, {
       value,
       expiresAt: Date.now() + ttlSeconds * 1000,
       cachedAt: Date.now(),
     });
+    this.emit('set', key, value);
   }
 
+  // Fresh entry or null
   get(key) {
-    const entry = this.store.get(key);
-    if (!entry) return null;
-    if (Date.now() > entry.expiresAt) {
-      this.store.delete(key);
-      return null;
-    }
+    const entry = this.store.peek(key);
+    if (!entry || Date.now() > entry.expiresAt) return null;
+    this.store.touch(key);
     return entry;
   }
 
+  // Entry whether fresh or stale, or null — doesn't count as a use
+  peek(key) {
+    return this.store.peek(key);
+  }
+
   has(key) {
     return this.get(key) !== null;
   }
@@ -36,12 +92,112 @@ class Cache {
 
   // How old is the cached value in seconds
   age(key) {
-    const entry = this.store.get(key);
+    const entry = this.store.peek(key);
     if (!entry) return null;
     return Math.floor((Date.now() - entry.cachedAt) / 1000);
   }
 
-  // Clear all entries
+  /**
+   * Run `loader` and store what it resolves to under `key` for `ttlSeconds`.
+   * While a load for the key is running, further calls get the same promise
+   * instead of starting another one. With a shared store the load also takes
+   * the key's lock; an instance that finds it taken waits for the holder's
+   * result instead of fetching.
+   */
+  refresh(key, loader, ttlSeconds) {
+    const running = this.inflight.get(key);
+    if (running) {
+      this.count(key, 'coalesced');
+      return running;
+    }
+
+    const promise = (async () => {
+      const started = Date.now();
+      try {
+        const token = await this.store.lock(key, this.lockTtlMs);
+        if (!token) {
+          this.count(key, 'remote');
+          return await this.waitForRemote(key, started);
+        }
+        try {
+          // Another instance refreshed it moments ago — use that
+          if (this.store.shared) {
+            const shared = await this.store.load(key);
+            if (shared && Date.now() - shared.cachedAt < ttlSeconds * 500) {
+              this.count(key, 'remote');
+              return shared.value;
+            }
+          }
+          this.count(key, 'refreshes');
+          const value = await loader();
+          this.set(key, value, ttlSeconds);
+          return value;
+        } finally {
+          await this.store.unlock(key, token);
+        }
+      } catch (err) {
+        this.count(key, 'errors');
+        throw err;
+      } finally {
+        this.inflight.delete(key);
+      }
+    })();
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
+  // Another instance holds the key's lock: wait for it to store something
+  // newer than `since`
+  async waitForRemote(key, since) {
+    const deadline = since + this.lockTtlMs;
+    while (Date.now() < deadline) {
+      await sleep(WAIT_POLL_MS);
+      // Published writes land in the store's local copy on their own
+      const entry = this.store.peek(key);
+      if (entry && entry.cachedAt >= since) return entry.value;
+      if (!await this.store.isLocked(key)) {
+        const shared = await this.store.load(key);
+        if (shared && shared.cachedAt >= since) return shared.value;
+        throw new Error(`Refresh of ${key} by another instance failed`);
+      }
+    }
+    throw new Error(`Timed out waiting for another instance to refresh ${key}`);
+  }
+
+  /**
+   * Stale-while-revalidate read. `refresher` reloads the key and resolves to
+   * the new value — normally a function built on refresh(), so it coalesces.
+   * Resolves to { value, age, stale }; rejects only when there was nothing
+   * servable and the load failed.
+   */
+  async getOrFetch(key, refresher) {
+    let entry = this.store.peek(key);
+    // Another instance may have refreshed what we only have stale
+    if (this.store.shared && (!entry || Date.now() > entry.expiresAt)) {
+      entry = await this.store.load(key);
+    }
+    const now = Date.now();
+
+    if (entry && now <= entry.expiresAt) {
+      this.count(key, 'hits');
+      this.store.touch(key);
+      return { value: entry.value, age: this.age(key), stale: false };
+    }
+
+    if (entry && now - entry.expiresAt <= this.maxStaleMs) {
+      this.count(key, 'stale');
+      this.store.touch(key);
+      // Failures are logged by the loader and counted in refresh()
+      Promise.resolve().then(refresher).catch(() => {});
+      return { value: entry.value, age: this.age(key), stale: true };
+    }
+
+    this.count(key, 'misses');
+    const value = await refresher();
+    return { value, age: 0, stale: false };
+  }
+
+  // Clear all entries (this instance's copy, for a shared store)
   flush() {
     this.store.clear();
   }
@@ -49,12 +205,45 @@ class Cache {
   // Stats for the /health endpoint
   stats() {
     const now = Date.now();
-    let active = 0;
-    for (const [, entry] of this.store) {
-      if (now < entry.expiresAt) active++;
+    const prefixes = {};
+    let total = 0, active = 0;
+    for (const [key, entry] of this.store.entries()) {
+      const p = prefixes[prefixOf(key)] = prefixes[prefixOf(key)] || { entries: 0, bytes: 0 };
+      p.entries++;
+      p.bytes += entry.size;
+      total++;
+      if (now <= entry.expiresAt) active++;
+    }
+    for (const [prefix, c] of Object.entries(this.counters)) {
+      const lookups = c.hits + c.stale + c.misses;
+      prefixes[prefix] = {
+        entries: 0, bytes: 0, ...prefixes[prefix], ...c,
+        hitRate: lookups ? +((c.hits + c.stale) / lookups).toFixed(3) : null,
+      };
+    }
+    return {
+      ...this.store.stats(),
+      total,
+      active,
+      stale:    total - active,
+      inflight: this.inflight.size,
+      prefixes,
+    };
+  }
+}
+
+function createStore() {
+  const limits = { maxEntries: MAX_ENTRIES, maxBytes: MAX_BYTES };
+  if (BACKEND === 'redis') {
+    if (process.env.REDIS_URL) {
+      return new RedisStore({ url: process.env.REDIS_URL, maxStaleMs: MAX_STALE_MS, ...limits });
     }
-    return { total: this.store.size, active };
+    console.warn('[cache] CACHE_BACKEND=redis but REDIS_URL is not set — using memory');
+  } else if (BACKEND !== 'memory') {
+    console.warn(`[cache] Unknown CACHE_BACKEND "${BACKEND}" — using memory`);
   }
+  return new MemoryStore(limits);
 }
 
-module.exports = new Cache();
+module.exports = new Cache({ store: createStore() });
+module.exports.Cache = Cache;
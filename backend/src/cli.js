@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * criclive — command-line tasks against the local match archive
+ *
+ *   criclive import <file|dir|zip>…   Import Cricsheet match files
+ *                                     (see importer.js)
+ *
+ * Writes to the same database as the server (ARCHIVE_DB, default
+ * backend/data/criclive.db).
+ */
+
+const USAGE = `Usage: criclive import <file|directory|zip>...
+
+Imports Cricsheet ball-by-ball match files (.json, legacy .yaml, or .zip
+downloads of either) into the match archive.`;
+
+async function importCommand(paths) {
+  if (!paths.length) {
+    console.error(USAGE);
+    return 1;
+  }
+  const importer = require('./importer');
+  const started  = Date.now();
+  const summary  = await importer.importPaths(paths, {
+    onProgress: ({ imported, failed, total }) => {
+      if (process.stdout.isTTY) process.stdout.write(`\r[import] ${imported + failed}/${total} files`);
+    },
+  });
+  if (process.stdout.isTTY) process.stdout.write('\n');
+
+  for (const { file, message } of summary.errors) console.error(`[import] ❌ ${file}: ${message}`);
+  if (summary.failed > summary.errors.length) {
+    console.error(`[import] … and ${summary.failed - summary.errors.length} more`);
+  }
+  console.log(`[import] ✅ ${summary.imported} of ${summary.files} matches imported` +
+    `${summary.failed ? `, ${summary.failed} failed` : ''} in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  return summary.imported || !summary.failed ? 0 : 1;
+}
+
+async function main([command, ...args]) {
+  if (command === 'import') return importCommand(args);
+  const help = !command || command === 'help' || command === '--help';
+  console.error(help ? USAGE : `Unknown command: ${command}\n\n${USAGE}`);
+  return help ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}, err => {
+  console.error(`[criclive] ❌ ${err.message}`);
+  process.exitCode = 1;
+});
@@ -5,16 +5,30 @@
  *  - Match list:  RSC stream in https://www.cricbuzz.com/cricket-match/live-scores
  *  - Scorecard:   HTML page  https://www.cricbuzz.com/live-cricket-scorecard/{id}/{slug}
  *  - Match info:  HTML page  https://www.cricbuzz.com/live-cricket-scores/{id}/{slug}
+ *  - Squads:      the scorecard page's Match Info, one "{Team} Squad" block each
+ *  - Commentary:  RSC stream in the live-cricket-scores page, then
+ *                 JSON https://www.cricbuzz.com/api/cricket-match/commentary-pagination/{id}/{innings}/{ts}
  *
  * Match IDs are encoded as "{cricbuzzMatchId}~{urlSlug}" so the backend can
  * reconstruct the full URL without a separate lookup.
+ *
+ * CRICBUZZ_MODE=record saves every page fetched to CRICBUZZ_FIXTURES_DIR;
+ * CRICBUZZ_MODE=replay serves pages from there and never calls Cricbuzz.
  */
 
+const fs      = require('fs');
+const path    = require('path');
 const fetch   = require('node-fetch');
 const cheerio = require('cheerio');
+const quality = require('./dataQuality');
+const squads  = require('./squads');
 
 const CB_BASE = 'https://www.cricbuzz.com';
 
+const MODE         = (process.env.CRICBUZZ_MODE || 'live').toLowerCase();
+const FIXTURES_DIR = process.env.CRICBUZZ_FIXTURES_DIR
+  || path.join(__dirname, '..', 'test', 'fixtures', 'cricbuzz');
+
 const HEADERS = {
   'User-Agent':      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
   'Accept':          'text/html,application/xhtml+xml,*/*',
@@ -22,10 +36,28 @@ const HEADERS = {
   'Referer':         'https://www.cricbuzz.com/',
 };
 
-async function fetchPage(path) {
-  const res = await fetch(`${CB_BASE}${path}`, { headers: HEADERS, timeout: 15000 });
-  if (!res.ok) throw new Error(`Cricbuzz HTTP ${res.status} for ${path}`);
-  return res.text();
+// "/live-cricket-scorecard/123/ind-vs-aus" → "live-cricket-scorecard__123__ind-vs-aus.html"
+function fixtureFile(urlPath) {
+  const name = urlPath.replace(/^\/+/, '').replace(/\//g, '__').replace(/[^\w.~-]/g, '_');
+  return path.join(FIXTURES_DIR, `${name}${urlPath.startsWith('/api/') ? '.json' : '.html'}`);
+}
+
+async function fetchPage(urlPath) {
+  if (MODE === 'replay') {
+    const file = fixtureFile(urlPath);
+    if (!fs.existsSync(file)) throw new Error(`No recorded Cricbuzz page for ${urlPath} (${file})`);
+    return fs.readFileSync(file, 'utf8');
+  }
+
+  const res = await fetch(`${CB_BASE}${urlPath}`, { headers: HEADERS, timeout: 15000 });
+  if (!res.ok) throw new Error(`Cricbuzz HTTP ${res.status} for ${urlPath}`);
+  const body = await res.text();
+
+  if (MODE === 'record') {
+    fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+    fs.writeFileSync(fixtureFile(urlPath), body);
+  }
+  return body;
 }
 
 // ── JSON extraction from RSC stream ────────────────────────────────────────
@@ -33,12 +65,13 @@ async function fetchPage(path) {
 // as a JSON-ish string inside self.__next_f.push([1,"..."]) calls.
 // Braces are literal, but " chars are escaped as \".
 
-function extractJsonAt(html, startIdx) {
+// Pass open/close = '[' / ']' to pull out an array instead of an object
+function extractJsonAt(html, startIdx, open = '{', close = '}') {
   let depth = 0, start = -1;
   for (let i = startIdx; i < html.length; i++) {
     const c = html[i];
-    if (c === '{') { if (!depth) start = i; depth++; }
-    else if (c === '}') { if (!--depth && start !== -1) return html.slice(start, i + 1); }
+    if (c === open) { if (!depth) start = i; depth++; }
+    else if (c === close) { if (!--depth && start !== -1) return html.slice(start, i + 1); }
   }
   return null;
 }
@@ -51,14 +84,19 @@ function parseRscJson(raw) {
 // ── Match state helpers ─────────────────────────────────────────────────────
 const LIVE_STATES  = new Set(['in progress', 'innings break', 'strategic timeout',
                                'rain', 'bad light', 'stumps', 'drinks', 'tea', 'lunch', 'in break']);
-const ENDED_STATES = new Set(['complete', 'result', 'abandoned', 'no result', 'cancelled']);
+// Cricbuzz reports abandoned matches as "Abandon"
+const ENDED_STATES = new Set(['complete', 'result', 'abandon', 'no result', 'cancelled']);
+// Live, but no balls being bowled for a while — the poller slows down
+const PAUSED_STATES = new Set(['innings break', 'rain', 'bad light', 'stumps',
+                               'tea', 'lunch', 'dinner', 'in break']);
 
 function parseState(state = '') {
   const s = state.toLowerCase();
   // Use substring matching so "Tea Break", "Rain Delay", etc. still match
   const matchEnded   = [...ENDED_STATES].some(es => s.includes(es));
   const matchStarted = matchEnded || [...LIVE_STATES].some(ls => s.includes(ls));
-  return { matchStarted, matchEnded };
+  const paused       = matchStarted && !matchEnded && [...PAUSED_STATES].some(ps => s.includes(ps));
+  return { matchStarted, matchEnded, paused };
 }
 
 // ── Team image URL (Cricbuzz CDN) ───────────────────────────────────────────
@@ -68,6 +106,8 @@ function teamImg(imageId) {
 }
 
 // ── Build score array from matchScore object ────────────────────────────────
+// Innings are keyed "inngs1", "inngs2" per team; inningsId counts across the
+// match, so sorting on it puts a Test's four innings back in batting order
 function buildScores(matchInfo, matchScore) {
   const scores = [];
   const t1Name = matchInfo.team1?.teamName || '';
@@ -77,30 +117,27 @@ function buildScores(matchInfo, matchScore) {
   const t1Score = matchScore?.team1Score || matchInfo?.team1Score;
   const t2Score = matchScore?.team2Score || matchInfo?.team2Score;
 
-  for (const [key, innObj] of Object.entries(t1Score || {})) {
-    if (!innObj) continue;
-    scores.push({
-      inning: `${t1Name} Inning ${innObj.inningsId || 1}`,
-      r: innObj.runs  ?? innObj.r,
-      w: innObj.wickets ?? innObj.w,
-      o: innObj.overs ?? innObj.o,
-    });
-  }
-  for (const [key, innObj] of Object.entries(t2Score || {})) {
-    if (!innObj) continue;
-    scores.push({
-      inning: `${t2Name} Inning ${innObj.inningsId || 1}`,
-      r: innObj.runs  ?? innObj.r,
-      w: innObj.wickets ?? innObj.w,
-      o: innObj.overs ?? innObj.o,
+  for (const [teamName, teamScore] of [[t1Name, t1Score], [t2Name, t2Score]]) {
+    Object.entries(teamScore || {}).forEach(([key, innObj], i) => {
+      if (!innObj) return;
+      const n = +(key.match(/\d+$/) || [])[0] || i + 1;
+      scores.push({
+        order:  innObj.inningsId ?? n,
+        inning: `${teamName} Inning ${n}`,
+        r: innObj.runs  ?? innObj.r,
+        w: innObj.wickets ?? innObj.w,
+        o: innObj.overs ?? innObj.o,
+      });
     });
   }
-  return scores;
+  return scores
+    .sort((a, b) => a.order - b.order)
+    .map(({ order, ...s }) => s);
 }
 
 // ── Normalize a single matchInfo + matchScore into our format ───────────────
 function normalizeMatch(matchInfo, matchScore, slug) {
-  const { matchStarted, matchEnded } = parseState(matchInfo.state);
+  const { matchStarted, matchEnded, paused } = parseState(matchInfo.state);
   const t1 = matchInfo.team1;
   const t2 = matchInfo.team2;
 
@@ -111,6 +148,8 @@ function normalizeMatch(matchInfo, matchScore, slug) {
   return {
     id,
     name:        [matchInfo.seriesName, matchInfo.matchDesc].filter(Boolean).join(' – '),
+    series:      matchInfo.seriesId ? { id: String(matchInfo.seriesId), name: matchInfo.seriesName || '' } : null,
+    matchDesc:   matchInfo.matchDesc || '',
     matchType:   (matchInfo.matchFormat || '').toLowerCase(),
     status:      matchInfo.status || '',
     dateTimeGMT: matchInfo.startDate
@@ -118,6 +157,9 @@ function normalizeMatch(matchInfo, matchScore, slug) {
       : '',
     matchStarted,
     matchEnded,
+    state:       matchInfo.state || '',
+    paused,
+    venue:       [matchInfo.venueInfo?.ground, matchInfo.venueInfo?.city].filter(Boolean).join(', '),
     teams:    [t1?.teamName, t2?.teamName].filter(Boolean),
     teamInfo: [
       t1 && { name: t1.teamName, shortname: t1.teamSName, img: teamImg(t1.imageId) },
@@ -128,6 +170,15 @@ function normalizeMatch(matchInfo, matchScore, slug) {
 }
 
 // ── Fetch + parse the live-scores match list ────────────────────────────────
+// The list is grouped by Cricbuzz's own classification, which beats guessing
+// from names (the rest is filled in by enrich.js)
+const SECTION_HINTS = {
+  International: { category: 'international' },
+  League:        { category: 'domestic' },
+  Domestic:      { category: 'domestic' },
+  Women:         { gender: 'womens' },
+};
+
 async function fetchMatchList() {
   const html = await fetchPage('/cricket-match/live-scores');
 
@@ -159,10 +210,13 @@ async function fetchMatchList() {
       for (const m of wrapper.matches) {
         if (!m.matchInfo) continue;
         const slug = slugMap[m.matchInfo.matchId] || '';
-        matches.push(normalizeMatch(m.matchInfo, m.matchScore, slug));
+        const match = { ...normalizeMatch(m.matchInfo, m.matchScore, slug), ...SECTION_HINTS[typeBlock.matchType] };
+        match.dataQuality = quality.record('matchList', match.id, quality.checkMatch(match));
+        matches.push(match);
       }
     }
   }
+  if (!matches.length) quality.record('matchList', 'live-scores', ['no matches in currentMatchesList']);
 
   return matches;
 }
@@ -187,8 +241,9 @@ function parseScorecardHtml(html) {
     const innNum = innNumMatch ? innNumMatch[1] : '1';
 
     const header = $(`#${headerId}`);
-    // Use the longer team name if available (hidden on mobile, shown on desktop)
-    const longNameEl = header.find('[class*="hidden"][class*="font-bold"]').first();
+    // Use the longer team name if available ("hidden tb:block": desktop only).
+    // The short name is "tb:hidden", so match on tb:block rather than hidden.
+    const longNameEl = header.find('[class*="tb:block"][class*="font-bold"]').first();
     const shortNameEl = header.find('[class*="font-bold"]').first();
     const teamName = (longNameEl.text().trim() || shortNameEl.text().trim() || 'Team');
 
@@ -247,7 +302,53 @@ function parseScorecardHtml(html) {
       });
     });
 
-    innings.push({ inning: `${teamName} Inning ${innNum}`, batting, bowling, extras, total });
+    // Did not bat / yet to bat — "Did not Bat" label, names linked in the sibling
+    const dnbLabel = $(innBlock).find('.font-bold').filter((_, el) => /did not bat|yet to bat/i.test($(el).text())).first();
+    const dnbList  = dnbLabel.next();
+    let didNotBat  = dnbList.find('a').map((_, a) => $(a).text().trim()).get();
+    if (!didNotBat.length && dnbList.length) didNotBat = dnbList.text().split(',').map(s => s.trim());
+    didNotBat = didNotBat.filter(Boolean).map(name => ({ name }));
+
+    // Fall of wickets — player, "52-1" score, over
+    const fow = [];
+    $(innBlock).find('[class*="scorecard-fow-grid"]').not('[class*="bg-cbBorderGrey"]').each((_, row) => {
+      const cells = $(row).children();
+      if (cells.length < 3) return;
+      const batter = $(cells[0]).is('a') ? $(cells[0]).text().trim() : $(cells[0]).find('a').first().text().trim();
+      const score  = $(cells[1]).text().trim().match(/^(\d+)-(\d+)$/);
+      if (!batter || !score) return;
+      fow.push({
+        wicket:  parseInt(score[2]),
+        score:   parseInt(score[1]),
+        over:    toNum($(cells[2]).text()),
+        batsman: { name: batter },
+      });
+    });
+
+    // Partnerships — batter, "r (b)" each side, the stand in the middle
+    const partnerships = [];
+    $(innBlock).find('[class*="scorecard-partnership-grid"]').not('[class*="bg-cbBorderGrey"]').each((_, row) => {
+      const cells = $(row).children();
+      if (cells.length < 3) return;
+      const side = cell => {
+        const [, r, b] = $(cell).text().match(/(\d+)\s*\((\d+)\)/) || [];
+        return { name: $(cell).find('a').first().text().trim(), r: toNum(r), b: toNum(b) };
+      };
+      const [, runs, balls] = $(cells[1]).text().match(/(\d+)\s*\((\d+)\)/) || [];
+      const wkt = $(cells[1]).text().match(/(\d+)(?:st|nd|rd|th)\s*wkt/i);
+      const batsmen = [side(cells[0]), side(cells[2])];
+      if (runs === undefined || batsmen.some(b => !b.name)) return;
+      partnerships.push({
+        wicket: wkt ? parseInt(wkt[1]) : partnerships.length + 1,
+        runs:   toNum(runs),
+        balls:  toNum(balls),
+        batsmen,
+      });
+    });
+    // The last stand is unbroken when no wicket ended it
+    partnerships.forEach(p => { p.unbroken = p.wicket > fow.length && p.wicket === partnerships.length; });
+
+    innings.push({ inning: `${teamName} Inning ${innNum}`, batting, bowling, extras, total, fow, partnerships, didNotBat });
   });
 
   return innings;
@@ -401,8 +502,200 @@ function parseMatchInfoHtml(html) {
   };
 }
 
+// ── Parse squads from scorecard page ────────────────────────────────────────
+// Below the match facts, each team has a "{Team} Squad" header and rows of
+// player links: "Playing" (the XI) and "Bench" once the teams are in, or a
+// single "Squad" row before that. An "Impact Player" / "Concussion
+// Substitute" row is whoever came in, and joins the XI; "Substitutes" lists
+// those named but not used, like the bench.
+const SQUAD_ROWS = {
+  playing: 'playing', 'playing xi': 'playing', 'playing 11': 'playing',
+  bench: 'bench', substitutes: 'bench', squad: 'squad',
+  'impact player': 'impact', 'impact players': 'impact', 'impact sub': 'impact',
+  'concussion substitute': 'concussion', 'concussion substitutes': 'concussion', 'concussion sub': 'concussion',
+};
+
+function squadPlayers($, cell, substitute) {
+  const links = $(cell).find('a[href*="/profiles/"]');
+  const entries = links.length
+    ? links.toArray().map(a => {
+        // Captain / keeper markers are in the link text; a substitute's
+        // "(for …)" follows the link
+        const after = (a.next?.type === 'text' ? a.next.data : '').split(',')[0];
+        return { raw: `${$(a).text()} ${after}`, profileId: ($(a).attr('href').match(/\/profiles\/(\d+)/) || [])[1] };
+      })
+    : $(cell).text().split(',').map(raw => ({ raw }));
+  return entries
+    .filter(e => e.raw.trim())
+    .map(e => squads.player(e.raw, { profileId: e.profileId, substitute }));
+}
+
+function parseSquadsHtml(html, teams = []) {
+  const $ = cheerio.load(html);
+  const byTeam = new Map();
+  let current = null;
+
+  $('[class*="bg-cbBorderGrey"], [class*="facts-row-grid"]').each((_, el) => {
+    const cls = $(el).attr('class') || '';
+    if (!cls.includes('facts-row-grid')) {
+      const header = $(el).text().trim().match(/^(.+?)\s+Squad$/i);
+      current = header ? header[1].trim() : null;
+      if (current && !byTeam.has(current)) byTeam.set(current, { playing: [], bench: [], squad: [] });
+      return;
+    }
+    if (!current) return;
+    const kind = SQUAD_ROWS[$(el).find('.font-bold').first().text().trim().toLowerCase()];
+    if (!kind) return;
+    const cell = $(el).children().last();
+    const lists = byTeam.get(current);
+    if (kind === 'impact' || kind === 'concussion') lists.playing.push(...squadPlayers($, cell, kind));
+    else lists[kind].push(...squadPlayers($, cell));
+  });
+
+  const names = [...teams, ...[...byTeam.keys()].filter(t => !teams.includes(t))];
+  return names.map(team => {
+    const lists = byTeam.get(team) || { playing: [], bench: [], squad: [] };
+    return { team, announced: !!(lists.playing.length || lists.squad.length), ...lists };
+  });
+}
+
+// ── Ball-by-ball commentary ─────────────────────────────────────────────────
+// The latest overs are embedded in the live match page's RSC stream as
+// "commentaryList"; older overs come from Cricbuzz's pagination JSON, keyed
+// by innings and the timestamp of the oldest ball already shown.
+
+// commText uses placeholders like "B0$" that commentaryFormats fills in
+function commentaryText(c) {
+  let text = c.commText || '';
+  for (const fmt of Object.values(c.commentaryFormats || {})) {
+    (fmt.formatId || []).forEach((fid, i) => {
+      text = text.split(fid).join(fmt.formatValue?.[i] ?? '');
+    });
+  }
+  return text.replace(/\\n/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// "FOUR", "no run", "leg byes, 2 runs", "no ball, FOUR", "3 wides", "out Caught by…"
+// → runs conceded off the delivery (wide/no-ball penalty included), extras, wicket
+function parseOutcome(outcome, event = '') {
+  const o = outcome.toLowerCase();
+  let extras = null;
+  if (/^\d*\s*wides?\b/.test(o))      extras = 'wide';
+  else if (/^no[\s-]?ball/.test(o))  extras = 'noball';
+  else if (/^leg[\s-]?byes?/.test(o)) extras = 'legbye';
+  else if (/^byes?\b/.test(o))        extras = 'bye';
+
+  let runs = 0;
+  const widesM = o.match(/^(\d+)\s+wides/);
+  const runsM  = o.match(/(\d+)\s+runs?/);
+  if (widesM)                    runs = +widesM[1];
+  else if (/\bsix\b/.test(o))   runs = 6;
+  else if (/\bfour\b/.test(o))  runs = 4;
+  else if (runsM)                runs = +runsM[1];
+  if (extras === 'noball' || (extras === 'wide' && !widesM)) runs += 1;
+
+  const wicket = /^out\b/.test(o) || /\bwicket\b/i.test(event);
+  return { runs, extras, wicket };
+}
+
+function parseBall(c) {
+  const over = c.overNumber ?? c.overNum;
+  if (over === undefined || over === null || !c.ballNbr) return null;
+
+  const text = commentaryText(c);
+  // Extras carry a second clause: "leg byes, 2 runs" / "no ball, FOUR"
+  const m = text.match(/^(.+?) to (.+?),\s*((?:(?:leg byes?|byes?|no ball),\s*)?[^,.!]+)/i);
+  const outcome = m ? m[3].trim() : '';
+  const { runs, extras, wicket } = parseOutcome(outcome, c.event);
+
+  return {
+    over:      Number(over).toFixed(1),
+    innings:   c.inningsId || null,
+    bowler:    m ? m[1].trim() : null,
+    batter:    m ? m[2].trim() : null,
+    runs,
+    extras,
+    wicket,
+    event:     c.event && c.event !== 'NONE' ? c.event : null,
+    text,
+    timestamp: c.timestamp || null,
+  };
+}
+
+// End-of-over summary Cricbuzz slips in between the balls:
+// overNum 10.6 → the 11th over, with its runs and the score after it
+function parseOverSummary(c) {
+  const s = c.overSeparator;
+  if (!s || s.overNum === undefined || s.overNum === null) return null;
+  return {
+    over:     Math.floor(Number(s.overNum)) + 1,
+    innings:  s.inningsId || c.inningsId || null,
+    runs:     toNum(s.runs),
+    score:    toNum(s.score),
+    wickets:  toNum(s.wickets),
+    summary:  s.o_summary || null,
+  };
+}
+
+// Four in a Test; a limited-overs match with a super over has up to five
+const MAX_INNINGS = 5;
+
+// Cursor "{inningsId}:{timestamp}" points at the oldest ball returned so far
+function commentaryPage(items, perPage) {
+  const balls = items.map(parseBall).filter(Boolean).slice(0, perPage);
+  const last  = balls[balls.length - 1];
+  return {
+    balls,
+    overs: items.map(parseOverSummary).filter(Boolean),
+    nextCursor: last?.timestamp ? `${last.innings || 1}:${last.timestamp}` : null,
+  };
+}
+
+// The live match page's commentary items (empty before the first ball)
+async function latestCommentary(matchId, slug) {
+  const html = await fetchPage(slug
+    ? `/live-cricket-scores/${matchId}/${slug}`
+    : `/live-cricket-scores/${matchId}`);
+  const key = 'commentaryList';
+  const keyIdx = html.indexOf(key);
+  if (keyIdx < 0) return [];
+  const raw = extractJsonAt(html, html.indexOf('[', keyIdx + key.length), '[', ']');
+  if (!raw) throw new Error('Could not extract commentary JSON');
+  return parseRscJson(raw);
+}
+
+async function fetchCommentary(id, cursor, perPage = 60) {
+  const [matchId, slug] = id.split('~');
+  if (!matchId) throw new Error(`Invalid match id: ${id}`);
+
+  if (!cursor) return commentaryPage(await latestCommentary(matchId, slug), perPage);
+
+  // The cursor comes from the client: each innings walked is an upstream
+  // request, so it may not start past the innings in play
+  const m = /^(\d+):(\d+)$/.exec(cursor);
+  let [inningsId, timestamp] = m ? [+m[1], +m[2]] : [0, 0];
+  if (!inningsId || inningsId > MAX_INNINGS || !timestamp) throw new Error(`Invalid commentary cursor: ${cursor}`);
+  const inPlay = Math.max(0, ...(await latestCommentary(matchId, slug)).map(c => c.inningsId || 0));
+  if (inningsId > inPlay) throw new Error(`Invalid commentary cursor: ${cursor} (innings ${inningsId} hasn't started)`);
+
+  // Walk back into the previous innings when this one runs out
+  for (; inningsId >= 1; inningsId--) {
+    const json = JSON.parse(await fetchPage(
+      `/api/cricket-match/commentary-pagination/${matchId}/${inningsId}/${timestamp}`));
+    const page = commentaryPage(json.commentaryList || [], perPage);
+    if (page.balls.length) return page;
+  }
+  return { balls: [], overs: [], nextCursor: null };
+}
+
 // ── Public API ──────────────────────────────────────────────────────────────
 module.exports = {
+  name: 'cricbuzz',
+
+  isConfigured: () => true,
+
+  // "{cricbuzzMatchId}~{urlSlug}" or a bare numeric id
+  ownsId: (id) => /^\d+(~.*)?$/.test(id),
 
   async getCurrentMatches() {
     const matches = await fetchMatchList();
@@ -429,7 +722,10 @@ module.exports = {
       : `/live-cricket-scorecard/${matchId}`;
     const html = await fetchPage(path);
     const scorecard = parseScorecardHtml(html);
-    return { data: { scorecard } };
+    // Innings headers on the page, to spot innings the parser missed
+    const headers = new Set(html.match(/id="team-\d+-innings-\d+"/g) || []).size;
+    const dataQuality = quality.record('scorecard', id, quality.checkScorecard(scorecard, { headers }));
+    return { data: { scorecard, dataQuality } };
   },
 
   // id = "{cricbuzzMatchId}~{urlSlug}"
@@ -443,7 +739,29 @@ module.exports = {
       : `/live-cricket-scorecard/${matchId}`;
     const html = await fetchPage(path);
     const info = parseMatchInfoHtml(html);
+    const dataQuality = quality.record('matchInfo', id, quality.checkMatchInfo(info));
+
+    return { data: { id, ...info, dataQuality } };
+  },
+
+  // id = "{cricbuzzMatchId}~{urlSlug}". The same scorecard page; its innings
+  // give the batting order
+  async getSquads(id) {
+    const [matchId, slug] = id.split('~');
+    if (!matchId) throw new Error(`Invalid match id: ${id}`);
+    const path = slug
+      ? `/live-cricket-scorecard/${matchId}/${slug}`
+      : `/live-cricket-scorecard/${matchId}`;
+    const html = await fetchPage(path);
+    const { teams, teamInfo } = parseMatchInfoHtml(html);
+    const scorecard = { scorecard: parseScorecardHtml(html) };
+    const lineups = parseSquadsHtml(html, teams).map(s => squads.withBattingOrder(s, scorecard));
+    return { data: { id, teams: lineups.map(s => s.team), teamInfo, squads: lineups } };
+  },
 
-    return { data: { id, ...info } };
+  // id = "{cricbuzzMatchId}~{urlSlug}"; cursor comes from a previous page's nextCursor
+  async getCommentary(id, cursor) {
+    const page = await fetchCommentary(id, cursor);
+    return { data: { id, ...page } };
   },
 };
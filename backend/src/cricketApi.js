@@ -3,7 +3,8 @@
  * All calls go through here so we can swap providers easily later
  */
 
-const fetch = require('node-fetch');
+const fetch  = require('node-fetch');
+const squads = require('./squads');
 require('dotenv').config();
 
 const API_KEY = process.env.CRICKET_API_KEY;
@@ -26,20 +27,76 @@ async function apiGet(endpoint, params = {}) {
   return json;
 }
 
+// CricketData reports innings totals as { R, W, O } — reshape them to the
+// { r, w, o } the scraper produces so callers don't care which provider answered
+function normalizeInning(inn) {
+  const t = inn.totals || {};
+  return {
+    ...inn,
+    total: inn.total || (t.R !== undefined ? { r: t.R, w: t.W, o: t.O } : null),
+  };
+}
+
+// Match lists carry a series_id but no series name; the name is the tail of
+// the match name ("India vs Australia, 2nd T20I, Australia tour of India, 2025")
+function withSeries(json) {
+  const data = (json.data || []).map(m => {
+    if (!m.series_id) return m;
+    const parts = String(m.name || '').split(', ');
+    return { ...m, series: { id: m.series_id, name: parts.length > 2 ? parts.slice(2).join(', ') : '' } };
+  });
+  return { ...json, data };
+}
+
+// CricketData match IDs are UUIDs
+const ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 module.exports = {
+  name: 'cricketdata',
+
+  // Only usable once an API key has been configured
+  isConfigured: () => !!API_KEY,
+
+  ownsId: (id) => ID_RE.test(id),
+
   // Returns current + recently ended matches
-  getCurrentMatches: (offset = 0) =>
-    apiGet('currentMatches', { offset }),
+  getCurrentMatches: async (offset = 0) =>
+    withSeries(await apiGet('currentMatches', { offset })),
 
   // Returns upcoming + scheduled matches
-  getMatches: (offset = 0) =>
-    apiGet('matches', { offset }),
+  getMatches: async (offset = 0) =>
+    withSeries(await apiGet('matches', { offset })),
 
   // Returns full scorecard for a match
-  getScorecard: (matchId) =>
-    apiGet('match_scorecard', { id: matchId }),
+  getScorecard: async (matchId) => {
+    const json = await apiGet('match_scorecard', { id: matchId });
+    const scorecard = (json.data?.scorecard || []).map(normalizeInning);
+    return { ...json, data: { ...json.data, scorecard } };
+  },
 
   // Returns match info (venue, toss, umpires etc)
   getMatchInfo: (matchId) =>
     apiGet('match_info', { id: matchId }),
+
+  // Returns each team's squad. CricketData doesn't say who plays, so there's
+  // no XI or bench — just the squad list.
+  getSquads: async (matchId) => {
+    const json = await apiGet('match_squad', { id: matchId });
+    const sides = json.data || [];
+    return {
+      ...json,
+      data: {
+        teams:    sides.map(t => t.teamName),
+        teamInfo: sides.map(t => ({ name: t.teamName, shortname: t.shortname || '', img: t.img || null })),
+        squads:   sides.map(t => ({
+          team:         t.teamName,
+          announced:    !!t.players?.length,
+          battingOrder: null,
+          playing:      [],
+          bench:        [],
+          squad:        (t.players || []).map(p => squads.player(p.name, { profileId: p.id })),
+        })),
+      },
+    };
+  },
 };
@@ -0,0 +1,510 @@
+/**
+ * Cricsheet JSON — a match in the public Cricsheet schema
+ * (https://cricsheet.org/format/json/): meta, info, innings
+ *
+ * Built from what the providers already parse:
+ *  - info     the match list entry (format, gender, category, series, status),
+ *             parseMatchInfoHtml (venue, toss, officials) and the scorecard
+ *             (each side's players, in batting order)
+ *  - innings  one per scorecard innings, with a target for limited-overs
+ *             chases. `overs` (the deliveries) is filled in from commentary
+ *             only when it reaches the innings' first ball — a partial
+ *             innings isn't passed off as a whole one.
+ *
+ * Commentary names batters and bowlers by short name ("Stoinis"); they are
+ * matched to the scorecard's full names. The non-striker isn't in the
+ * commentary: it is followed from the openers and the batting order.
+ * Registry IDs (Cricsheet's people register) aren't known and are left out.
+ *
+ * fromCricsheet() goes the other way for imports (importer.js): a Cricsheet
+ * file — current JSON or legacy YAML — becomes a match, scorecard and match
+ * info like the providers', with the figures added up from the deliveries.
+ */
+
+const { resultOf }  = require('./series');
+const { cleanName } = require('./players');
+
+const DATA_VERSION = '1.1.0';
+
+const OVERS = { odi: 50, t20: 20, t10: 10, hundred: 20 };
+
+const EXTRAS = { wide: 'wides', noball: 'noballs', legbye: 'legbyes', bye: 'byes' };
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+function teamOf(inning) {
+  return String(inning || '').replace(/\s+Inning\s+\d+$/i, '').trim();
+}
+
+function norm(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function matchTypeOf(format, international) {
+  if (format === 'test') return international ? 'Test' : 'MDM';
+  if (format === 'odi')  return international ? 'ODI' : 'ODM';
+  if (['t20', 't10', 'hundred'].includes(format)) return 'T20';
+  return null;
+}
+
+// "Australia won by 48 runs" / "by 5 wkts" / "by an innings and 12 runs" /
+// "Match tied (India won the Super Over)" / "Match drawn"
+function outcomeOf(match) {
+  const status = String(match.status || '');
+  if (/\bdrawn?\b/i.test(status)) return { result: 'draw' };
+
+  const result = resultOf(match);
+  if (!result) return null;
+  if (result.type === 'no_result') return { result: 'no result' };
+  if (result.type === 'tie') return { result: 'tie' };
+  if (/\btied\b/i.test(status)) return { result: 'tie', eliminator: result.winner };
+
+  const by = {};
+  const innings = status.match(/by an innings and (\d+) runs?/i);
+  const runs    = status.match(/by (\d+) runs?/i);
+  const wickets = status.match(/by (\d+) (?:wkts?|wickets?)/i);
+  if (innings)      Object.assign(by, { innings: 1, runs: +innings[1] });
+  else if (runs)    by.runs = +runs[1];
+  else if (wickets) by.wickets = +wickets[1];
+  return Object.keys(by).length ? { winner: result.winner, by } : { winner: result.winner };
+}
+
+// Each side's players from the scorecard: batting order, did not bat, then
+// bowlers who didn't bat
+function playersOf(teams, innings) {
+  const players = Object.fromEntries(teams.map(t => [t, []]));
+  const add = (team, name) => {
+    name = cleanName(name);
+    if (team && name && players[team] && !players[team].includes(name)) players[team].push(name);
+  };
+  for (const inn of innings) {
+    const team = teamOf(inn.inning);
+    (inn.batting || []).forEach(b => add(team, b.batsman?.name));
+    (inn.didNotBat || []).forEach(p => add(team, p.name));
+  }
+  for (const inn of innings) {
+    const fielding = teams.find(t => t !== teamOf(inn.inning));
+    (inn.bowling || []).forEach(b => add(fielding, b.bowler?.name));
+  }
+  return players;
+}
+
+// Commentary / dismissal short name → the full name in `names`: the same
+// name, else the only one ending ("Stoinis") or starting ("Abhishek") with it
+function fullName(short, names) {
+  const n = norm(short);
+  if (!n) return short || null;
+  const exact = names.find(x => norm(x) === n);
+  if (exact) return exact;
+  const ends = names.filter(x => norm(x).endsWith(` ${n}`));
+  if (ends.length === 1) return ends[0];
+  const starts = names.filter(x => norm(x).startsWith(`${n} `));
+  return starts.length === 1 && !ends.length ? starts[0] : short;
+}
+
+// Scorecard dismissal text → Cricsheet wicket kind and fielders
+function dismissalOf(text) {
+  const t = String(text || '').trim();
+  let m;
+  if ((m = t.match(/^c\s*&\s*b\s+/i)))                return { kind: 'caught and bowled' };
+  if ((m = t.match(/^c\s+(?:\(sub\)\s*)?(.+?)\s+b\s+/i))) return { kind: 'caught', fielders: [m[1]] };
+  if ((m = t.match(/^st\s+(.+?)\s+b\s+/i)))          return { kind: 'stumped', fielders: [m[1]] };
+  if (/^lbw\b/i.test(t))                              return { kind: 'lbw' };
+  if (/^b\s+/i.test(t))                               return { kind: 'bowled' };
+  if ((m = t.match(/^run out\s*(?:\((.+?)\))?/i)))    return { kind: 'run out', fielders: m[1] ? m[1].split('/').map(s => s.trim()) : [] };
+  if (/^hit wicket/i.test(t))                         return { kind: 'hit wicket' };
+  if (/^retired hurt/i.test(t))                       return { kind: 'retired hurt' };
+  if (/^retired/i.test(t))                            return { kind: 'retired out' };
+  if (/obstruct/i.test(t))                            return { kind: 'obstructing the field' };
+  if (/handled/i.test(t))                             return { kind: 'handled the ball' };
+  if (/timed out/i.test(t))                           return { kind: 'timed out' };
+  return null;
+}
+
+// "…, out Caught by Dube!! Inglis c Dube b Varun Chakaravarthy 19(13)" —
+// who's out, when it's not the striker (run outs)
+function outPlayerOf(text, striker, nonStriker) {
+  const after = String(text || '').split('!!')[1]?.trim().toLowerCase() || '';
+  const starts = name => name && norm(name).split(' ').some(w => w.length > 1 && after.startsWith(`${w} `));
+  if (nonStriker && !starts(striker) && starts(nonStriker)) return nonStriker;
+  return striker;
+}
+
+// ── Deliveries ──────────────────────────────────────────────────────────────
+// balls: one innings' commentary, oldest first
+function oversOf(balls, inn, batters, fielders) {
+  const order = (inn.batting || []).map(b => cleanName(b.batsman?.name)).filter(Boolean);
+  const crease = order.slice(0, 2);
+  let nextIn = 2;
+  const dismissals = new Map((inn.batting || []).map(b => [cleanName(b.batsman?.name), b['dismissal-text']]));
+
+  const overs = [];
+  for (const ball of balls) {
+    const batter = fullName(ball.batter, batters);
+    const bowler = fullName(ball.bowler, fielders);
+
+    // A batter the crease doesn't know about replaces the longest-standing one
+    if (!crease.includes(batter)) {
+      if (crease.length >= 2) crease.shift();
+      crease.push(batter);
+      if (order.indexOf(batter) >= nextIn) nextIn = order.indexOf(batter) + 1;
+    }
+    const nonStriker = crease.find(n => n !== batter) || null;
+
+    const runs  = ball.runs || 0;
+    const extra = ball.extras === 'noball' ? 1 : ball.extras ? runs : 0;
+    const delivery = {
+      batter,
+      bowler,
+      non_striker: nonStriker,
+      runs: { batter: runs - extra, extras: extra, total: runs },
+    };
+    if (ball.extras) delivery.extras = { [EXTRAS[ball.extras]]: extra };
+
+    if (ball.wicket) {
+      const out = outPlayerOf(ball.text, batter, nonStriker);
+      // The scorecard has the full dismissal; the commentary's "out Caught by…" if not
+      const said = String(ball.text || '').match(/\bout\s+([a-z ]+?)(?:\s+by\b|!)/i)?.[1];
+      const how = dismissalOf(dismissals.get(out)) || { kind: said ? said.toLowerCase() : 'unknown' };
+      const wicket = { player_out: out, kind: how.kind };
+      if (how.fielders?.length) wicket.fielders = how.fielders.map(f => ({ name: fullName(f, fielders) }));
+      delivery.wickets = [wicket];
+
+      if (crease.includes(out)) crease.splice(crease.indexOf(out), 1);
+      if (nextIn < order.length) crease.push(order[nextIn++]);
+    }
+
+    const over = Math.floor(Number(ball.over));
+    if (overs[overs.length - 1]?.over !== over) overs.push({ over, deliveries: [] });
+    overs[overs.length - 1].deliveries.push(delivery);
+  }
+  return overs;
+}
+
+// ── Export ──────────────────────────────────────────────────────────────────
+// match: the match list entry; scorecard / info: provider data; balls:
+// commentary balls in any order (empty when there's none)
+function toCricsheet({ match = {}, scorecard = {}, info = {}, balls = [] }) {
+  const innings = scorecard.scorecard || [];
+  const teams   = match.teams?.length ? match.teams : info.teams || [];
+  const format  = match.format || null;
+  const international = match.category === 'international';
+  const players = playersOf(teams, innings);
+
+  const start = Date.parse(match.dateTimeGMT || info.dateTimeGMT);
+  const [venue, ...city] = String(info.venue || match.venue || '').split(',').map(s => s.trim());
+  const umpires = String(info.umpires || '').split(',').map(s => s.trim()).filter(Boolean);
+  const eventName = match.series?.name || info.seriesName;
+  const matchNumber = String(match.matchDesc || '').match(/^(\d+)(?:st|nd|rd|th)\b/i);
+  const outcome = match.matchEnded ? outcomeOf({ ...match, teams }) : null;
+
+  const out = {
+    meta: { data_version: DATA_VERSION, created: new Date().toISOString().slice(0, 10), revision: 1 },
+    info: {
+      balls_per_over: format === 'hundred' ? 5 : 6,
+      city: city.join(', ') || undefined,
+      dates: Number.isFinite(start) ? [new Date(start).toISOString().slice(0, 10)] : [],
+      event: eventName ? { name: eventName, ...(matchNumber && { match_number: +matchNumber[1] }) } : undefined,
+      gender: match.gender === 'womens' ? 'female' : 'male',
+      match_type: matchTypeOf(format, international) || undefined,
+      officials: umpires.length || info.matchReferee ? {
+        ...(umpires.length && { umpires: umpires.slice(0, 2) }),
+        ...(umpires.length > 2 && { tv_umpires: umpires.slice(2) }),
+        ...(info.matchReferee && { match_referees: [info.matchReferee] }),
+      } : undefined,
+      outcome: outcome || undefined,
+      overs: OVERS[format],
+      players,
+      season: Number.isFinite(start) ? String(new Date(start).getUTCFullYear()) : undefined,
+      team_type: international ? 'international' : 'club',
+      teams,
+      toss: info.tossWinner ? { winner: info.tossWinner, decision: info.tossChoice === 'bowl' ? 'field' : 'bat' } : undefined,
+      venue: venue || undefined,
+    },
+    innings: innings.map((inn, i) => {
+      const team = teamOf(inn.inning);
+      const entry = { team };
+
+      const own = balls
+        .filter(b => (+b.innings || 1) === i + 1)
+        .sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0) || Number(a.over) - Number(b.over));
+      if (own.some(b => b.over === '0.1')) {
+        entry.overs = oversOf(own, inn, players[team] || [], players[teams.find(t => t !== team)] || []);
+      }
+
+      // Limited-overs chase
+      const first = innings[0]?.total?.r;
+      if (i === 1 && OVERS[format] && Number.isFinite(first)) entry.target = { overs: OVERS[format], runs: first + 1 };
+      return entry;
+    }),
+  };
+  return JSON.parse(JSON.stringify(out));   // drops the undefined fields
+}
+
+// ── Import ──────────────────────────────────────────────────────────────────
+// Cricsheet files → the shapes the providers produce: a match list entry
+// (normalizeMatch), a scorecard (parseScorecardHtml) and match info
+// (parseMatchInfoHtml). Batting and bowling figures are added up from the
+// deliveries.
+
+const TYPES  = { Test: 'test', MDM: 'test', ODI: 'odi', ODM: 'odi', T20: 't20', IT20: 't20' };
+const LABELS = { Test: 'Test', ODI: 'ODI', IT20: 'T20I' };
+
+// Credited to the bowler / not a wicket at all
+const BOWLER_KINDS  = ['bowled', 'caught', 'caught and bowled', 'lbw', 'stumped', 'hit wicket'];
+const NOT_OUT_KINDS = ['retired hurt', 'retired not out'];
+
+function ordinal(n) {
+  const suffix = ['th', 'st', 'nd', 'rd'];
+  const v = n % 100;
+  return `${n}${suffix[(v - 20) % 10] || suffix[v] || suffix[0]}`;
+}
+
+function slug(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Legacy YAML files (data_version 0.9) nest each innings under "1st innings"
+// and key each delivery by its ball ("0.1") → the current JSON layout
+function currentLayout(doc) {
+  const innings = (doc.innings || []).map(inn => {
+    if (inn.team) return inn;
+    const [[label, body]] = Object.entries(inn);
+    const overs = [];
+    for (const entry of body.deliveries || []) {
+      const [[ball, d]] = Object.entries(entry);
+      const over = Math.floor(Number(ball));
+      if (overs[overs.length - 1]?.over !== over) overs.push({ over, deliveries: [] });
+      overs[overs.length - 1].deliveries.push(d);
+    }
+    const { deliveries, ...rest } = body;
+    return { ...rest, overs, super_over: /super over/i.test(label) };
+  });
+  return { ...doc, innings };
+}
+
+// Legacy names too: batsman → batter, wicket → wickets, fielders as strings
+function deliveryOf(d) {
+  const runs = d.runs || {};
+  return {
+    batter:      d.batter ?? d.batsman,
+    bowler:      d.bowler,
+    non_striker: d.non_striker,
+    runs:        { batter: runs.batter ?? runs.batsman ?? 0, total: runs.total ?? 0, non_boundary: !!runs.non_boundary },
+    extras:      d.extras || {},
+    wickets:     (d.wickets || [].concat(d.wicket || [])).map(w => ({
+      ...w, fielders: (w.fielders || []).map(f => (typeof f === 'string' ? { name: f } : f)),
+    })),
+  };
+}
+
+// Cricbuzz's wording: "c Inglis b Hazlewood", "c & b Ellis", "run out (Short)"
+function dismissalText(w, bowler) {
+  const fielder = f => `${f.substitute ? '(sub)' : ''}${f.name || 'sub'}`;
+  const [first] = w.fielders;
+  switch (w.kind) {
+    case 'caught':            return `c ${first ? fielder(first) : 'sub'} b ${bowler}`;
+    case 'caught and bowled': return `c & b ${bowler}`;
+    case 'bowled':            return `b ${bowler}`;
+    case 'lbw':               return `lbw b ${bowler}`;
+    case 'stumped':           return `st ${first ? fielder(first) : 'sub'} b ${bowler}`;
+    case 'hit wicket':        return `hit wicket b ${bowler}`;
+    case 'run out':           return w.fielders.length ? `run out (${w.fielders.map(fielder).join('/')})` : 'run out';
+    default:                  return w.kind;
+  }
+}
+
+function oversText(balls, perOver) {
+  const part = balls % perOver;
+  return `${Math.floor(balls / perOver)}${part ? `.${part}` : ''}`;
+}
+
+// One innings' scorecard, added up ball by ball
+function scorecardInnings(inn, perOver, squad) {
+  const batters = new Map(), bowlers = new Map();
+  const batter = name => {
+    if (!batters.has(name)) batters.set(name, { name, r: 0, b: 0, fours: 0, sixes: 0, dismissal: 'not out' });
+    return batters.get(name);
+  };
+  const bowler = name => {
+    if (!bowlers.has(name)) bowlers.set(name, { name, balls: 0, m: 0, r: 0, w: 0, nb: 0, wd: 0 });
+    return bowlers.get(name);
+  };
+  const extras = { b: 0, lb: 0, w: 0, nb: 0, p: 0 };
+  const fow = [], partnerships = [];
+  let total = 0, wickets = 0, legal = 0;
+  let stand = { runs: 0, balls: 0, batsmen: [] };
+  const inStand = name => {
+    let s = stand.batsmen.find(b => b.name === name);
+    if (!s && stand.batsmen.length < 2) stand.batsmen.push(s = { name, r: 0, b: 0 });
+    return s;
+  };
+
+  for (const over of inn.overs || []) {
+    let overBalls = 0, overConceded = 0;
+    const overBowler = over.deliveries?.[0] && deliveryOf(over.deliveries[0]).bowler;
+
+    for (const raw of over.deliveries || []) {
+      const d = deliveryOf(raw);
+      const e = d.extras;
+      const wide = e.wides || 0, noball = e.noballs || 0;
+      const conceded = d.runs.total - (e.byes || 0) - (e.legbyes || 0) - (e.penalty || 0);
+
+      const striker = batter(d.batter);
+      batter(d.non_striker);
+      striker.r += d.runs.batter;
+      if (!wide) striker.b++;
+      if (!d.runs.non_boundary && d.runs.batter === 4) striker.fours++;
+      if (!d.runs.non_boundary && d.runs.batter === 6) striker.sixes++;
+
+      const bw = bowler(d.bowler);
+      bw.r += conceded;
+      if (wide) bw.wd++;
+      if (noball) bw.nb++;
+      if (!wide && !noball) { bw.balls++; legal++; overBalls++; }
+      overConceded += conceded;
+
+      extras.b  += e.byes || 0;
+      extras.lb += e.legbyes || 0;
+      extras.w  += wide;
+      extras.nb += noball;
+      extras.p  += e.penalty || 0;
+      total     += d.runs.total;
+
+      const partner = inStand(d.batter);
+      inStand(d.non_striker);
+      stand.runs += d.runs.total;
+      if (!wide) stand.balls++;
+      if (partner) {
+        partner.r += d.runs.batter;
+        if (!wide) partner.b++;
+      }
+
+      for (const w of d.wickets) {
+        batter(w.player_out).dismissal = dismissalText(w, d.bowler);
+        if (NOT_OUT_KINDS.includes(w.kind)) {
+          stand.batsmen = stand.batsmen.filter(b => b.name !== w.player_out);
+          continue;
+        }
+        if (BOWLER_KINDS.includes(w.kind)) bw.w++;
+        wickets++;
+        fow.push({ wicket: wickets, score: total, over: Number(`${over.over}.${overBalls}`), batsman: { name: w.player_out } });
+        partnerships.push({ wicket: wickets, runs: stand.runs, balls: stand.balls, batsmen: stand.batsmen, unbroken: false });
+        stand = {
+          runs: 0, balls: 0,
+          batsmen: stand.batsmen.filter(b => b.name !== w.player_out).map(b => ({ name: b.name, r: 0, b: 0 })),
+        };
+      }
+    }
+    if (overBalls === perOver && overConceded === 0 && overBowler) bowler(overBowler).m++;
+  }
+  if (stand.batsmen.length === 2 && (stand.runs || stand.balls)) {
+    partnerships.push({ wicket: wickets + 1, ...stand, unbroken: true });
+  }
+
+  const penalty = (inn.penalty_runs?.pre || 0) + (inn.penalty_runs?.post || 0);
+  extras.p += penalty;
+  total    += penalty;
+
+  return {
+    batting: [...batters.values()].map(b => ({
+      batsman: { name: b.name },
+      'dismissal-text': b.dismissal,
+      r: b.r, b: b.b, '4s': b.fours, '6s': b.sixes,
+      sr: b.b ? +(b.r * 100 / b.b).toFixed(2) : 0,
+    })),
+    bowling: [...bowlers.values()].map(b => ({
+      bowler: { name: b.name },
+      o: Number(oversText(b.balls, perOver)), m: b.m, r: b.r, w: b.w, nb: b.nb, wd: b.wd,
+    })),
+    extras,
+    total: { r: total, w: wickets, o: oversText(legal, perOver) },
+    fow,
+    partnerships,
+    didNotBat: squad.filter(name => !batters.has(name)).map(name => ({ name })),
+  };
+}
+
+// Status line in Cricbuzz's words: "India won by 48 runs", "… by 5 wkts"
+function statusOf(outcome = {}) {
+  const method = outcome.method ? ` (${outcome.method})` : '';
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  if (outcome.winner) {
+    const by = outcome.by || {};
+    if (by.innings)               return `${outcome.winner} won by an innings and ${plural(by.runs || 0, 'run')}${method}`;
+    if (by.runs !== undefined)    return `${outcome.winner} won by ${plural(by.runs, 'run')}${method}`;
+    if (by.wickets !== undefined) return `${outcome.winner} won by ${plural(by.wickets, 'wkt')}${method}`;
+    return `${outcome.winner} won${method}`;
+  }
+  if (outcome.result === 'tie')       return outcome.eliminator ? `Match tied (${outcome.eliminator} won the Super Over)` : 'Match tied';
+  if (outcome.result === 'draw')      return 'Match drawn';
+  if (outcome.result === 'no result') return 'No result';
+  return outcome.result || '';
+}
+
+// doc: a parsed Cricsheet file (JSON or legacy YAML); fileId: its file name
+// without the extension (Cricsheet's match ID) → { match, scorecard, info }
+function fromCricsheet(doc, fileId) {
+  if (!doc?.info?.teams || !Array.isArray(doc.innings)) throw new Error('Not a Cricsheet match file');
+  const { info: meta, innings: raw } = currentLayout(doc);
+  const perOver = meta.balls_per_over || 6;
+  const teams   = meta.teams;
+
+  const count = {};
+  const innings = raw.filter(inn => !inn.super_over).map(inn => {
+    count[inn.team] = (count[inn.team] || 0) + 1;
+    return { inning: `${inn.team} Inning ${count[inn.team]}`, ...scorecardInnings(inn, perOver, meta.players?.[inn.team] || []) };
+  });
+  const score = innings.map(inn => ({ inning: inn.inning, r: inn.total.r, w: inn.total.w, o: inn.total.o }));
+
+  const eventName = meta.event?.name || '';
+  const label     = LABELS[meta.match_type] || (meta.match_type === 'T20' && meta.team_type === 'international' ? 'T20I' : 'Match');
+  const matchDesc = meta.event?.match_number ? `${ordinal(meta.event.match_number)} ${label}` : meta.event?.stage || '';
+  const date      = meta.dates?.[0] ? String(meta.dates[0]) : '';
+  const start     = date ? new Date(`${date}T00:00:00Z`).toISOString() : '';
+  const venue     = [meta.venue, meta.venue?.includes(meta.city) ? null : meta.city].filter(Boolean).join(', ');
+  const teamInfo  = teams.map(name => ({ name, shortname: '', img: null }));
+  const status    = statusOf(meta.outcome);
+
+  const match = {
+    id:          `cricsheet-${fileId}`,
+    name:        [eventName, matchDesc].filter(Boolean).join(' – ') || teams.join(' vs '),
+    series:      eventName ? { id: `cricsheet-${slug(`${eventName} ${meta.season ?? ''}`)}`, name: eventName } : null,
+    matchDesc,
+    matchType:   TYPES[meta.match_type] || String(meta.match_type || '').toLowerCase(),
+    status,
+    dateTimeGMT: start,
+    matchStarted: true,
+    matchEnded:   true,
+    state:       'Complete',
+    paused:      false,
+    venue,
+    teams,
+    teamInfo,
+    score,
+    gender:      meta.gender === 'female' ? 'womens' : 'mens',
+    category:    meta.team_type === 'international' ? 'international' : 'domestic',
+    source:      'cricsheet',
+  };
+
+  const officials = meta.officials || { umpires: meta.umpires };
+  const toss = meta.toss || {};
+  const info = {
+    teams,
+    teamInfo,
+    score,
+    matchType:    match.matchType,
+    seriesName:   eventName,
+    date,
+    venue,
+    dateTimeGMT:  start,
+    status:       toss.winner ? `${toss.winner} won the toss and opt to ${toss.decision === 'field' ? 'bowl' : 'bat'}` : '',
+    tossWinner:   toss.winner || '',
+    tossChoice:   toss.decision === 'field' ? 'bowl' : toss.decision || '',
+    umpires:      [...(officials.umpires || []), ...(officials.tv_umpires || [])].join(', '),
+    matchReferee: (officials.match_referees || []).join(', '),
+  };
+
+  return { match, scorecard: { scorecard: innings }, info };
+}
+
+module.exports = { toCricsheet, fromCricsheet, dismissalOf, outcomeOf };
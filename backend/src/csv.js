@@ -0,0 +1,75 @@
+/**
+ * Scorecard as CSV — one table for spreadsheets, built from a parsed
+ * scorecard (parseScorecardHtml's shape, see cricbuzzScraper.js)
+ *
+ * Every row has the same columns, and `section` says what it is:
+ *   batting          player, dismissal, runs, balls, fours, sixes, strike_rate
+ *   did_not_bat      player
+ *   extras           runs, and the breakdown ("b 0, lb 2, w 3, nb 1, p 0") as dismissal
+ *   total            runs, wickets, overs
+ *   fall_of_wickets  position = wicket number, player out, runs = team score, overs
+ *   bowling          player, overs, maidens, runs, wickets, no_balls, wides, economy
+ */
+
+const COLUMNS = [
+  'innings', 'team', 'section', 'position', 'player', 'dismissal',
+  'runs', 'balls', 'fours', 'sixes', 'strike_rate',
+  'overs', 'maidens', 'wickets', 'no_balls', 'wides', 'economy',
+];
+
+// RFC 4180: quote fields holding a comma, quote or line break
+function field(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function teamOf(inn) {
+  return String(inn.inning || '').replace(/\s+Inning\s+\d+$/i, '').trim();
+}
+
+function economy(b) {
+  const [whole, part] = String(b.o ?? '').split('.');
+  const balls = (+whole || 0) * 6 + (+part || 0);
+  return balls && b.r !== undefined ? (b.r * 6 / balls).toFixed(2) : null;
+}
+
+function rows(inn, n) {
+  const base = { innings: n, team: teamOf(inn) };
+  const out = [];
+  (inn.batting || []).forEach((b, i) => out.push({
+    ...base, section: 'batting', position: i + 1, player: b.batsman?.name, dismissal: b['dismissal-text'],
+    runs: b.r, balls: b.b, fours: b['4s'], sixes: b['6s'], strike_rate: b.sr,
+  }));
+  (inn.didNotBat || []).forEach((p, i) => out.push({
+    ...base, section: 'did_not_bat', position: (inn.batting || []).length + i + 1, player: p.name,
+  }));
+  if (inn.extras) {
+    const e = inn.extras;
+    out.push({
+      ...base, section: 'extras',
+      runs: ['b', 'lb', 'w', 'nb', 'p'].reduce((sum, k) => sum + (+e[k] || 0), 0),
+      dismissal: `b ${e.b ?? 0}, lb ${e.lb ?? 0}, w ${e.w ?? 0}, nb ${e.nb ?? 0}, p ${e.p ?? 0}`,
+    });
+  }
+  if (inn.total) out.push({ ...base, section: 'total', runs: inn.total.r, wickets: inn.total.w, overs: inn.total.o });
+  (inn.fow || []).forEach(f => out.push({
+    ...base, section: 'fall_of_wickets', position: f.wicket, player: f.batsman?.name, runs: f.score, overs: f.over,
+  }));
+  (inn.bowling || []).forEach((b, i) => out.push({
+    ...base, section: 'bowling', position: i + 1, player: b.bowler?.name,
+    overs: b.o, maidens: b.m, runs: b.r, wickets: b.w, no_balls: b.nb, wides: b.wd, economy: economy(b),
+  }));
+  return out;
+}
+
+// scorecard: { scorecard: [innings…] } → CSV text with a header row
+function scorecardCsv(scorecard) {
+  const lines = [COLUMNS.join(',')];
+  (scorecard?.scorecard || []).forEach((inn, i) => {
+    for (const row of rows(inn, i + 1)) lines.push(COLUMNS.map(c => field(row[c])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { scorecardCsv, field };
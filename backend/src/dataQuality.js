@@ -0,0 +1,148 @@
+/**
+ * Parse-quality checks for scraped data
+ *
+ * Cricbuzz markup changes don't make the parsers throw — they quietly return
+ * empty batting arrays, null totals or blank facts. Every parse is checked
+ * against structural invariants instead:
+ *
+ *  - scorecard:  batting runs + extras = total, bowlers' wickets = dismissals
+ *                credited to a bowler, total wickets = batters out, one fall
+ *                of wicket per wicket, partnerships adding up to the total,
+ *                and no innings header without a parsed innings
+ *  - matchInfo:  two teams, venue / start time / format present, toss known
+ *                once the match has a score
+ *  - matchList:  matches found, each with two teams and a format
+ *
+ * Results are kept per parser for the most recent matches. A parser is
+ * "degraded" when a good share of them fail, which /api/health reports.
+ * Each checked payload also gets a `dataQuality: { ok, issues }` flag.
+ */
+
+const RECENT_MATCHES = 50;     // per parser
+const DEGRADED_SHARE = 0.3;    // of recent matches failing
+const DEGRADED_MIN   = 2;      // …and at least this many
+const EXAMPLES       = 5;
+
+const parsers = {};   // name → { checks, failures, recent: Map(matchId → result) }
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+function isOut(dismissal) {
+  const d = String(dismissal || '').trim().toLowerCase();
+  return !!d && !['not out', 'batting'].includes(d) && !d.startsWith('retired');
+}
+
+// Run outs, obstruction, timed out, handled the ball: out, but no bowler credit
+function bowlerCredited(dismissal) {
+  const d = String(dismissal || '').trim().toLowerCase();
+  return isOut(dismissal) && !/^(run out|obstruct|timed out|handled)/.test(d);
+}
+
+function sum(list, fn) {
+  return list.reduce((n, x) => n + (fn(x) || 0), 0);
+}
+
+// ── Invariants ──────────────────────────────────────────────────────────────
+// innings: normalized scorecard innings; headers: innings headers seen on the
+// page (0 when unknown)
+function checkScorecard(innings, { headers = 0 } = {}) {
+  const issues = [];
+  if (!innings.length && headers) issues.push(`${headers} innings header(s) but no innings parsed`);
+
+  innings.forEach(inn => {
+    const label   = inn.inning || 'innings';
+    const batting = inn.batting || [];
+    const bowling = inn.bowling || [];
+    const total   = inn.total;
+
+    if (!total) { issues.push(`${label}: no total`); return; }
+    if (!batting.length && total.r > 0) issues.push(`${label}: total ${total.r} but no batters`);
+    if (!bowling.length && (total.r > 0 || total.w > 0)) issues.push(`${label}: no bowlers`);
+    if (!batting.length) return;
+
+    const extras = inn.extras ? sum(Object.values(inn.extras), x => x) : 0;
+    const runs   = sum(batting, b => b.r);
+    if (runs + extras !== total.r) {
+      issues.push(`${label}: batting ${runs} + extras ${extras} ≠ total ${total.r}`);
+    }
+
+    const out = batting.filter(b => isOut(b['dismissal-text'])).length;
+    if (total.w !== null && total.w !== undefined && out !== total.w) {
+      issues.push(`${label}: ${out} batters out but total shows ${total.w} wickets`);
+    }
+
+    if (bowling.length) {
+      const credited = batting.filter(b => bowlerCredited(b['dismissal-text'])).length;
+      const taken    = sum(bowling, b => b.w);
+      if (credited !== taken) issues.push(`${label}: bowlers took ${taken} wickets, dismissals credit ${credited}`);
+    }
+
+    // Fall of wickets and partnerships are optional sections — check them only when present
+    const fow = inn.fow || [];
+    if (fow.length && total.w !== null && total.w !== undefined && fow.length !== total.w) {
+      issues.push(`${label}: ${fow.length} falls of wicket but total shows ${total.w} wickets`);
+    }
+    const partnerships = inn.partnerships || [];
+    const stands = sum(partnerships, p => p.runs);
+    if (partnerships.length && stands !== total.r) {
+      issues.push(`${label}: partnerships add up to ${stands}, total ${total.r}`);
+    }
+  });
+
+  return issues;
+}
+
+function checkMatchInfo(info) {
+  const issues = [];
+  if ((info.teams || []).length !== 2) issues.push(`${(info.teams || []).length} teams`);
+  if (!info.venue)       issues.push('no venue');
+  if (!info.dateTimeGMT) issues.push('no start time');
+  if (!info.matchType)   issues.push('no match format');
+  if ((info.score || []).length && !info.tossWinner) issues.push('match has a score but no toss');
+  return issues;
+}
+
+function checkMatch(m) {
+  const issues = [];
+  if ((m.teams || []).length !== 2) issues.push(`${(m.teams || []).length} teams`);
+  if (!m.matchType) issues.push('no match format');
+  if (!m.status && !m.state) issues.push('no status');
+  return issues;
+}
+
+// ── Recording ───────────────────────────────────────────────────────────────
+function record(parser, matchId, issues) {
+  const p = parsers[parser] = parsers[parser] || { checks: 0, failures: 0, recent: new Map() };
+  p.checks++;
+  if (issues.length) p.failures++;
+
+  // Re-insert so the map stays ordered oldest → newest
+  p.recent.delete(matchId);
+  p.recent.set(matchId, { ok: !issues.length, issues, at: new Date().toISOString() });
+  if (p.recent.size > RECENT_MATCHES) p.recent.delete(p.recent.keys().next().value);
+
+  if (issues.length) console.warn(`[quality] ⚠️  ${parser} ${matchId}: ${issues.join('; ')}`);
+  return { ok: !issues.length, issues };
+}
+
+function parserStatus(p) {
+  const recent  = [...p.recent.entries()];
+  const failing = recent.filter(([, r]) => !r.ok);
+  return {
+    checks:   p.checks,
+    failures: p.failures,
+    recentMatches: recent.length,
+    failingMatches: failing.length,
+    degraded: failing.length >= DEGRADED_MIN && failing.length / recent.length >= DEGRADED_SHARE,
+    examples: failing.slice(-EXAMPLES).reverse().map(([matchId, r]) => ({ matchId, issues: r.issues, at: r.at })),
+  };
+}
+
+function status() {
+  const byParser = Object.fromEntries(Object.entries(parsers).map(([name, p]) => [name, parserStatus(p)]));
+  return {
+    degraded: Object.values(byParser).some(p => p.degraded),
+    parsers:  byParser,
+  };
+}
+
+module.exports = { checkScorecard, checkMatchInfo, checkMatch, record, status };
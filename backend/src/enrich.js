@@ -0,0 +1,108 @@
+/**
+ * Match enrichment — category, gender, format and age group on every
+ * normalized match, so clients filter on fields instead of keyword lists
+ *
+ *  category  international | domestic
+ *  gender    mens | womens
+ *  format    test | odi | t20 | t10 | hundred | other
+ *  ageGroup  senior | u19 (or whichever "Under-NN" the teams are)
+ *
+ * A provider that knows better (Cricbuzz files each match under
+ * International, League, Domestic or Women) sets the field itself; the
+ * keyword rules below only fill in what is missing.
+ */
+
+// ── Keywords ────────────────────────────────────────────────────────────────
+// These keywords in series names indicate international matches
+const INTERNATIONAL_KEYWORDS = [
+  'icc', 'world cup', 'champions trophy', 'asia cup', 't20i', 'odi',
+  'test match', 'tour of', 'series', 'tri-series', 'bilateral',
+  'women tour', 'men tour', 'cricket world',
+];
+const DOMESTIC_KEYWORDS = [
+  // Domestic leagues
+  'ipl', 'bbl', 'psl', 'cpl', 'sa20', 'lpl', 'the hundred', 'vitality blast',
+  'super smash', 'ram slam', 'big bash',
+  // Domestic tournaments
+  'ranji', 'sheffield shield', 'plunket shield', 'county championship',
+  'vijay hazare', 'syed mushtaq', 'duleep trophy', 'deodhar trophy',
+  'one-day cup', 'four-day', 'provincial', 'domestic',
+  // A-teams / emerging / academy
+  ' a vs ', 'emerging players', 'rising stars', 'cricket academy',
+  // Specific phrases that only appear in domestic
+  'inter-provincial', 'inter-state', 'ncl ', 'nca ',
+];
+const INTL_TEAMS = [
+  'india', 'australia', 'england', 'pakistan', 'south africa', 'new zealand',
+  'west indies', 'sri lanka', 'bangladesh', 'afghanistan', 'zimbabwe', 'ireland',
+  'netherlands', 'scotland', 'kenya', 'namibia', 'oman', 'united arab emirates',
+  'canada', 'usa', 'nepal', 'italy', 'papua new guinea', 'hong kong', 'singapore',
+];
+
+// matchType as the providers report it → format
+const FORMATS = {
+  test: 'test', odi: 'odi', t20: 't20', t20i: 't20', t10: 't10', hundred: 'hundred',
+};
+
+// ── Rules ───────────────────────────────────────────────────────────────────
+function lower(m) {
+  return {
+    name:  (m.name || '').toLowerCase(),
+    teams: (m.teams || []).map(t => t.toLowerCase()),
+  };
+}
+
+function genderOf(m) {
+  const { name, teams } = lower(m);
+  return name.includes('women') || teams.some(t => t.includes('women')) ? 'womens' : 'mens';
+}
+
+function categoryOf(m) {
+  const { name, teams } = lower(m);
+
+  // Both teams full international sides (not "India A", not emerging)
+  const intlSide = t => INTL_TEAMS.some(i => t.includes(i)) && !/ a$/.test(t) && !t.includes('emerging');
+  const bothIntl = teams.length === 2 && teams.every(intlSide);
+
+  // Domestic keywords first (more specific), then international signals.
+  // A-teams and emerging sides are domestic even on tour.
+  if (DOMESTIC_KEYWORDS.some(k => name.includes(k))) return 'domestic';
+  if (bothIntl) return 'international';
+  if (teams.some(t => / a$/.test(t) || t.includes('emerging') || t.includes('lions'))) return 'domestic';
+  if (INTERNATIONAL_KEYWORDS.some(k => name.includes(k))) return 'international';
+  return 'domestic';
+}
+
+function formatOf(m) {
+  const type = (m.matchType || '').toLowerCase().replace(/\s+/g, '');
+  if (FORMATS[type]) return FORMATS[type];
+
+  const { name } = lower(m);
+  if (name.includes('hundred'))        return 'hundred';
+  if (/\bt10\b/.test(name))            return 't10';
+  if (/\bt20i?\b/.test(name))          return 't20';
+  if (/\bodi\b|one-day/.test(name))    return 'odi';
+  if (/\btest\b/.test(name))           return 'test';
+  return 'other';
+}
+
+// "India U19", "Under-19 World Cup" → u19
+function ageGroupOf(m) {
+  const { name, teams } = lower(m);
+  const age = [name, ...teams].join(' ').match(/\bu-?(\d{2})s?\b|\bunder[- ]?(\d{2})s?\b/);
+  return age ? `u${age[1] || age[2]}` : 'senior';
+}
+
+// ── Public API ──────────────────────────────────────────────────────────────
+// Fields the provider already set are kept
+function enrich(m) {
+  return {
+    ...m,
+    category: m.category || categoryOf(m),
+    gender:   m.gender   || genderOf(m),
+    format:   m.format   || formatOf(m),
+    ageGroup: m.ageGroup || ageGroupOf(m),
+  };
+}
+
+module.exports = { enrich, categoryOf, genderOf, formatOf, ageGroupOf };
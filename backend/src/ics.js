@@ -0,0 +1,153 @@
+/**
+ * iCalendar feeds (RFC 5545) — fixtures as calendar events
+ *
+ * One VEVENT per match:
+ *  - UID from the match ID (the Cricbuzz slug is left out, so a renamed
+ *    match keeps its event), so calendar apps update events in place
+ *  - DTSTART in UTC from dateTimeGMT, DURATION by format
+ *  - SEQUENCE goes up each time a match's start time changes — the last
+ *    start seen per UID is kept in the archive database — so subscribers
+ *    move the event instead of keeping the old time
+ *  - LOCATION from the venue, URL back to match.html?id= on FRONTEND_URL
+ */
+
+const archive = require('./archive');
+require('dotenv').config();
+
+const PRODID = '-//CricLive//Fixtures//EN';
+const FRONTEND_URL = (process.env.FRONTEND_URL ||
+  (process.env.CORS_ORIGIN || '').split(',').map(o => o.trim()).find(o => /^https?:\/\//.test(o)) || '')
+  .replace(/\/+$/, '');
+
+// How long a match is blocked out in the calendar
+const DURATIONS = {
+  t20:     'PT3H30M',
+  t10:     'PT1H45M',
+  hundred: 'PT3H',
+  odi:     'PT8H',
+  test:    'P4DT8H',   // first ball on day 1 to stumps on day 5
+  other:   'PT4H',
+};
+
+const { db } = archive;
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS calendar_events (
+    uid      TEXT PRIMARY KEY,
+    start    TEXT NOT NULL,
+    sequence INTEGER NOT NULL DEFAULT 0,
+    modified TEXT NOT NULL
+  );
+`);
+
+const stmts = {
+  get:    db.prepare('SELECT * FROM calendar_events WHERE uid = ?'),
+  insert: db.prepare('INSERT INTO calendar_events (uid, start, sequence, modified) VALUES (?, ?, 0, ?)'),
+  moved:  db.prepare('UPDATE calendar_events SET start = ?, sequence = sequence + 1, modified = ? WHERE uid = ?'),
+};
+
+// ── Formatting ──────────────────────────────────────────────────────────────
+// 2025-11-02T08:30:00.000Z → 20251102T083000Z
+function utc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// TEXT values: backslash, semicolon, comma and newlines are escaped
+function text(s) {
+  return String(s ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded: CRLF plus a space, never inside a
+// UTF-8 character
+function fold(line) {
+  const out = [];
+  let current = '', octets = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (octets + n > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += ch;
+    octets  += n;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+function uidOf(match) {
+  return `${String(match.id).split('~')[0]}@criclive`;
+}
+
+function summaryOf(match) {
+  const names = (match.teamInfo?.length ? match.teamInfo.map(t => t.shortname || t.name) : match.teams || []);
+  const vs = names.length === 2 ? `${names[0]} v ${names[1]}` : match.name || 'Match';
+  return match.matchDesc ? `${vs} — ${match.matchDesc}` : vs;
+}
+
+// SEQUENCE and LAST-MODIFIED for a match's current start time
+function revision(uid, start) {
+  const now = new Date().toISOString();
+  const row = stmts.get.get(uid);
+  if (!row) {
+    stmts.insert.run(uid, start, now);
+    return { sequence: 0, modified: now };
+  }
+  if (row.start !== start) {
+    stmts.moved.run(start, now, uid);
+    return { sequence: row.sequence + 1, modified: now };
+  }
+  return { sequence: row.sequence, modified: row.modified };
+}
+
+function event(match, stamp) {
+  const start = Date.parse(match.dateTimeGMT);
+  const uid   = uidOf(match);
+  const { sequence, modified } = revision(uid, new Date(start).toISOString());
+  const url   = FRONTEND_URL ? `${FRONTEND_URL}/match.html?id=${encodeURIComponent(match.id)}` : '';
+  const description = [match.series?.name || match.name, match.status, url].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${utc(start)}`,
+    `DURATION:${DURATIONS[match.format] || DURATIONS.other}`,
+    `SEQUENCE:${sequence}`,
+    `LAST-MODIFIED:${utc(modified)}`,
+    `SUMMARY:${text(summaryOf(match))}`,
+    match.venue ? `LOCATION:${text(match.venue)}` : null,
+    description ? `DESCRIPTION:${text(description)}` : null,
+    url ? `URL:${url}` : null,
+    match.format ? `CATEGORIES:${text(match.format.toUpperCase())}` : null,
+    'STATUS:CONFIRMED',
+    'TRANSP:OPAQUE',
+    'END:VEVENT',
+  ].filter(Boolean);
+}
+
+// ── Public API ──────────────────────────────────────────────────────────────
+// A VCALENDAR of the matches that have a start time, soonest first
+function calendar(name, matches) {
+  const stamp = utc(Date.now());
+  const events = matches
+    .filter(m => Number.isFinite(Date.parse(m.dateTimeGMT)))
+    .sort((a, b) => Date.parse(a.dateTimeGMT) - Date.parse(b.dateTimeGMT))
+    .flatMap(m => event(m, stamp));
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${text(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events,
+    'END:VCALENDAR',
+  ].map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = { calendar, text, fold, uidOf };
@@ -0,0 +1,136 @@
+/**
+ * Cricsheet import — historical matches from Cricsheet's ball-by-ball files
+ * (https://cricsheet.org/downloads/) into the match archive
+ *
+ * Reads .json and legacy .yaml match files, single or inside .zip downloads,
+ * and directories of either. Each match is normalized by
+ * cricsheet.fromCricsheet() and saved like an archived Cricbuzz match, so
+ * /api/archive, /api/match/:id/scorecard, series, team and player pages
+ * pick it up. Its ID is "cricsheet-" + the file name (Cricsheet's match
+ * ID); importing a file again updates the match in place.
+ *
+ * Used by `criclive import` (cli.js) and POST /api/import, which only reads
+ * below IMPORT_DIR — symlinks included, so a link can't reach outside it.
+ */
+
+const fs        = require('fs');
+const path      = require('path');
+const archive   = require('./archive');
+const cricsheet = require('./cricsheet');
+const yaml      = require('./yaml');
+const zip       = require('./zip');
+const teams     = require('./teams');
+const { enrich } = require('./enrich');
+require('./players');   // indexes each saved scorecard for player profiles
+require('dotenv').config();
+
+const IMPORT_DIR = path.resolve(process.env.IMPORT_DIR || path.join(__dirname, '..', 'data', 'import'));
+const MATCH_FILE = /\.(json|ya?ml)$/i;
+const BATCH      = 100;   // matches saved between yields to the event loop
+const MAX_LISTED = 100;   // IDs and errors listed in an import's summary
+
+// ── Paths ───────────────────────────────────────────────────────────────────
+// Where `p` really is, symlinks followed; a missing path is taken as given
+function realpathOf(p) {
+  try {
+    return fs.realpathSync(p);
+  } catch (err) {
+    if (err.code === 'ENOENT') return path.resolve(p);
+    throw err;
+  }
+}
+
+function isInside(dir, full) {
+  return full === dir || full.startsWith(dir + path.sep);
+}
+
+// ── Sources ─────────────────────────────────────────────────────────────────
+// Every match file under `target` → [{ name, read() }]. With `root` (a real
+// path), directory entries that resolve outside it are reported as failed
+// files instead of being read.
+function sourcesOf(target, root = null) {
+  const stat = fs.statSync(target);
+  if (stat.isDirectory()) {
+    return fs.readdirSync(target).sort().flatMap(name => {
+      const full = path.join(target, name);
+      if (root && !isInside(root, realpathOf(full))) {
+        return [{ name, read: () => { throw new Error('Links outside the import directory'); } }];
+      }
+      return fs.statSync(full).isDirectory() || MATCH_FILE.test(name) || /\.zip$/i.test(name) ? sourcesOf(full, root) : [];
+    });
+  }
+  if (/\.zip$/i.test(target)) {
+    return zip.entries(fs.readFileSync(target))
+      .filter(e => MATCH_FILE.test(e.name))
+      .map(e => ({ name: `${path.basename(target)}/${e.name}`, read: () => e.read() }));
+  }
+  if (!MATCH_FILE.test(target)) throw new Error(`${path.basename(target)}: not a .json, .yaml or .zip file`);
+  return [{ name: path.basename(target), read: () => fs.readFileSync(target) }];
+}
+
+function parse(name, buf) {
+  const text = buf.toString('utf8');
+  return /\.json$/i.test(name) ? JSON.parse(text) : yaml.parse(text);
+}
+
+// ── Import ──────────────────────────────────────────────────────────────────
+// One parsed Cricsheet document → the archive. Returns the match ID.
+function importMatch(doc, fileId) {
+  const { match, scorecard, info } = cricsheet.fromCricsheet(doc, fileId);
+  const annotated = teams.annotate(enrich(match));
+  archive.save(annotated, teams.annotate(scorecard), teams.annotate(info));
+  return annotated.id;
+}
+
+// paths: files, zips or directories. Bad files are counted and reported
+// rather than stopping the run. onProgress({ imported, failed, total })
+// is called after every batch. root: only read what really lies below it.
+async function importPaths(paths, { onProgress, root } = {}) {
+  const realRoot = root ? realpathOf(root) : null;
+  const summary = { files: 0, imported: 0, failed: 0, ids: [], errors: [] };
+  const fail = (file, err) => {
+    summary.failed++;
+    if (summary.errors.length < MAX_LISTED) summary.errors.push({ file, message: err.message });
+  };
+
+  const sources = [];
+  for (const p of paths) {
+    try {
+      sources.push(...sourcesOf(p, realRoot));
+    } catch (err) {
+      fail(path.basename(p), err.code === 'ENOENT' ? new Error('No such file or directory') : err);
+    }
+  }
+  summary.files = sources.length;
+
+  for (const [n, source] of sources.entries()) {
+    try {
+      const fileId = path.basename(source.name).replace(MATCH_FILE, '');
+      const id = importMatch(parse(source.name, source.read()), fileId);
+      if (summary.ids.length < MAX_LISTED) summary.ids.push(id);
+      summary.imported++;
+    } catch (err) {
+      fail(source.name, err);
+    }
+    if ((n + 1) % BATCH === 0) {
+      onProgress?.({ imported: summary.imported, failed: summary.failed, total: sources.length });
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+  onProgress?.({ imported: summary.imported, failed: summary.failed, total: sources.length });
+  return summary;
+}
+
+// POST /api/import: paths are relative to IMPORT_DIR and may not leave it,
+// by "..", an absolute path or a symlink. Pair with importPaths(…, { root:
+// IMPORT_DIR }) so links inside a directory are held to the same rule.
+function resolveImportPath(p) {
+  if (typeof p !== 'string' || !p) throw new Error('Each path must be a non-empty string');
+  const full = path.resolve(IMPORT_DIR, p);
+  if (!isInside(IMPORT_DIR, full) || !isInside(realpathOf(IMPORT_DIR), realpathOf(full))) {
+    throw new Error(`Path "${p}" is outside the import directory`);
+  }
+  return full;
+}
+
+module.exports = { importPaths, importMatch, resolveImportPath, IMPORT_DIR };
@@ -0,0 +1,235 @@
+/**
+ * Match event detection — diffs consecutive snapshots of the match list and
+ * scorecards as they land in the cache and emits typed events:
+ *
+ *  - wicket            a batter was dismissed
+ *  - milestone         a batter reached 50 / 100 / 150 / 200 …
+ *  - five_wicket_haul  a bowler took a fifth wicket
+ *  - innings_end       all out, or the next innings started
+ *  - target_set        the side batting last knows what it needs
+ *  - result            the match ended
+ *
+ * Each event is appended to a per-match timeline (served by
+ * /api/match/:id/events) and emitted as "event" for anything that wants to
+ * react — the SSE stream forwards them to subscribers.
+ *
+ * The first snapshot of a match is only a baseline: nothing is emitted for
+ * what had already happened before we started watching.
+ *
+ * State is kept for at most MAX_MATCHES matches (the one updated longest ago
+ * goes first), and a match is forgotten ENDED_GRACE_MS after it ended.
+ */
+
+const { EventEmitter } = require('events');
+const cache  = require('./cache');
+const poller = require('./poller');
+
+const TIMELINE_LIMIT = 500;
+const MILESTONES     = [50, 100, 150, 200, 250, 300];
+const MAX_MATCHES    = 300;              // match lists carry upcoming matches too
+const ENDED_GRACE_MS = 6 * 3600 * 1000;  // an ended match's timeline outlives it this long
+
+const emitter   = new EventEmitter();
+const timelines = new Map();   // matchId → [event]
+const emitted   = new Map();   // matchId → Set of dedupe keys
+const lastList  = new Map();   // matchId → normalized match
+const lastCards = new Map();   // matchId → scorecard innings[]
+const touched   = new Map();   // matchId → true, updated longest ago first
+const endedAt   = new Map();   // matchId → when it was first seen ended (ms)
+let nextId = 1;
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+function teamOf(inning) {
+  return String(inning || '').replace(/\s+Inning\s+\d+$/i, '').trim();
+}
+
+function fmtTotal(t) {
+  if (!t || t.r === undefined || t.r === null) return '';
+  return `${t.r}/${t.w ?? 0}${t.o ? ` (${t.o})` : ''}`;
+}
+
+function isOut(dismissal) {
+  const d = String(dismissal || '').trim().toLowerCase();
+  return !!d && !['not out', 'batting', 'retired not out'].includes(d);
+}
+
+function isTest(matchId) {
+  return (lastList.get(matchId)?.matchType || '') === 'test';
+}
+
+// Emit once per dedupe key
+function record(matchId, key, type, data, text) {
+  const keys = emitted.get(matchId) || new Set();
+  emitted.set(matchId, keys);
+  if (keys.has(key)) return;
+  keys.add(key);
+
+  const ev = { id: nextId++, matchId, type, at: new Date().toISOString(), text, ...data };
+  const timeline = timelines.get(matchId) || [];
+  timeline.push(ev);
+  if (timeline.length > TIMELINE_LIMIT) timeline.shift();
+  timelines.set(matchId, timeline);
+
+  console.log(`[events] ${matchId} ${type}: ${text}`);
+  emitter.emit('event', ev);
+}
+
+// ── Bounds ──────────────────────────────────────────────────────────────────
+function forget(matchId) {
+  for (const map of [timelines, emitted, lastList, lastCards, touched, endedAt]) map.delete(matchId);
+}
+
+// Re-insert so the match updated longest ago is dropped first
+function touch(matchId) {
+  touched.delete(matchId);
+  touched.set(matchId, true);
+  while (touched.size > MAX_MATCHES) forget(touched.keys().next().value);
+}
+
+// A match still listed after that comes back as a fresh baseline
+function pruneEnded() {
+  const cutoff = Date.now() - ENDED_GRACE_MS;
+  for (const [matchId, at] of endedAt) {
+    if (at < cutoff) forget(matchId);
+  }
+}
+
+// ── Innings transitions (shared by list + scorecard diffs) ──────────────────
+// totals = [{ inning, r, w, o }] in batting order
+function diffInnings(matchId, prevTotals, totals) {
+  totals.forEach((t, i) => {
+    const prev = prevTotals[i];
+    const allOut   = t.w === 10 && (!prev || prev.w !== 10);
+    const followed = i < totals.length - 1 && prevTotals.length <= i + 1;
+    if (allOut || followed) {
+      record(matchId, `innings_end:${i}`, 'innings_end',
+        { inning: t.inning, total: { r: t.r, w: t.w, o: t.o } },
+        `End of innings — ${teamOf(t.inning)} ${fmtTotal(t)}`);
+    }
+  });
+
+  // The last innings of the match has started: work out the target
+  const finalIdx = isTest(matchId) ? 3 : 1;
+  if (totals.length === finalIdx + 1 && prevTotals.length <= finalIdx) {
+    const chasing = teamOf(totals[finalIdx].inning);
+    let target = 1;
+    for (const t of totals.slice(0, finalIdx)) {
+      target += teamOf(t.inning) === chasing ? -(t.r || 0) : (t.r || 0);
+    }
+    if (target > 0) {
+      record(matchId, 'target_set', 'target_set', { team: chasing, target },
+        `${chasing} need ${target} to win`);
+    }
+  }
+}
+
+// ── Match list diff ─────────────────────────────────────────────────────────
+function diffMatch(prev, m) {
+  const prevScore = prev.score || [];
+  const score     = m.score || [];
+
+  // Without a scorecard, the wicket count in score[] is all we have
+  if (!lastCards.has(m.id)) {
+    score.forEach((s, i) => {
+      const before = prevScore[i]?.w ?? 0;
+      for (let w = before + 1; w <= (s.w ?? 0); w++) {
+        record(m.id, `wicket:${i}:#${w}`, 'wicket', { inning: s.inning, wickets: w },
+          `WICKET! ${teamOf(s.inning)} ${s.r}/${w}`);
+      }
+    });
+  }
+
+  diffInnings(m.id, prevScore, score);
+
+  if (m.matchEnded && !prev.matchEnded) {
+    record(m.id, 'result', 'result', { status: m.status }, m.status || 'Match ended');
+  }
+}
+
+function onMatches() {
+  pruneEnded();
+  for (const m of poller.mergedMatches()) {
+    const prev = lastList.get(m.id);
+    lastList.set(m.id, m);
+    touch(m.id);
+    if (m.matchEnded && !endedAt.has(m.id)) endedAt.set(m.id, Date.now());
+    if (prev) diffMatch(prev, m);
+  }
+}
+
+// ── Scorecard diff ──────────────────────────────────────────────────────────
+function diffScorecard(matchId, prevInnings, innings) {
+  innings.forEach((inn, i) => {
+    const prev = prevInnings[i] || { batting: [], bowling: [] };
+    const prevBat  = new Map((prev.batting || []).map(b => [b.batsman?.name, b]));
+    const prevBowl = new Map((prev.bowling || []).map(b => [b.bowler?.name, b]));
+    const team = teamOf(inn.inning);
+
+    for (const b of inn.batting || []) {
+      const name   = b.batsman?.name;
+      const before = prevBat.get(name);
+
+      if (isOut(b['dismissal-text']) && !isOut(before?.['dismissal-text'])) {
+        record(matchId, `wicket:${i}:${name}`, 'wicket',
+          { inning: inn.inning, batter: name, dismissal: b['dismissal-text'], runs: b.r, balls: b.b },
+          `WICKET! ${name} ${b['dismissal-text']} ${b.r ?? 0} (${b.b ?? 0}) — ${team} ${fmtTotal(inn.total)}`);
+      }
+
+      for (const ms of MILESTONES) {
+        if ((b.r ?? 0) >= ms && (before?.r ?? 0) < ms) {
+          record(matchId, `milestone:${i}:${name}:${ms}`, 'milestone',
+            { inning: inn.inning, batter: name, milestone: ms, runs: b.r, balls: b.b },
+            `${ms === 50 ? 'FIFTY' : `${ms}`} for ${name} — ${b.r} (${b.b ?? 0})`);
+        }
+      }
+    }
+
+    for (const b of inn.bowling || []) {
+      const name   = b.bowler?.name;
+      const before = prevBowl.get(name);
+      if ((b.w ?? 0) >= 5 && (before?.w ?? 0) < 5) {
+        record(matchId, `fivefor:${i}:${name}`, 'five_wicket_haul',
+          { inning: inn.inning, bowler: name, figures: { o: b.o, m: b.m, r: b.r, w: b.w } },
+          `Five-wicket haul for ${name} — ${b.w}/${b.r} (${b.o})`);
+      }
+    }
+  });
+
+  const totals = list => list.map(inn => ({ inning: inn.inning, ...(inn.total || {}) }));
+  diffInnings(matchId, totals(prevInnings), totals(innings));
+}
+
+function onScorecard(matchId, data) {
+  const innings = data?.scorecard || [];
+  const prev = lastCards.get(matchId);
+  lastCards.set(matchId, innings);
+  touch(matchId);
+  if (prev) diffScorecard(matchId, prev, innings);
+}
+
+cache.on('set', (key, value) => {
+  if (key === 'currentMatches' || key === 'upcomingMatches') onMatches();
+  else if (key.startsWith('scorecard:')) onScorecard(key.slice('scorecard:'.length), value);
+});
+
+// ── Public API ──────────────────────────────────────────────────────────────
+// Events for a match, optionally after a given event id and/or of some types
+function timeline(matchId, { since = 0, types = null } = {}) {
+  return (timelines.get(matchId) || []).filter(ev =>
+    ev.id > since && (!types || types.includes(ev.type)));
+}
+
+function status() {
+  return {
+    matches: timelines.size,
+    watched: touched.size,
+    events:  [...timelines.values()].reduce((n, t) => n + t.length, 0),
+    lastEventId: nextId - 1,
+  };
+}
+
+module.exports = {
+  on: (name, fn) => emitter.on(name, fn),
+  timeline,
+  status,
+};
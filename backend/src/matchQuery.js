@@ -0,0 +1,110 @@
+/**
+ * Query filters, sorting and pagination for /api/matches
+ *
+ *   status     live | upcoming | complete
+ *   format     test | odi | t20 | t10 | hundred | other
+ *   gender     mens | womens
+ *   category   international | domestic
+ *   ageGroup   senior | u19 | …
+ *   team       whole words of either team's name ("India" finds India
+ *              Women but not Mumbai Indians), or its short name (IND)
+ *   series     series id, or a substring of the series name
+ *   sort       date | -date | status (live, then upcoming soonest first,
+ *              then results newest first). Default: the provider's order
+ *   limit / offset
+ *
+ * The enum filters take comma-separated lists (?format=t20,odi). Unknown
+ * values throw, so a typo doesn't come back as an empty list.
+ */
+
+const MAX_LIMIT = 200;
+
+const ENUMS = {
+  status:   ['live', 'upcoming', 'complete'],
+  format:   ['test', 'odi', 't20', 't10', 'hundred', 'other'],
+  gender:   ['mens', 'womens'],
+  category: ['international', 'domestic'],
+};
+const SORTS = ['date', '-date', 'status'];
+
+// Same buckets as the home page's tabs
+function statusOf(m) {
+  if (m.matchStarted && !m.matchEnded) return 'live';
+  if (m.matchEnded) return 'complete';
+  return 'upcoming';
+}
+
+function list(value) {
+  return String(value || '').toLowerCase().split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function enumFilter(name, value) {
+  const wanted  = list(value);
+  const allowed = ENUMS[name];
+  const unknown = allowed ? wanted.filter(v => !allowed.includes(v)) : [];
+  if (unknown.length) throw new Error(`Unknown ${name} "${unknown.join(', ')}" — use ${allowed.join(', ')}`);
+  return wanted.length ? wanted : null;
+}
+
+function matchesTeam(m, team) {
+  const needle = team.toLowerCase();
+  const words  = new RegExp(`\\b${needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`);
+  return (m.teams || []).some(t => words.test(t.toLowerCase())) ||
+    (m.teamInfo || []).some(t => (t.shortname || '').toLowerCase() === needle);
+}
+
+function matchesSeries(m, series) {
+  const needle = series.toLowerCase();
+  return String(m.series?.id ?? m.series_id ?? '') === series ||
+    (m.series?.name || m.name || '').toLowerCase().includes(needle);
+}
+
+const time = m => Date.parse(m.dateTimeGMT) || 0;
+const STATUS_ORDER = { live: 0, upcoming: 1, complete: 2 };
+
+function byStatus(a, b) {
+  const sa = statusOf(a), sb = statusOf(b);
+  if (sa !== sb) return STATUS_ORDER[sa] - STATUS_ORDER[sb];
+  return sa === 'complete' ? time(b) - time(a) : time(a) - time(b);
+}
+
+// ── Public API ──────────────────────────────────────────────────────────────
+// matches: enriched matches; q: the request's query string.
+// Returns { total, limit, offset, data } — total counts every match that
+// passed the filters, before pagination.
+function query(matches, q = {}) {
+  const filters = {
+    status:   enumFilter('status',   q.status),
+    format:   enumFilter('format',   q.format),
+    gender:   enumFilter('gender',   q.gender),
+    category: enumFilter('category', q.category),
+    ageGroup: enumFilter('ageGroup', q.ageGroup),
+  };
+  const sort = q.sort ? String(q.sort).toLowerCase() : '';
+  if (sort && !SORTS.includes(sort)) throw new Error(`Unknown sort "${q.sort}" — use ${SORTS.join(', ')}`);
+
+  let out = matches.filter(m =>
+    (!filters.status   || filters.status.includes(statusOf(m))) &&
+    (!filters.format   || filters.format.includes(m.format)) &&
+    (!filters.gender   || filters.gender.includes(m.gender)) &&
+    (!filters.category || filters.category.includes(m.category)) &&
+    (!filters.ageGroup || filters.ageGroup.includes(m.ageGroup)) &&
+    (!q.team   || matchesTeam(m, String(q.team))) &&
+    (!q.series || matchesSeries(m, String(q.series))));
+
+  if (sort === 'date')   out = [...out].sort((a, b) => time(a) - time(b));
+  if (sort === '-date')  out = [...out].sort((a, b) => time(b) - time(a));
+  if (sort === 'status') out = [...out].sort(byStatus);
+
+  const total  = out.length;
+  const offset = Math.max(parseInt(q.offset) || 0, 0);
+  const limit  = q.limit === undefined ? null : Math.min(Math.max(parseInt(q.limit) || 0, 1), MAX_LIMIT);
+  return {
+    total,
+    limit,
+    offset,
+    data: out.slice(offset, limit === null ? undefined : offset + limit),
+  };
+}
+
+module.exports = { query, statusOf };
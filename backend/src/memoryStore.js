@@ -0,0 +1,111 @@
+/**
+ * In-process cache store — the default backend for cache.js
+ *
+ * Every cache backend implements the same contract:
+ *   peek(key)            entry this instance can read right now, or null
+ *   touch(key)           mark an entry as recently used
+ *   load(key)            Promise of the authoritative entry, or null
+ *   save(key, entry)     store { value, expiresAt, cachedAt }
+ *   delete(key), clear(), entries()
+ *   lock(key, ttlMs)     Promise of a lock token, or null if another holder has it
+ *   unlock(key, token), isLocked(key)
+ *   stats()
+ * plus `shared` (entries are visible to other instances) and the events
+ * "evict" (key) and "set" (key, entry) for entries written elsewhere.
+ *
+ * This one is a Map in LRU order: least recently used entries are evicted
+ * beyond `maxEntries` keys or `maxBytes` of JSON. Only one process sees it,
+ * so locking is left to the cache's own request coalescing.
+ */
+
+const { EventEmitter } = require('events');
+
+function sizeOf(value) {
+  const json = JSON.stringify(value);
+  return json === undefined ? 0 : Buffer.byteLength(json);
+}
+
+class MemoryStore extends EventEmitter {
+  constructor({ maxEntries = Infinity, maxBytes = Infinity } = {}) {
+    super();
+    this.map        = new Map();   // insertion order = least → most recently used
+    this.bytes      = 0;
+    this.maxEntries = maxEntries;
+    this.maxBytes   = maxBytes;
+    this.shared     = false;
+  }
+
+  peek(key) {
+    return this.map.get(key) || null;
+  }
+
+  touch(key) {
+    const entry = this.map.get(key);
+    if (!entry) return;
+    this.map.delete(key);
+    this.map.set(key, entry);
+  }
+
+  async load(key) {
+    return this.peek(key);
+  }
+
+  save(key, entry) {
+    this.delete(key);
+    const stored = { ...entry, size: sizeOf(entry.value) };
+    this.map.set(key, stored);
+    this.bytes += stored.size;
+    this.evict(key);
+  }
+
+  // Drop least recently used entries until within budget (never `keep`)
+  evict(keep) {
+    for (const [key, entry] of this.map) {
+      if (this.map.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      if (key === keep) continue;
+      this.map.delete(key);
+      this.bytes -= entry.size;
+      this.emit('evict', key);
+    }
+  }
+
+  delete(key) {
+    const entry = this.map.get(key);
+    if (entry) this.bytes -= entry.size;
+    this.map.delete(key);
+  }
+
+  clear() {
+    this.map.clear();
+    this.bytes = 0;
+  }
+
+  keys() {
+    return this.map.keys();
+  }
+
+  entries() {
+    return this.map.entries();
+  }
+
+  async lock() {
+    return 'local';
+  }
+
+  async unlock() {}
+
+  async isLocked() {
+    return false;
+  }
+
+  stats() {
+    return {
+      backend:    'memory',
+      bytes:      this.bytes,
+      maxBytes:   this.maxBytes,
+      maxEntries: this.maxEntries,
+    };
+  }
+}
+
+module.exports = MemoryStore;
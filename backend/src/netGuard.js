@@ -0,0 +1,72 @@
+/**
+ * Outbound request guard — keeps server-side requests to user-supplied URLs
+ * (webhooks, push endpoints) away from loopback, link-local and private
+ * addresses
+ *
+ * Checking the URL isn't enough on its own: a public-looking hostname can
+ * resolve to an internal address. guardedAgents() returns http / https
+ * agents whose DNS lookup refuses private answers as well.
+ */
+
+const dns   = require('dns');
+const http  = require('http');
+const https = require('https');
+const net   = require('net');
+
+const PRIVATE = new net.BlockList();
+for (const [addr, bits] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+                            ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+  PRIVATE.addSubnet(addr, bits, 'ipv4');
+}
+for (const [addr, bits] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+  PRIVATE.addSubnet(addr, bits, 'ipv6');
+}
+
+const LOOPBACK = new net.BlockList();
+LOOPBACK.addSubnet('127.0.0.0', 8, 'ipv4');
+LOOPBACK.addAddress('::1', 'ipv6');
+
+// IP literals only; "[::1]" (a URL's hostname) and "::ffff:10.0.0.1" work too
+function inList(list, address) {
+  const ip = String(address).replace(/^\[|\]$/g, '').replace(/^::ffff:(?=\d+\.)/i, '');
+  const family = net.isIP(ip);
+  return family ? list.check(ip, family === 6 ? 'ipv6' : 'ipv4') : false;
+}
+
+const isPrivateAddress  = address => inList(PRIVATE, address);
+const isLoopbackAddress = address => inList(LOOPBACK, address);
+
+const isLocalhostName = host => host === 'localhost' || host.endsWith('.localhost');
+
+// A URL hostname that is a private address or a localhost name
+function isPrivateHost(hostname) {
+  const host = String(hostname).toLowerCase();
+  return isLocalhostName(host) || isPrivateAddress(host);
+}
+
+// A URL hostname that is this machine
+function isLoopbackHost(hostname) {
+  const host = String(hostname).toLowerCase();
+  return isLocalhostName(host) || isLoopbackAddress(host);
+}
+
+// http / https agents for fetch's `agent` option. `allow(address)` is asked
+// about each private answer (read per lookup, so a config flag can change).
+function guardedAgents(allow = () => false) {
+  function lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      if (addresses.some(a => isPrivateAddress(a.address) && !allow(a.address))) {
+        return callback(new Error(`${hostname} resolves to a private address`));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+  return {
+    'http:':  new http.Agent({ lookup }),
+    'https:': new https.Agent({ lookup }),
+  };
+}
+
+module.exports = { isPrivateAddress, isLoopbackAddress, isPrivateHost, isLoopbackHost, guardedAgents };
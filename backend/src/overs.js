@@ -0,0 +1,271 @@
+/**
+ * Over-by-over progression — runs and wickets per over for every innings,
+ * for the match page's Manhattan and worm charts
+ *
+ * Built from the best data available:
+ *  - commentary  Cricbuzz's end-of-over summaries and the balls themselves,
+ *                walked back through the commentary pages (at most
+ *                OVERS_MAX_PAGES). An over counts once all its balls are in:
+ *                the oldest over fetched is dropped unless it starts at .1.
+ *  - snapshots   the innings totals seen each time the match list or a
+ *                scorecard is polled. An over that ended between two
+ *                snapshots is interpolated (flagged `estimated`) when they
+ *                are at most two overs apart, and left out otherwise.
+ * Commentary wins for every over it covers; snapshots fill the gaps.
+ * Snapshots are kept in memory, so they only cover what this process has
+ * watched live.
+ */
+
+const cache     = require('./cache');
+const poller    = require('./poller');
+const providers = require('./providers');
+const archive   = require('./archive');
+require('dotenv').config();
+
+const OVERS_TTL      = parseInt(process.env.CACHE_OVERS_TTL      || '30');
+const COMMENTARY_TTL = parseInt(process.env.CACHE_COMMENTARY_TTL || '15');
+const ARCHIVE_TTL    = 3600;
+const MAX_PAGES      = parseInt(process.env.OVERS_MAX_PAGES || '20');
+const MAX_MATCHES    = 100;   // matches with snapshots kept
+const MAX_POINTS     = 1500;  // snapshots per innings
+const MAX_GAP_BALLS  = 12;    // widest gap an over end is interpolated across
+
+const snapshots = new Map();  // matchId → [{ inning, points: [{ balls, r, w }] }]
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+function oversToBalls(o) {
+  if (o === null || o === undefined || o === '') return 0;
+  const [whole, part] = String(o).split('.');
+  return (+whole || 0) * 6 + (+part || 0);
+}
+
+// "10.4" → 11th over, ball 4
+function overOf(ball) {
+  return Math.floor(Number(ball.over)) + 1;
+}
+
+function ballOf(ball) {
+  return Math.round((Number(ball.over) % 1) * 10);
+}
+
+// ── Snapshots ───────────────────────────────────────────────────────────────
+// totals = [{ inning, r, w, o }] in batting order
+function observe(matchId, totals) {
+  if (!totals.length) return;
+  const innings = snapshots.get(matchId) || [];
+
+  totals.forEach((t, i) => {
+    if (t.r === null || t.r === undefined) return;
+    const inn = innings[i] = innings[i] || { inning: t.inning, points: [] };
+    inn.inning = t.inning || inn.inning;
+
+    const point  = { balls: oversToBalls(t.o), r: t.r, w: t.w ?? 0 };
+    const points = inn.points;
+    const last   = points[points.length - 1];
+    if (last && last.balls === point.balls && last.r === point.r && last.w === point.w) return;
+    // Latest reading per ball count; a revised score replaces what came after it
+    while (points.length && points[points.length - 1].balls >= point.balls) points.pop();
+    points.push(point);
+    if (points.length > MAX_POINTS) points.shift();
+  });
+
+  // Re-insert so the match updated longest ago is dropped first
+  snapshots.delete(matchId);
+  snapshots.set(matchId, innings);
+  if (snapshots.size > MAX_MATCHES) snapshots.delete(snapshots.keys().next().value);
+}
+
+cache.on('set', (key, value) => {
+  if (key === 'currentMatches') {
+    for (const m of value?.data || []) {
+      if (m.matchStarted && !m.matchEnded) observe(m.id, m.score || []);
+    }
+  } else if (key.startsWith('scorecard:')) {
+    // Only for matches already being watched live
+    const matchId = key.slice('scorecard:'.length);
+    if (snapshots.has(matchId)) {
+      observe(matchId, (value?.scorecard || []).map(inn => ({ inning: inn.inning, ...(inn.total || {}) })));
+    }
+  }
+});
+
+// Per-over entries from one innings' snapshots (ascending by balls)
+function fromSnapshots(points) {
+  if (!points.length) return [];
+  const pts  = points[0].balls === 0 ? points : [{ balls: 0, r: 0, w: 0 }, ...points];
+  const last = pts[pts.length - 1];
+
+  // Cumulative score after `balls`, or null when the snapshots are too sparse
+  const at = balls => {
+    const i = pts.findIndex(p => p.balls >= balls);
+    if (i === -1) return null;
+    const next = pts[i];
+    if (next.balls === balls) return { r: next.r, w: next.w, estimated: false };
+    const prev = pts[i - 1];
+    if (!prev || next.balls - prev.balls > MAX_GAP_BALLS) return null;
+    const f = (balls - prev.balls) / (next.balls - prev.balls);
+    return { r: Math.round(prev.r + f * (next.r - prev.r)), w: f < 0.5 ? prev.w : next.w, estimated: true };
+  };
+
+  const overs = [];
+  for (let over = 1; (over - 1) * 6 < last.balls; over++) {
+    const start = at((over - 1) * 6);
+    const end   = at(Math.min(over * 6, last.balls));
+    if (!start || !end) continue;
+    overs.push({
+      over,
+      runs:         end.r - start.r,
+      wickets:      end.w - start.w,
+      total:        end.r,
+      totalWickets: end.w,
+      ...(start.estimated || end.estimated ? { estimated: true } : {}),
+      ...(over * 6 > last.balls ? { partial: true } : {}),
+    });
+  }
+  return overs;
+}
+
+// ── Commentary ──────────────────────────────────────────────────────────────
+// Commentary pages newest first, shared with /api/match/:id/commentary's
+// cache entries. Stops at the first failure — what was fetched still counts.
+async function commentaryPages(id) {
+  const pages = [];
+  let cursor = '';
+  for (let i = 0; i < MAX_PAGES; i++) {
+    const key = `commentary:${id}:${cursor || 'latest'}`;
+    let page;
+    try {
+      page = cache.get(key)?.value || await cache.refresh(key,
+        async () => (await providers.getCommentary(id, cursor || undefined)).data,
+        cursor ? ARCHIVE_TTL : COMMENTARY_TTL);
+    } catch (err) {
+      if (pages.length) console.warn(`[overs] ${id}: commentary stopped after ${pages.length} page(s) — ${err.message}`);
+      break;
+    }
+    pages.push(page);
+    const oldest = page.balls?.[page.balls.length - 1];
+    // Back at the first ball of the match
+    if (!page.nextCursor || !oldest || (+oldest.innings === 1 && oldest.over === '0.1')) break;
+    cursor = page.nextCursor;
+  }
+  return pages;
+}
+
+// balls (any order) and end-of-over summaries → Map(inningsId → overs[])
+function fromCommentary(balls, summaries = []) {
+  const byInnings = new Map();
+  const entry = (innings, over) => {
+    const overs = byInnings.get(innings) || new Map();
+    byInnings.set(innings, overs);
+    if (!overs.has(over)) overs.set(over, { over, runs: 0, wickets: 0, total: null, totalWickets: null, balls: 0, first: false, last: false });
+    return overs.get(over);
+  };
+
+  for (const b of balls) {
+    const o = entry(+b.innings || 1, overOf(b));
+    o.runs    += b.runs || 0;
+    o.wickets += b.wicket ? 1 : 0;
+    o.balls++;
+    if (ballOf(b) === 1) o.first = true;
+    if (ballOf(b) === 6) o.last = true;
+  }
+  for (const s of summaries) {
+    const o = entry(+s.innings || 1, s.over);
+    if (!o.balls) {
+      // Summary only: runs are known, wickets come from the running totals
+      o.runs    = s.runs;
+      o.wickets = null;
+      o.first   = true;
+    }
+    o.last         = true;
+    o.total        = s.score;
+    o.totalWickets = s.wickets;
+  }
+
+  const out = new Map();
+  for (const [innings, overs] of byInnings) {
+    const list   = [...overs.values()].sort((a, b) => a.over - b.over);
+    // The oldest over may have been cut off by the page boundary
+    if (list.length && !list[0].first) list.shift();
+    out.set(innings, list.map(({ balls, first, last, ...o }) => (last ? o : { ...o, partial: true })));
+  }
+  return out;
+}
+
+// ── Build ───────────────────────────────────────────────────────────────────
+// Fill in running totals and missing wicket counts along consecutive overs
+function withTotals(overs) {
+  let prev = { over: 0, total: 0, totalWickets: 0 };
+  return overs.map(o => {
+    const next = { ...o };
+    if (prev.over === o.over - 1) {
+      if (next.total === null && prev.total !== null) next.total = prev.total + o.runs;
+      if (next.wickets === null && prev.totalWickets !== null && next.totalWickets !== null) {
+        next.wickets = next.totalWickets - prev.totalWickets;
+      }
+      if (next.totalWickets === null && prev.totalWickets !== null && next.wickets !== null) {
+        next.totalWickets = prev.totalWickets + next.wickets;
+      }
+    }
+    prev = next;
+    return next;
+  });
+}
+
+function matchOf(id) {
+  return poller.mergedMatches().find(m => m.id === id) || archive.get(id)?.match || null;
+}
+
+async function build(id) {
+  const match   = matchOf(id);
+  const watched = snapshots.get(id) || [];
+  const pages   = await commentaryPages(id);
+  const fromComm = fromCommentary(pages.flatMap(p => p.balls || []), pages.flatMap(p => p.overs || []));
+
+  const names = (match?.score || []).map(s => s.inning);
+  const count = Math.max(names.length, watched.length, ...[...fromComm.keys()]);
+  const innings = [];
+  for (let i = 0; i < count; i++) {
+    const snap = fromSnapshots(watched[i]?.points || []);
+    const comm = fromComm.get(i + 1) || [];
+
+    const merged = new Map(snap.map(o => [o.over, o]));
+    for (const o of comm) {
+      const s = merged.get(o.over);
+      // Snapshot totals at an over end are exact unless interpolated
+      const keep = s && !s.estimated && !s.partial && o.total === null
+        ? { total: s.total, totalWickets: s.totalWickets } : {};
+      merged.set(o.over, { ...o, ...keep });
+    }
+
+    const overs = withTotals([...merged.values()].sort((a, b) => a.over - b.over));
+    innings.push({
+      inning: names[i] || watched[i]?.inning || `Innings ${i + 1}`,
+      source: comm.length && snap.length ? 'mixed' : comm.length ? 'commentary' : snap.length ? 'snapshots' : null,
+      overs,
+    });
+  }
+
+  const sources = new Set(innings.map(inn => inn.source).filter(Boolean));
+  return {
+    id,
+    source: sources.size > 1 ? 'mixed' : [...sources][0] || null,
+    innings,
+  };
+}
+
+// ── Public API ──────────────────────────────────────────────────────────────
+// Goes through cache.refresh(), like the poller's fetches; finished matches
+// are kept for an hour
+function fetch(id) {
+  return cache.refresh(`overs:${id}`, () => build(id), matchOf(id)?.matchEnded ? ARCHIVE_TTL : OVERS_TTL);
+}
+
+function status() {
+  return {
+    matches: snapshots.size,
+    points:  [...snapshots.values()].reduce((n, inns) => n + inns.reduce((m, inn) => m + (inn?.points.length || 0), 0), 0),
+  };
+}
+
+module.exports = { fetch, observe, fromSnapshots, fromCommentary, commentaryPages, status };
@@ -0,0 +1,241 @@
+/**
+ * Player profiles — per-innings batting and bowling rows collected from
+ * archived scorecards, aggregated into career figures by format.
+ *
+ * Rows are written whenever the archive saves a match with a scorecard, and
+ * any archived match without player rows is backfilled on startup.
+ */
+
+const archive = require('./archive');
+
+const { db } = archive;
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS player_batting (
+    match_id   TEXT NOT NULL,
+    inning_no  INTEGER NOT NULL,
+    player     TEXT NOT NULL,
+    team       TEXT,
+    match_type TEXT,
+    date_gmt   TEXT,
+    runs       INTEGER,
+    balls      INTEGER,
+    fours      INTEGER,
+    sixes      INTEGER,
+    dismissal  TEXT,
+    not_out    INTEGER NOT NULL,
+    PRIMARY KEY (match_id, inning_no, player)
+  );
+  CREATE TABLE IF NOT EXISTS player_bowling (
+    match_id   TEXT NOT NULL,
+    inning_no  INTEGER NOT NULL,
+    player     TEXT NOT NULL,
+    team       TEXT,
+    match_type TEXT,
+    date_gmt   TEXT,
+    balls      INTEGER,
+    maidens    INTEGER,
+    runs       INTEGER,
+    wickets    INTEGER,
+    no_balls   INTEGER,
+    wides      INTEGER,
+    PRIMARY KEY (match_id, inning_no, player)
+  );
+  CREATE INDEX IF NOT EXISTS idx_player_batting_name ON player_batting (player COLLATE NOCASE);
+  CREATE INDEX IF NOT EXISTS idx_player_bowling_name ON player_bowling (player COLLATE NOCASE);
+`);
+
+const stmts = {
+  bat: db.prepare(`
+    INSERT OR REPLACE INTO player_batting
+      (match_id, inning_no, player, team, match_type, date_gmt, runs, balls, fours, sixes, dismissal, not_out)
+    VALUES (@match_id, @inning_no, @player, @team, @match_type, @date_gmt, @runs, @balls, @fours, @sixes, @dismissal, @not_out)
+  `),
+  bowl: db.prepare(`
+    INSERT OR REPLACE INTO player_bowling
+      (match_id, inning_no, player, team, match_type, date_gmt, balls, maidens, runs, wickets, no_balls, wides)
+    VALUES (@match_id, @inning_no, @player, @team, @match_type, @date_gmt, @balls, @maidens, @runs, @wickets, @no_balls, @wides)
+  `),
+  batRows:  db.prepare('SELECT * FROM player_batting WHERE player = ? COLLATE NOCASE ORDER BY date_gmt'),
+  bowlRows: db.prepare('SELECT * FROM player_bowling WHERE player = ? COLLATE NOCASE ORDER BY date_gmt'),
+  similar:  db.prepare(`
+    SELECT player FROM player_batting WHERE player LIKE ?
+    UNION SELECT player FROM player_bowling WHERE player LIKE ?
+    ORDER BY player LIMIT 10
+  `),
+  unindexed: db.prepare(`
+    SELECT match, scorecard FROM matches
+    WHERE scorecard IS NOT NULL
+      AND id NOT IN (SELECT match_id FROM player_batting UNION SELECT match_id FROM player_bowling)
+  `),
+};
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+// Scorecards mark captains / keepers inline: "Rohit Sharma (c)", "Pant (wk)"
+function cleanName(name) {
+  return String(name || '').replace(/\s*\((?:c|wk|c\s*&\s*wk)\)\s*/gi, ' ').trim();
+}
+
+function teamOf(inning) {
+  return String(inning || '').replace(/\s+Inning\s+\d+$/i, '').trim();
+}
+
+// "3.4" overs → 22 balls
+function oversToBalls(o) {
+  if (o === null || o === undefined || o === '') return 0;
+  const [whole, part] = String(o).split('.');
+  return (+whole || 0) * 6 + (+part || 0);
+}
+
+function ballsToOvers(balls) {
+  return `${Math.floor(balls / 6)}${balls % 6 ? `.${balls % 6}` : ''}`;
+}
+
+function isNotOut(dismissal) {
+  const d = String(dismissal || '').trim().toLowerCase();
+  return !d || d === 'not out' || d === 'batting' || d.startsWith('retired not out');
+}
+
+function round(n, dp = 2) {
+  return Number.isFinite(n) ? +n.toFixed(dp) : null;
+}
+
+// ── Collect ─────────────────────────────────────────────────────────────────
+const indexMatch = db.transaction((match, scorecard) => {
+  const innings = scorecard?.scorecard || [];
+  const base = {
+    match_id:   match.id,
+    match_type: (match.matchType || '').toLowerCase(),
+    date_gmt:   match.dateTimeGMT || '',
+  };
+
+  innings.forEach((inn, i) => {
+    const battingTeam = teamOf(inn.inning);
+    const bowlingTeam = (match.teams || []).find(t => t !== battingTeam) || '';
+
+    for (const b of inn.batting || []) {
+      const player = cleanName(b.batsman?.name);
+      if (!player) continue;
+      stmts.bat.run({
+        ...base, inning_no: i + 1, player, team: battingTeam,
+        runs: b.r ?? 0, balls: b.b ?? 0, fours: b['4s'] ?? 0, sixes: b['6s'] ?? 0,
+        dismissal: b['dismissal-text'] || 'not out',
+        not_out:   isNotOut(b['dismissal-text']) ? 1 : 0,
+      });
+    }
+
+    for (const b of inn.bowling || []) {
+      const player = cleanName(b.bowler?.name);
+      if (!player) continue;
+      stmts.bowl.run({
+        ...base, inning_no: i + 1, player, team: bowlingTeam,
+        balls: oversToBalls(b.o), maidens: b.m ?? 0, runs: b.r ?? 0, wickets: b.w ?? 0,
+        no_balls: b.nb ?? 0, wides: b.wd ?? 0,
+      });
+    }
+  });
+});
+
+archive.on('saved', ({ match, scorecard }) => {
+  if (scorecard) indexMatch(match, scorecard);
+});
+
+// Matches archived before this module existed
+for (const row of stmts.unindexed.all()) {
+  indexMatch(JSON.parse(row.match), JSON.parse(row.scorecard));
+}
+
+// ── Aggregate ───────────────────────────────────────────────────────────────
+function battingStats(rows) {
+  if (!rows.length) return null;
+  const innings = rows.length;
+  const notOuts = rows.filter(r => r.not_out).length;
+  const runs    = rows.reduce((n, r) => n + r.runs, 0);
+  const balls   = rows.reduce((n, r) => n + r.balls, 0);
+  const best    = rows.reduce((a, r) => (r.runs > a.runs || (r.runs === a.runs && r.not_out)) ? r : a);
+
+  return {
+    matches:    new Set(rows.map(r => r.match_id)).size,
+    innings,
+    notOuts,
+    runs,
+    balls,
+    average:    innings > notOuts ? round(runs / (innings - notOuts)) : null,
+    strikeRate: balls ? round(runs / balls * 100) : null,
+    highest:    `${best.runs}${best.not_out ? '*' : ''}`,
+    fifties:    rows.filter(r => r.runs >= 50 && r.runs < 100).length,
+    hundreds:   rows.filter(r => r.runs >= 100).length,
+    fours:      rows.reduce((n, r) => n + r.fours, 0),
+    sixes:      rows.reduce((n, r) => n + r.sixes, 0),
+  };
+}
+
+function bowlingStats(rows) {
+  if (!rows.length) return null;
+  const balls   = rows.reduce((n, r) => n + r.balls, 0);
+  const runs    = rows.reduce((n, r) => n + r.runs, 0);
+  const wickets = rows.reduce((n, r) => n + r.wickets, 0);
+  const best    = rows.reduce((a, r) =>
+    (r.wickets > a.wickets || (r.wickets === a.wickets && r.runs < a.runs)) ? r : a);
+
+  return {
+    matches:    new Set(rows.map(r => r.match_id)).size,
+    innings:    rows.length,
+    overs:      ballsToOvers(balls),
+    maidens:    rows.reduce((n, r) => n + r.maidens, 0),
+    runs,
+    wickets,
+    average:    wickets ? round(runs / wickets) : null,
+    economy:    balls ? round(runs / (balls / 6)) : null,
+    strikeRate: wickets ? round(balls / wickets, 1) : null,
+    best:       `${best.wickets}/${best.runs}`,
+    fiveWickets: rows.filter(r => r.wickets >= 5).length,
+  };
+}
+
+function groupByFormat(rows) {
+  const out = {};
+  for (const r of rows) (out[r.match_type || 'other'] = out[r.match_type || 'other'] || []).push(r);
+  return out;
+}
+
+// Career profile for one player (name match is case-insensitive), or null
+function profile(name) {
+  const player = cleanName(name);
+  const bat  = stmts.batRows.all(player);
+  const bowl = stmts.bowlRows.all(player);
+  if (!bat.length && !bowl.length) return null;
+
+  const batByFmt  = groupByFormat(bat);
+  const bowlByFmt = groupByFormat(bowl);
+  const formats   = [...new Set([...Object.keys(batByFmt), ...Object.keys(bowlByFmt)])];
+
+  const latest = [...bat, ...bowl].sort((a, b) => (b.date_gmt || '').localeCompare(a.date_gmt || ''))[0];
+
+  return {
+    name:    (bat[0] || bowl[0]).player,
+    team:    latest?.team || '',
+    overall: { batting: battingStats(bat), bowling: bowlingStats(bowl) },
+    formats: Object.fromEntries(formats.map(f => [f, {
+      batting: battingStats(batByFmt[f] || []),
+      bowling: bowlingStats(bowlByFmt[f] || []),
+    }])),
+    recent: {
+      batting: bat.slice(-10).reverse().map(r => ({
+        matchId: r.match_id, date: r.date_gmt, format: r.match_type, team: r.team,
+        runs: r.runs, balls: r.balls, notOut: !!r.not_out, dismissal: r.dismissal,
+      })),
+      bowling: bowl.slice(-10).reverse().map(r => ({
+        matchId: r.match_id, date: r.date_gmt, format: r.match_type, team: r.team,
+        overs: ballsToOvers(r.balls), runs: r.runs, wickets: r.wickets,
+      })),
+    },
+  };
+}
+
+function suggest(name) {
+  const like = `%${cleanName(name)}%`;
+  return stmts.similar.all(like, like).map(r => r.player);
+}
+
+module.exports = { profile, suggest, cleanName };
@@ -1,54 +1,210 @@
 /**
- * On-demand data fetcher — populates the cache when requested.
- * No background polling; data is fetched when the client triggers a refresh.
+ * Background poller — keeps the cache warm on an adaptive schedule.
+ *
+ * Jobs:
+ *  - currentMatches   the live-scores list
+ *  - upcomingMatches  fixtures, on the slower upcoming TTL
+ *  - scorecard:{id}   one per match currently in progress
+ *
+ * Cadence follows what's happening on the field: LIVE_POLL_INTERVAL while play
+ * is on, BREAK_POLL_INTERVAL during innings breaks / stumps / rain (the
+ * `paused` flag from parseState), IDLE_POLL_INTERVAL when nothing is live.
+ * A job that fails backs off exponentially up to MAX_BACKOFF.
+ *
+ * Routes still fetch on demand when the cache misses, and refresh in the
+ * background when it's stale.
  */
 
+const cron       = require('node-cron');
 const cache      = require('./cache');
-const cricketApi = require('./cricbuzzScraper');
+const providers  = require('./providers');
 require('dotenv').config();
 
-const LIVE_TTL     = parseInt(process.env.CACHE_CURRENT_TTL  || '30');
-const UPCOMING_TTL = parseInt(process.env.CACHE_UPCOMING_TTL || '300');
+const LIVE_TTL      = parseInt(process.env.CACHE_CURRENT_TTL   || '30');
+const UPCOMING_TTL  = parseInt(process.env.CACHE_UPCOMING_TTL  || '300');
+const SCORECARD_TTL = parseInt(process.env.CACHE_SCORECARD_TTL || '30');
+const MATCH_INFO_TTL = parseInt(process.env.CACHE_MATCH_INFO_TTL || '60');
+
+const LIVE_POLL_INTERVAL  = parseInt(process.env.LIVE_POLL_INTERVAL  || '30');
+const BREAK_POLL_INTERVAL = parseInt(process.env.BREAK_POLL_INTERVAL || '120');
+const IDLE_POLL_INTERVAL  = parseInt(process.env.IDLE_POLL_INTERVAL  || '300');
+const MAX_BACKOFF         = parseInt(process.env.MAX_BACKOFF         || '900');
 
 let fetchCount  = 0;
 let lastSuccess = null;
 let lastError   = null;
 
-async function fetchCurrentMatches() {
-  console.log(`[poller] Fetching currentMatches... (#${++fetchCount})`);
-  try {
-    const data = await cricketApi.getCurrentMatches();
-    cache.set('currentMatches', data, LIVE_TTL);
-    lastSuccess = new Date();
-    console.log(`[poller] ✅ currentMatches cached — ${data.data?.length || 0} matches`);
-  } catch (err) {
-    lastError = err.message;
-    console.error('[poller] ❌ currentMatches error:', err.message);
-    throw err;
+// Each fetch goes through cache.refresh(), so a poller run and any number of
+// route requests for the same key share one upstream call. All resolve to
+// the cached value.
+function fetchCurrentMatches() {
+  return cache.refresh('currentMatches', async () => {
+    console.log(`[poller] Fetching currentMatches... (#${++fetchCount})`);
+    try {
+      const data = await providers.getCurrentMatches();
+      lastSuccess = new Date();
+      console.log(`[poller] ✅ currentMatches fetched — ${data.data?.length || 0} matches`);
+      return data;
+    } catch (err) {
+      lastError = err.message;
+      console.error('[poller] ❌ currentMatches error:', err.message);
+      throw err;
+    }
+  }, LIVE_TTL);
+}
+
+function fetchUpcomingMatches() {
+  return cache.refresh('upcomingMatches', async () => {
+    console.log('[poller] Fetching upcomingMatches...');
+    try {
+      const data = await providers.getMatches();
+      console.log(`[poller] ✅ upcomingMatches fetched — ${data.data?.length || 0} matches`);
+      return data;
+    } catch (err) {
+      console.error('[poller] ❌ upcomingMatches error:', err.message);
+      throw err;
+    }
+  }, UPCOMING_TTL);
+}
+
+function fetchScorecard(id) {
+  return cache.refresh(`scorecard:${id}`, async () => (await providers.getScorecard(id)).data, SCORECARD_TTL);
+}
+
+function fetchMatchInfo(id) {
+  return cache.refresh(`matchinfo:${id}`, async () => (await providers.getMatchInfo(id)).data, MATCH_INFO_TTL);
+}
+
+// Current + upcoming from cache, deduplicated by id (current takes priority).
+// Stale lists still count — a refresh is already on its way.
+function mergedMatches() {
+  const currentData  = cache.peek('currentMatches')?.value?.data  || [];
+  const upcomingData = cache.peek('upcomingMatches')?.value?.data || [];
+
+  const seen   = new Set();
+  const merged = [];
+  for (const m of [...currentData, ...upcomingData]) {
+    if (!seen.has(m.id)) { seen.add(m.id); merged.push(m); }
   }
+  return merged;
+}
+
+// ── Scheduler ───────────────────────────────────────────────────────────────
+// name → { run, interval, nextRun, lastRun, lastDuration, failures, lastError, running }
+const jobs = new Map();
+let task = null;
+
+function isLive(m) {
+  return m.matchStarted && !m.matchEnded;
+}
+
+function liveMatches() {
+  return (cache.peek('currentMatches')?.value?.data || []).filter(isLive);
 }
 
-async function fetchUpcomingMatches() {
-  console.log('[poller] Fetching upcomingMatches...');
+// Seconds until the next run for a healthy job
+function listInterval() {
+  const live = liveMatches();
+  if (!live.length) return IDLE_POLL_INTERVAL;
+  return live.some(m => !m.paused) ? LIVE_POLL_INTERVAL : BREAK_POLL_INTERVAL;
+}
+
+function scorecardInterval(id) {
+  const m = liveMatches().find(x => x.id === id);
+  return m?.paused ? BREAK_POLL_INTERVAL : LIVE_POLL_INTERVAL;
+}
+
+function addJob(name, run, interval, delay = 0) {
+  if (jobs.has(name)) return;
+  jobs.set(name, {
+    run, interval,
+    nextRun:      Date.now() + delay * 1000,
+    lastRun:      null,
+    lastDuration: null,
+    failures:     0,
+    lastError:    null,
+    running:      false,
+  });
+}
+
+// One scorecard job per live match; drop jobs for matches that have ended
+function syncScorecardJobs() {
+  const liveIds = new Set(liveMatches().map(m => m.id));
+  for (const id of liveIds) {
+    const name = `scorecard:${id}`;
+    addJob(name, () => fetchScorecard(id), () => scorecardInterval(id));
+  }
+  for (const name of jobs.keys()) {
+    if (name.startsWith('scorecard:') && !liveIds.has(name.slice('scorecard:'.length))) {
+      jobs.delete(name);
+    }
+  }
+}
+
+async function runJob(name, job) {
+  job.running = true;
+  const started = Date.now();
   try {
-    const data = await cricketApi.getMatches();
-    cache.set('upcomingMatches', data, UPCOMING_TTL);
-    console.log(`[poller] ✅ upcomingMatches cached — ${data.data?.length || 0} matches`);
+    await job.run();
+    job.failures  = 0;
+    job.lastError = null;
   } catch (err) {
-    console.error('[poller] ❌ upcomingMatches error:', err.message);
-    throw err;
+    job.failures++;
+    job.lastError = err.message;
+  } finally {
+    job.running      = false;
+    job.lastRun      = new Date(started);
+    job.lastDuration = Date.now() - started;
+
+    const base  = job.interval();
+    const delay = job.failures
+      ? Math.min(base * 2 ** job.failures, MAX_BACKOFF)
+      : base;
+    job.nextRun = Date.now() + delay * 1000;
+    if (job.failures) {
+      console.warn(`[poller] ${name} failed ${job.failures}x — backing off ${delay}s`);
+    }
+  }
+  if (name === 'currentMatches') syncScorecardJobs();
+}
+
+function tick() {
+  const now = Date.now();
+  for (const [name, job] of jobs) {
+    if (!job.running && now >= job.nextRun) runJob(name, job);
   }
 }
 
 function start() {
-  // Warm up cache once on startup — no ongoing cron polling
-  fetchCurrentMatches().catch(() => {});
-  fetchUpcomingMatches().catch(() => {});
-  console.log('[poller] Cache warmed on startup — on-demand mode (no background polling)');
+  addJob('currentMatches',  fetchCurrentMatches,  listInterval);
+  addJob('upcomingMatches', fetchUpcomingMatches, () => UPCOMING_TTL);
+  task = cron.schedule('* * * * * *', tick);
+  console.log(`[poller] Scheduler started — live ${LIVE_POLL_INTERVAL}s, break ${BREAK_POLL_INTERVAL}s, idle ${IDLE_POLL_INTERVAL}s`);
+}
+
+function stop() {
+  if (task) task.stop();
+  task = null;
 }
 
 function status() {
-  return { fetchCount, lastSuccess, lastError, mode: 'on-demand' };
+  return {
+    fetchCount, lastSuccess, lastError,
+    mode: task ? 'scheduled' : 'on-demand',
+    jobs: [...jobs].map(([name, job]) => ({
+      name,
+      interval:            job.interval(),
+      nextRun:             new Date(job.nextRun),
+      lastRun:             job.lastRun,
+      lastDurationMs:      job.lastDuration,
+      consecutiveFailures: job.failures,
+      lastError:           job.lastError,
+      running:             job.running,
+    })),
+  };
 }
 
-module.exports = { start, status, fetchCurrentMatches, fetchUpcomingMatches };
+module.exports = {
+  start, stop, status, mergedMatches,
+  fetchCurrentMatches, fetchUpcomingMatches, fetchScorecard, fetchMatchInfo,
+};
@@ -0,0 +1,218 @@
+/**
+ * Data-provider registry — picks the match data source from config and fails
+ * over to the next one when a source errors or comes back empty.
+ *
+ * Every provider implements the same contract:
+ *   getCurrentMatches(), getMatches(), getScorecard(id), getMatchInfo(id)
+ * and may add optional extras such as getCommentary(id, cursor).
+ *
+ * The sources use different match ID schemes (Cricbuzz "{id}~{slug}",
+ * CricketData.org UUIDs), so every match list that passes through here is
+ * indexed by a team + date fingerprint. That lets an ID handed out by one
+ * provider be translated for another, and keeps match.html?id= links working
+ * whichever provider ends up serving the data.
+ *
+ * Match lists also come out enriched (category, gender, format, ageGroup —
+ * see enrich.js), and matches, scorecards and match info carry canonical
+ * team IDs (teams.js), whichever provider served them.
+ */
+
+const { enrich } = require('./enrich');
+const teams      = require('./teams');
+require('dotenv').config();
+
+const PROVIDERS = {
+  cricbuzz:    require('./cricbuzzScraper'),
+  cricketdata: require('./cricketApi'),
+};
+
+// Comma-separated, highest priority first
+const ORDER = (process.env.DATA_PROVIDERS || 'cricbuzz,cricketdata')
+  .split(',')
+  .map(p => p.trim().toLowerCase())
+  .filter(p => {
+    if (PROVIDERS[p]) return true;
+    if (p) console.warn(`[providers] Unknown provider "${p}" in DATA_PROVIDERS — ignored`);
+    return false;
+  });
+
+const stats = {};
+for (const name of ORDER) {
+  stats[name] = { calls: 0, failures: 0, empty: 0, lastError: null, lastSuccess: null };
+}
+let lastServedBy = null;
+
+function activeProviders() {
+  return ORDER.map(name => PROVIDERS[name]).filter(p => p.isConfigured());
+}
+
+// ── ID mapping ──────────────────────────────────────────────────────────────
+// fingerprint → { [providerName]: providerMatchId }
+const idsByFingerprint = new Map();
+// any known match id → fingerprint
+const fingerprintById  = new Map();
+
+function teamKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Same two teams on the same (GMT) day is the same match for every provider
+function fingerprint(m) {
+  const teams = (m.teams || []).map(teamKey).filter(Boolean).sort();
+  const day   = String(m.dateTimeGMT || '').slice(0, 10);
+  if (teams.length < 2 || !day) return null;
+  return `${teams.join('|')}@${day}`;
+}
+
+function indexMatch(providerName, m) {
+  const fp = fingerprint(m);
+  if (!fp) return;
+  const ids = idsByFingerprint.get(fp) || {};
+  ids[providerName] = m.id;
+  idsByFingerprint.set(fp, ids);
+  fingerprintById.set(m.id, fp);
+}
+
+// The public ID is the one from the highest-priority provider that knows the
+// match, so a link stays the same when a lower-priority provider fills in
+function publicId(providerId) {
+  const fp  = fingerprintById.get(providerId);
+  const ids = fp && idsByFingerprint.get(fp);
+  if (!ids) return providerId;
+  for (const name of ORDER) {
+    if (ids[name]) return ids[name];
+  }
+  return providerId;
+}
+
+function lookupId(id, provider) {
+  if (provider.ownsId(id)) return id;
+  const fp = fingerprintById.get(id);
+  return fp ? idsByFingerprint.get(fp)?.[provider.name] || null : null;
+}
+
+// Translate a match id into `provider`'s scheme, loading that provider's match
+// lists once to learn the mapping if we haven't seen them yet
+async function resolveId(id, provider) {
+  const known = lookupId(id, provider);
+  if (known || !fingerprintById.has(id)) return known;
+
+  for (const method of ['getCurrentMatches', 'getMatches']) {
+    try {
+      const res = await provider[method]();
+      for (const m of res.data || []) indexMatch(provider.name, m);
+    } catch (err) {
+      console.error(`[providers] ${provider.name}.${method} failed while mapping ${id}:`, err.message);
+    }
+    const found = lookupId(id, provider);
+    if (found) return found;
+  }
+  return null;
+}
+
+// ── Failover ────────────────────────────────────────────────────────────────
+function isEmpty(result, method) {
+  if (method === 'getScorecard')  return !result?.data?.scorecard?.length;
+  if (method === 'getCommentary') return !result?.data?.balls?.length;
+  if (method === 'getMatchInfo')  return !result?.data;
+  if (method === 'getSquads')     return !result?.data?.squads?.some(s => s.announced);
+  return !result?.data?.length;
+}
+
+function recordFailure(name, err) {
+  stats[name].failures++;
+  stats[name].lastError = err.message;
+  console.error(`[providers] ❌ ${name} failed:`, err.message);
+}
+
+// Match lists: first provider with a non-empty list wins
+async function listMatches(method) {
+  let lastErr = null, emptyResult = null;
+
+  for (const provider of activeProviders()) {
+    const s = stats[provider.name];
+    s.calls++;
+    try {
+      const res = await provider[method]();
+      if (isEmpty(res, method)) {
+        s.empty++;
+        emptyResult = emptyResult || res;
+        console.warn(`[providers] ${provider.name}.${method} returned no matches — trying next provider`);
+        continue;
+      }
+      for (const m of res.data) indexMatch(provider.name, m);
+      s.lastSuccess = new Date();
+      lastServedBy  = provider.name;
+      return {
+        ...res,
+        provider: provider.name,
+        data: res.data.map(m => teams.annotate(enrich({ ...m, id: publicId(m.id) }))),
+      };
+    } catch (err) {
+      recordFailure(provider.name, err);
+      lastErr = err;
+    }
+  }
+
+  if (emptyResult) return { ...emptyResult, data: [] };
+  throw lastErr || new Error('No data providers configured');
+}
+
+// Per-match calls: translate the id for each provider in turn. Providers that
+// don't implement an optional method (e.g. getCommentary) are skipped.
+async function forMatch(method, id, ...args) {
+  let lastErr = null, emptyResult = null;
+
+  for (const provider of activeProviders()) {
+    if (typeof provider[method] !== 'function') continue;
+    const providerId = await resolveId(id, provider);
+    if (!providerId) continue;
+
+    const s = stats[provider.name];
+    s.calls++;
+    try {
+      const res = await provider[method](providerId, ...args);
+      if (isEmpty(res, method)) {
+        s.empty++;
+        emptyResult = emptyResult || res;
+        continue;
+      }
+      s.lastSuccess = new Date();
+      lastServedBy  = provider.name;
+      const data = res.data.id !== undefined ? { ...res.data, id } : res.data;
+      return { ...res, provider: provider.name, data };
+    } catch (err) {
+      recordFailure(provider.name, err);
+      lastErr = err;
+    }
+  }
+
+  if (emptyResult) return emptyResult;
+  throw lastErr || new Error(`No provider can serve match ${id}`);
+}
+
+function withTeams(res) {
+  return { ...res, data: teams.annotate(res.data) };
+}
+
+function status() {
+  return {
+    order:     ORDER,
+    active:    activeProviders().map(p => p.name),
+    lastServedBy,
+    mappedIds: fingerprintById.size,
+    stats,
+  };
+}
+
+// ── Public API ──────────────────────────────────────────────────────────────
+// Same contract as the individual providers, plus optional extras
+module.exports = {
+  getCurrentMatches: () => listMatches('getCurrentMatches'),
+  getMatches:        () => listMatches('getMatches'),
+  getScorecard:      (id) => forMatch('getScorecard', id).then(withTeams),
+  getMatchInfo:      (id) => forMatch('getMatchInfo', id).then(withTeams),
+  getCommentary:     (id, cursor) => forMatch('getCommentary', id, cursor),
+  getSquads:         (id) => forMatch('getSquads', id).then(withTeams),
+  status,
+};
@@ -0,0 +1,320 @@
+/**
+ * Push notifications — browser push subscriptions that follow teams, series
+ * or matches, sent a notification for each match event they care about
+ *
+ * A subscription is the browser's PushSubscription (endpoint + keys) plus
+ * what it follows: canonical team IDs (teams.js), series IDs and match IDs,
+ * and the event types it wants (default: wicket, milestone, result). An
+ * event notifies every subscription following the match, either side or
+ * its series.
+ *
+ * Delivery is tracked per subscription: sent / failed counts, the last
+ * outcome, and the most recent deliveries. A push service answering 404 or
+ * 410 means the browser dropped the subscription, so it is removed. The
+ * routes are open to any browser, so only the outcome ("sent" / "failed")
+ * is kept — the push service's status and errors go to the log.
+ *
+ * Endpoints must be https and may not be loopback, link-local or private
+ * addresses, in the URL or as what its hostname resolves to.
+ * PUSH_ALLOW_LOCAL=true lets http(s) endpoints on this machine through, for
+ * a local stand-in of a push service.
+ *
+ * VAPID keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY; without them a
+ * key pair is generated once and kept in the archive's SQLite database, so
+ * browsers stay subscribed across restarts.
+ */
+
+const crypto  = require('crypto');
+const archive  = require('./archive');
+const netGuard = require('./netGuard');
+const poller  = require('./poller');
+const events  = require('./matchEvents');
+const teams   = require('./teams');
+const webPush = require('./webPush');
+require('dotenv').config();
+
+const SUBJECT = process.env.VAPID_SUBJECT || 'mailto:admin@criclive.local';
+const DELIVERY_LOG_LIMIT = 50;   // per subscription, returned by get()
+
+const TYPES = ['wicket', 'milestone', 'five_wicket_haul', 'innings_end', 'target_set', 'result'];
+const DEFAULT_TYPES = ['wicket', 'milestone', 'result'];
+const FOLLOWS = ['teams', 'series', 'matches'];
+
+const { db } = archive;
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS push_subscriptions (
+    id            TEXT PRIMARY KEY,
+    endpoint      TEXT NOT NULL UNIQUE,
+    p256dh        TEXT NOT NULL,
+    auth          TEXT NOT NULL,
+    follows       TEXT NOT NULL,
+    types         TEXT NOT NULL,
+    created_at    TEXT NOT NULL,
+    updated_at    TEXT NOT NULL,
+    delivered     INTEGER NOT NULL DEFAULT 0,
+    failed        INTEGER NOT NULL DEFAULT 0,
+    last_status   TEXT,
+    last_delivery TEXT
+  );
+  CREATE TABLE IF NOT EXISTS push_deliveries (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    subscription_id TEXT NOT NULL,
+    type            TEXT NOT NULL,
+    match_id        TEXT,
+    status          TEXT NOT NULL,
+    error           TEXT,
+    sent_at         TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_push_deliveries_sub ON push_deliveries (subscription_id);
+  CREATE TABLE IF NOT EXISTS push_vapid (
+    id          INTEGER PRIMARY KEY CHECK (id = 1),
+    public_key  TEXT NOT NULL,
+    private_key TEXT NOT NULL,
+    created_at  TEXT NOT NULL
+  );
+`);
+
+const stmts = {
+  upsert: db.prepare(`
+    INSERT INTO push_subscriptions (id, endpoint, p256dh, auth, follows, types, created_at, updated_at)
+    VALUES (@id, @endpoint, @p256dh, @auth, @follows, @types, @now, @now)
+    ON CONFLICT (endpoint) DO UPDATE SET
+      p256dh = excluded.p256dh, auth = excluded.auth, follows = excluded.follows,
+      types = excluded.types, updated_at = excluded.updated_at
+  `),
+  all:     db.prepare('SELECT * FROM push_subscriptions ORDER BY created_at'),
+  get:     db.prepare('SELECT * FROM push_subscriptions WHERE id = ?'),
+  byEndpoint: db.prepare('SELECT * FROM push_subscriptions WHERE endpoint = ?'),
+  remove:  db.prepare('DELETE FROM push_subscriptions WHERE id = ?'),
+  removeLog: db.prepare('DELETE FROM push_deliveries WHERE subscription_id = ?'),
+  ok:      db.prepare('UPDATE push_subscriptions SET delivered = delivered + 1, last_status = ?, last_delivery = ? WHERE id = ?'),
+  fail:    db.prepare('UPDATE push_subscriptions SET failed = failed + 1, last_status = ?, last_delivery = ? WHERE id = ?'),
+  log:     db.prepare(`
+    INSERT INTO push_deliveries (subscription_id, type, match_id, status, error, sent_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  trimLog: db.prepare(`
+    DELETE FROM push_deliveries WHERE subscription_id = ? AND id NOT IN
+      (SELECT id FROM push_deliveries WHERE subscription_id = ? ORDER BY id DESC LIMIT ${DELIVERY_LOG_LIMIT})
+  `),
+  logFor:  db.prepare(`SELECT * FROM push_deliveries WHERE subscription_id = ? ORDER BY id DESC LIMIT ${DELIVERY_LOG_LIMIT}`),
+  vapid:   db.prepare('SELECT * FROM push_vapid WHERE id = 1'),
+  saveVapid: db.prepare('INSERT INTO push_vapid (id, public_key, private_key, created_at) VALUES (1, ?, ?, ?)'),
+};
+
+// ── VAPID keys ──────────────────────────────────────────────────────────────
+function loadVapid() {
+  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+    return { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY, subject: SUBJECT };
+  }
+  let row = stmts.vapid.get();
+  if (!row) {
+    const keys = webPush.generateVapidKeys();
+    stmts.saveVapid.run(keys.publicKey, keys.privateKey, new Date().toISOString());
+    console.log('[push] Generated a VAPID key pair (set VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY to use your own)');
+    row = stmts.vapid.get();
+  }
+  return { publicKey: row.public_key, privateKey: row.private_key, subject: SUBJECT };
+}
+
+const vapid = loadVapid();
+
+// Subscriptions are read on every event, so keep them in memory
+let subscriptions = stmts.all.all().map(parseRow);
+let inFlight = 0;
+
+function parseRow(row) {
+  return {
+    id:        row.id,
+    endpoint:  row.endpoint,
+    keys:      { p256dh: row.p256dh, auth: row.auth },
+    follows:   JSON.parse(row.follows),
+    types:     JSON.parse(row.types),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    stats:     { delivered: row.delivered, failed: row.failed, lastStatus: row.last_status, lastDelivery: row.last_delivery },
+  };
+}
+
+// The endpoint is a bearer credential for pushing to that browser
+function publicView(sub) {
+  const { endpoint, keys, ...rest } = sub;
+  return rest;
+}
+
+// ── Validation ──────────────────────────────────────────────────────────────
+function asList(v) {
+  if (v === undefined || v === null || v === '') return [];
+  return (Array.isArray(v) ? v : String(v).split(',')).map(x => String(x).trim()).filter(Boolean);
+}
+
+// Read per call, not at load, so tests can switch it
+function allowLocal() {
+  return process.env.PUSH_ALLOW_LOCAL === 'true';
+}
+
+// Only loopback answers get through, and only with PUSH_ALLOW_LOCAL
+const agents = netGuard.guardedAgents(address => allowLocal() && netGuard.isLoopbackAddress(address));
+
+// Push services are https on public hosts; a stand-in on this machine may be
+// plain http when PUSH_ALLOW_LOCAL is set
+function validEndpoint(endpoint) {
+  let url;
+  try { url = new URL(endpoint); } catch (e) { return false; }
+  if (allowLocal() && netGuard.isLoopbackHost(url.hostname)) return ['http:', 'https:'].includes(url.protocol);
+  return url.protocol === 'https:' && !netGuard.isPrivateHost(url.hostname);
+}
+
+function validate({ subscription, follows = {}, types }) {
+  const { endpoint, keys = {} } = subscription || {};
+  if (!validEndpoint(endpoint)) {
+    throw new Error('subscription.endpoint must be an https push service URL, not a loopback, link-local or private address');
+  }
+  if (Buffer.from(String(keys.p256dh || ''), 'base64url').length !== 65 ||
+      Buffer.from(String(keys.auth || ''), 'base64url').length !== 16) {
+    throw new Error('subscription.keys needs p256dh (a P-256 public key) and auth (16 bytes), base64url');
+  }
+
+  const wanted  = types === undefined ? DEFAULT_TYPES : asList(types).map(t => t.toLowerCase());
+  const unknown = wanted.filter(t => !TYPES.includes(t));
+  if (unknown.length) throw new Error(`Unknown event type(s): ${unknown.join(', ')} — use ${TYPES.join(', ')}`);
+
+  const list = Object.fromEntries(FOLLOWS.map(k => [k, asList(follows[k])]));
+  // Teams may be given by name or alias; store canonical IDs
+  list.teams = [...new Set(list.teams.map(t => teams.get(t)?.id || t))];
+  return { endpoint, keys, follows: list, types: wanted };
+}
+
+// ── Subscriptions ───────────────────────────────────────────────────────────
+// Creates the subscription, or replaces what an existing one (same endpoint)
+// follows. Returns { created, subscription }.
+function subscribe(body = {}) {
+  const v        = validate(body);
+  const existing = stmts.byEndpoint.get(v.endpoint);
+  stmts.upsert.run({
+    id:       existing?.id || crypto.randomUUID(),
+    endpoint: v.endpoint,
+    p256dh:   v.keys.p256dh,
+    auth:     v.keys.auth,
+    follows:  JSON.stringify(v.follows),
+    types:    JSON.stringify(v.types),
+    now:      new Date().toISOString(),
+  });
+  subscriptions = stmts.all.all().map(parseRow);
+  const sub = subscriptions.find(s => s.endpoint === v.endpoint);
+  if (!existing) console.log(`[push] ➕ ${sub.id}`);
+  return { created: !existing, subscription: publicView(sub) };
+}
+
+function get(id) {
+  const row = stmts.get.get(id);
+  if (!row) return null;
+  return {
+    ...publicView(parseRow(row)),
+    deliveries: stmts.logFor.all(id).map(d => ({
+      type: d.type, matchId: d.match_id, status: d.status, sentAt: d.sent_at,
+    })),
+  };
+}
+
+function remove(id) {
+  const removed = stmts.remove.run(id).changes > 0;
+  if (removed) {
+    stmts.removeLog.run(id);
+    subscriptions = subscriptions.filter(s => s.id !== id);
+    console.log(`[push] ➖ ${id}`);
+  }
+  return removed;
+}
+
+// ── Delivery ────────────────────────────────────────────────────────────────
+// Resolves to { status, error? } for callers on this side; what's stored
+// (and shown by get()) is only the outcome. Never rejects.
+async function deliver(sub, type, matchId, payload) {
+  const now = () => new Date().toISOString();
+  inFlight++;
+  try {
+    const code = await webPush.send(sub, payload, vapid, {
+      urgency: type === 'test' ? 'normal' : 'high',
+      agent:   parsed => agents[parsed.protocol],
+    });
+    if (code >= 200 && code < 300) {
+      stmts.ok.run('sent', now(), sub.id);
+      stmts.log.run(sub.id, type, matchId, 'sent', null, now());
+      return { status: code };
+    }
+    if (code === 404 || code === 410) {
+      console.warn(`[push] ${sub.id} expired (HTTP ${code}) — removed`);
+      remove(sub.id);
+      return { status: code, error: 'Subscription expired' };
+    }
+    throw Object.assign(new Error(`HTTP ${code}`), { code });
+  } catch (err) {
+    stmts.fail.run('failed', now(), sub.id);
+    stmts.log.run(sub.id, type, matchId, 'failed', null, now());
+    console.warn(`[push] ${type} to ${sub.id} failed: ${err.message}`);
+    return { status: err.code || null, error: err.message };
+  } finally {
+    stmts.trimLog.run(sub.id, sub.id);
+    inFlight--;
+  }
+}
+
+// A test notification, for the "notifications on" check in the browser
+async function test(id) {
+  const sub = subscriptions.find(s => s.id === id);
+  if (!sub) return null;
+  return deliver(sub, 'test', null, { title: 'CricLive', body: 'Notifications are on 🏏', url: 'index.html', tag: 'test' });
+}
+
+// ── Matching ────────────────────────────────────────────────────────────────
+function follows(sub, matchId, match) {
+  const f = sub.follows;
+  if (f.matches.includes(matchId)) return true;
+  if (match?.series?.id && f.series.includes(String(match.series.id))) return true;
+  return !!match && teams.idsOf(match).some(id => f.teams.includes(id));
+}
+
+function shortTitle(match) {
+  const names = (match?.teamInfo || []).map(t => t.shortname || t.name);
+  return names.length === 2 ? `${names[0]} v ${names[1]}` : match?.name || 'CricLive';
+}
+
+// Resolves once every delivery for the event has been attempted
+function dispatch(ev) {
+  if (!subscriptions.length) return Promise.resolve([]);
+  const match = poller.mergedMatches().find(m => m.id === ev.matchId) || null;
+  const payload = {
+    title: shortTitle(match),
+    body:  ev.text,
+    url:   `match.html?id=${encodeURIComponent(ev.matchId)}`,
+    tag:   `${ev.matchId}:${ev.type}`,
+    type:  ev.type,
+    matchId: ev.matchId,
+  };
+  return Promise.all(subscriptions
+    .filter(sub => sub.types.includes(ev.type) && follows(sub, ev.matchId, match))
+    .map(sub => deliver(sub, ev.type, ev.matchId, payload)));
+}
+
+events.on('event', dispatch);
+
+function status() {
+  return {
+    subscriptions: subscriptions.length,
+    inFlight,
+    vapidFrom: process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY ? 'env' : 'database',
+  };
+}
+
+module.exports = {
+  publicKey: () => vapid.publicKey,
+  subscribe,
+  get,
+  remove,
+  test,
+  dispatch,
+  status,
+  TYPES,
+};
@@ -0,0 +1,253 @@
+/**
+ * Records — head-to-head and venue records from the match archive
+ *
+ * Head to head (/api/h2h): archived matches between two canonical teams
+ * (teams.js), so "India", "IND" and a source's own spelling share one
+ * record. Each side's wins, losses, ties, draws and no results, the latest
+ * results, and the leading run scorers and wicket takers from the player
+ * index (players.js).
+ *
+ * Venue (/api/venue/:name): archived matches at a ground, matched on its
+ * name without the city ("Wankhede Stadium, Mumbai" = "Wankhede Stadium").
+ * By format: the average first-innings total, wins batting first vs
+ * chasing, the highest totals, and what toss winners chose and how it
+ * went for them.
+ *
+ * Results are read from the status line (series.resultOf); a match whose
+ * status can't be read counts as played but not decided.
+ */
+
+const archive = require('./archive');
+const teams   = require('./teams');
+const { enrich } = require('./enrich');
+const { resultOf, battingTeam } = require('./series');
+require('./players');   // creates the player tables read below
+
+const { db } = archive;
+
+const FORMATS = ['test', 'odi', 't20', 't10', 'hundred', 'other'];
+const RECENT  = 5;   // latest results in a head to head
+const TOP     = 5;   // run scorers / wicket takers listed
+const HIGHEST = 3;   // highest totals per format at a venue
+
+const stmts = {
+  between: db.prepare(`
+    SELECT match, info FROM matches
+    WHERE (team1 LIKE @a OR team2 LIKE @a) AND (team1 LIKE @b OR team2 LIKE @b)
+    ORDER BY date_gmt DESC
+  `),
+  atVenue: db.prepare('SELECT match, info, venue FROM matches WHERE venue LIKE ? ORDER BY date_gmt DESC'),
+  runScorers: db.prepare(`
+    SELECT player, team, COUNT(*) AS innings, SUM(runs) AS runs, SUM(balls) AS balls,
+           SUM(not_out) AS not_outs, MAX(runs) AS highest
+    FROM player_batting WHERE match_id IN (SELECT value FROM json_each(?))
+    GROUP BY player, team ORDER BY runs DESC, balls ASC LIMIT ${TOP}
+  `),
+  wicketTakers: db.prepare(`
+    SELECT player, team, COUNT(*) AS innings, SUM(wickets) AS wickets, SUM(runs) AS runs, SUM(balls) AS balls
+    FROM player_bowling WHERE match_id IN (SELECT value FROM json_each(?))
+    GROUP BY player, team ORDER BY wickets DESC, runs ASC LIMIT ${TOP}
+  `),
+};
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+function formatFilter(format) {
+  const f = String(format || '').toLowerCase().trim();
+  if (f && !FORMATS.includes(f)) throw new Error(`Unknown format "${format}" — use ${FORMATS.join(', ')}`);
+  return f || null;
+}
+
+function round(n, dp = 1) {
+  return Number.isFinite(n) ? +n.toFixed(dp) : null;
+}
+
+const pct = (n, of) => (of ? round(n / of * 100) : null);
+
+function parseRow(row) {
+  return {
+    match: teams.annotate(enrich(JSON.parse(row.match))),
+    info:  row.info ? JSON.parse(row.info) : null,
+  };
+}
+
+// resultOf() plus draws, which it leaves unread
+function outcomeOf(m) {
+  return resultOf(m) || (/\bdrawn?\b/i.test(m.status || '') ? { type: 'draw' } : null);
+}
+
+function idOf(m, name) {
+  return (m.teamInfo || []).find(t => t.name === name)?.id || null;
+}
+
+function brief(m) {
+  const outcome = outcomeOf(m);
+  return {
+    id:     m.id,
+    name:   m.name || '',
+    date:   m.dateTimeGMT || '',
+    format: m.format,
+    venue:  m.venue || '',
+    status: m.status || '',
+    winner: outcome?.type === 'win' ? idOf(m, outcome.winner) : null,
+    score:  m.score || [],
+  };
+}
+
+// "Wankhede Stadium, Mumbai" → "wankhede stadium"
+function groundOf(venue) {
+  return teams.norm(String(venue || '').split(',')[0]);
+}
+
+// ── Head to head ────────────────────────────────────────────────────────────
+// q: { teams: "A,B" (IDs, names or aliases), format? }. Null when either
+// team isn't known; throws on a malformed query.
+function headToHead(q = {}) {
+  const keys = String(q.teams || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (keys.length !== 2) throw new Error('Give two teams: ?teams=A,B');
+  const format = formatFilter(q.format);
+
+  const [a, b] = keys.map(k => teams.get(k));
+  if (!a || !b) return null;
+  if (a.id === b.id) throw new Error('Give two different teams');
+
+  // Names are a substring pre-filter (a nation's country name finds all its
+  // sides); the canonical IDs pick out these two
+  const like = t => `%${t.country || t.name}%`;
+  const matches = stmts.between.all({ a: like(a), b: like(b) })
+    .map(row => parseRow(row).match)
+    .filter(m => {
+      const ids = teams.idsOf(m);
+      return ids.includes(a.id) && ids.includes(b.id) && (!format || m.format === format);
+    });
+
+  const record = Object.fromEntries([a, b].map(t => [t.id, { won: 0, lost: 0, tied: 0, drawn: 0, noResult: 0 }]));
+  for (const m of matches) {
+    const outcome = outcomeOf(m);
+    if (outcome?.type === 'win') {
+      const winner = idOf(m, outcome.winner);
+      for (const id of Object.keys(record)) record[id][id === winner ? 'won' : 'lost']++;
+    } else if (outcome) {
+      const key = { tie: 'tied', draw: 'drawn', no_result: 'noResult' }[outcome.type];
+      for (const id of Object.keys(record)) record[id][key]++;
+    }
+  }
+
+  // Player rows carry the source's team name; map it back to a side
+  const sideOf = new Map();
+  for (const m of matches) for (const t of m.teamInfo || []) sideOf.set(t.name, t.id);
+  const ids = JSON.stringify(matches.map(m => m.id));
+
+  return {
+    format,
+    matches: matches.length,
+    teams: [a, b].map(t => ({
+      id: t.id, name: t.name, shortname: t.shortname, flag: t.flag, logo: t.logo, ...record[t.id],
+    })),
+    recent: matches.slice(0, RECENT).map(brief),
+    topRunScorers: stmts.runScorers.all(ids).map(r => ({
+      player:  r.player,
+      teamId:  sideOf.get(r.team) || null,
+      innings: r.innings,
+      runs:    r.runs,
+      average: r.innings > r.not_outs ? round(r.runs / (r.innings - r.not_outs), 2) : null,
+      strikeRate: r.balls ? round(r.runs / r.balls * 100, 2) : null,
+      highest: r.highest,
+    })),
+    topWicketTakers: stmts.wicketTakers.all(ids).map(r => ({
+      player:  r.player,
+      teamId:  sideOf.get(r.team) || null,
+      innings: r.innings,
+      wickets: r.wickets,
+      average: r.wickets ? round(r.runs / r.wickets, 2) : null,
+      economy: r.balls ? round(r.runs / (r.balls / 6), 2) : null,
+    })),
+  };
+}
+
+// ── Venue ───────────────────────────────────────────────────────────────────
+function formatRecord(entries) {
+  const firstInnings = [], totals = [];
+  let decided = 0, battingFirstWon = 0;
+  const toss = { decisions: 0, bat: 0, bowl: 0, winnerWon: 0, decided: 0 };
+
+  for (const { match: m, info } of entries) {
+    const outcome = outcomeOf(m);
+    const score   = (m.score || []).filter(s => Number.isFinite(s.r));
+
+    // A no result's first innings is usually cut short
+    if (score[0] && outcome && outcome.type !== 'no_result') firstInnings.push(score[0].r);
+    if (outcome?.type === 'win' && score[0]) {
+      decided++;
+      if (battingTeam(m, score[0].inning) === outcome.winner) battingFirstWon++;
+    }
+
+    for (const s of score) {
+      const team = battingTeam(m, s.inning);
+      totals.push({
+        team, runs: s.r, wickets: s.w ?? null, overs: s.o ?? null,
+        against: (m.teams || []).find(t => t !== team) || '',
+        matchId: m.id, date: m.dateTimeGMT || '',
+      });
+    }
+
+    const choice = String(info?.tossChoice || '').toLowerCase();
+    if (info?.tossWinner && (choice === 'bat' || choice === 'bowl')) {
+      toss.decisions++;
+      toss[choice]++;
+      if (outcome?.type === 'win') {
+        toss.decided++;
+        if (outcome.winner === info.tossWinner) toss.winnerWon++;
+      }
+    }
+  }
+
+  return {
+    matches: entries.length,
+    averageFirstInnings: firstInnings.length
+      ? round(firstInnings.reduce((n, r) => n + r, 0) / firstInnings.length) : null,
+    results: {
+      decided,
+      battingFirstWon,
+      chasingWon:     decided - battingFirstWon,
+      battingFirstPct: pct(battingFirstWon, decided),
+      chasingPct:      pct(decided - battingFirstWon, decided),
+    },
+    highestTotals: totals.sort((x, y) => y.runs - x.runs).slice(0, HIGHEST),
+    toss: {
+      decisions: toss.decisions,
+      bat:       toss.bat,
+      bowl:      toss.bowl,
+      batPct:    pct(toss.bat, toss.decisions),
+      bowlPct:   pct(toss.bowl, toss.decisions),
+      winnerWonPct: pct(toss.winnerWon, toss.decided),
+    },
+  };
+}
+
+// name: a ground, with or without its city. q: { format? }. Null when no
+// archived match was played there.
+function venue(name, q = {}) {
+  const format = formatFilter(q.format);
+  const ground = groundOf(name);
+  if (!ground) return null;
+
+  const rows = stmts.atVenue.all(`%${String(name).split(',')[0].trim()}%`)
+    .filter(row => groundOf(row.venue) === ground);
+  const entries = rows.map(parseRow).filter(e => !format || e.match.format === format);
+  if (!entries.length) return null;
+
+  const [label, ...city] = rows[0].venue.split(',');
+  const byFormat = {};
+  for (const e of entries) (byFormat[e.match.format] = byFormat[e.match.format] || []).push(e);
+
+  return {
+    name:    label.trim(),
+    city:    city.join(',').trim() || null,
+    format,
+    matches: entries.length,
+    formats: Object.fromEntries(FORMATS.filter(f => byFormat[f]).map(f => [f, formatRecord(byFormat[f])])),
+    recent:  entries.slice(0, RECENT).map(e => brief(e.match)),
+  };
+}
+
+module.exports = { headToHead, venue };
@@ -0,0 +1,346 @@
+/**
+ * Redis cache store — shares cache entries between backend instances
+ *
+ * Speaks RESP over a plain socket (no client library), so it works with
+ * Redis, Valkey, KeyDB, Dragonfly and anything else Redis-compatible.
+ * Implements the store contract described in memoryStore.js:
+ *
+ *  - entries     criclive:cache:<key>, JSON { value, expiresAt, cachedAt },
+ *                kept for the TTL plus the cache's stale window (PX)
+ *  - lock        criclive:lock:<key> = token, SET NX PX; released with a
+ *                compare-and-delete script so a holder that overran its lock
+ *                can't release somebody else's
+ *  - updates     every write is published on criclive:cache so the other
+ *                instances update their local copy and push it to their SSE
+ *                clients straight away
+ *
+ * Reads that must be synchronous (peek) come from a bounded local mirror
+ * (a MemoryStore). When Redis is unreachable the mirror keeps serving and
+ * lock() lets this instance fetch on its own rather than stall.
+ */
+
+const net    = require('net');
+const tls    = require('tls');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const MemoryStore = require('./memoryStore');
+
+const CHANNEL_SUFFIX  = 'cache';
+const MAX_RECONNECT_MS = 5000;
+const MAX_QUEUED      = 1000;    // commands held while disconnected
+
+const UNLOCK_SCRIPT = `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end`;
+
+// ── RESP client ─────────────────────────────────────────────────────────────
+function encode(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const s = String(arg);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+// One reply from `buf` at `pos` → [value, nextPos], or null if incomplete
+function parseReply(buf, pos) {
+  const eol = buf.indexOf('\r\n', pos);
+  if (eol === -1) return null;
+  const type = String.fromCharCode(buf[pos]);
+  const line = buf.toString('utf8', pos + 1, eol);
+  const next = eol + 2;
+
+  switch (type) {
+    case '+': return [line, next];
+    case '-': return [new Error(line), next];
+    case ':': return [parseInt(line), next];
+    case '$': {
+      const len = parseInt(line);
+      if (len === -1) return [null, next];
+      if (buf.length < next + len + 2) return null;
+      return [buf.toString('utf8', next, next + len), next + len + 2];
+    }
+    case '*': {
+      const count = parseInt(line);
+      if (count === -1) return [null, next];
+      const items = [];
+      let p = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, p);
+        if (!item) return null;
+        items.push(item[0]);
+        p = item[1];
+      }
+      return [items, p];
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type "${type}"`);
+  }
+}
+
+class RedisClient extends EventEmitter {
+  // redis://[user:password@]host[:port][/db] — rediss:// for TLS
+  constructor(url) {
+    super();
+    const u = new URL(url);
+    this.options = {
+      host:     u.hostname || '127.0.0.1',
+      port:     parseInt(u.port || '6379'),
+      tls:      u.protocol === 'rediss:',
+      user:     decodeURIComponent(u.username || ''),
+      password: decodeURIComponent(u.password || ''),
+      db:       parseInt(u.pathname.slice(1) || '0'),
+    };
+    this.pending   = [];     // { resolve, reject } in command order
+    this.queue     = [];     // encoded commands waiting for a connection
+    this.buffer    = Buffer.alloc(0);
+    this.connected = false;
+    this.closed    = false;
+    this.attempts  = 0;
+    this.connect();
+  }
+
+  connect() {
+    const { host, port } = this.options;
+    const socket = this.options.tls
+      ? tls.connect({ host, port, servername: host })
+      : net.createConnection({ host, port });
+    this.socket = socket;
+
+    socket.setNoDelay(true);
+    socket.on(this.options.tls ? 'secureConnect' : 'connect', () => this.onConnect());
+    socket.on('data', chunk => this.onData(chunk));
+    socket.on('error', err => this.emit('error', err));
+    socket.on('close', () => this.onClose());
+  }
+
+  onConnect() {
+    this.connected = true;
+    this.attempts  = 0;
+    // Handshake goes ahead of anything queued while we were away
+    const { user, password, db } = this.options;
+    const handshake = [];
+    if (password) handshake.push(user ? ['AUTH', user, password] : ['AUTH', password]);
+    if (db) handshake.push(['SELECT', db]);
+    for (const args of handshake) {
+      this.send(args).catch(err => this.emit('error', err));
+    }
+    const queued = this.queue;
+    this.queue = [];
+    for (const { payload, handlers } of queued) {
+      this.pending.push(handlers);
+      this.socket.write(payload);
+    }
+    this.emit('ready');
+  }
+
+  onData(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    let pos = 0;
+    for (;;) {
+      let reply;
+      try {
+        reply = parseReply(this.buffer, pos);
+      } catch (err) {
+        this.emit('error', err);
+        this.socket.destroy();
+        return;
+      }
+      if (!reply) break;
+      pos = reply[1];
+      this.dispatch(reply[0]);
+    }
+    this.buffer = this.buffer.subarray(pos);
+  }
+
+  dispatch(value) {
+    // Pub/sub pushes arrive without a matching command
+    if (Array.isArray(value) && value[0] === 'message' && value.length === 3) {
+      this.emit('message', value[1], value[2]);
+      return;
+    }
+    const handlers = this.pending.shift();
+    if (!handlers) return;
+    if (value instanceof Error) handlers.reject(value);
+    else handlers.resolve(value);
+  }
+
+  onClose() {
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.buffer    = Buffer.alloc(0);
+    const lost = this.pending;
+    this.pending = [];
+    for (const h of lost) h.reject(new Error('Redis connection closed'));
+    if (this.closed) return;
+    if (wasConnected) this.emit('down');
+
+    const delay = Math.min(100 * 2 ** this.attempts++, MAX_RECONNECT_MS);
+    setTimeout(() => this.connect(), delay).unref();
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      const payload  = encode(args);
+      const handlers = { resolve, reject };
+      if (this.connected) {
+        this.pending.push(handlers);
+        this.socket.write(payload);
+      } else if (this.closed || this.queue.length >= MAX_QUEUED) {
+        reject(new Error('Redis unavailable'));
+      } else {
+        this.queue.push({ payload, handlers });
+      }
+    });
+  }
+
+  close() {
+    this.closed = true;
+    for (const { handlers } of this.queue) handlers.reject(new Error('Redis client closed'));
+    this.queue = [];
+    this.socket.end();
+  }
+}
+
+// ── Store ───────────────────────────────────────────────────────────────────
+class RedisStore extends EventEmitter {
+  constructor({ url, prefix = 'criclive:', maxEntries, maxBytes, maxStaleMs = 0 } = {}) {
+    super();
+    this.url        = url;
+    this.prefix     = prefix;
+    this.channel    = prefix + CHANNEL_SUFFIX;
+    this.maxStaleMs = maxStaleMs;
+    this.shared     = true;
+    this.instance   = crypto.randomUUID();
+    this.errors     = 0;
+    this.lastError  = null;
+
+    this.mirror = new MemoryStore({ maxEntries, maxBytes });
+    this.mirror.on('evict', key => this.emit('evict', key));
+
+    this.client = new RedisClient(url);
+    this.sub    = new RedisClient(url);
+    this.client.on('error', err => this.fail(err));
+    this.sub.on('error', err => this.fail(err));
+    this.client.on('ready', () => console.log(`[cache] 🔗 Redis connected (${this.where()})`));
+    this.client.on('down',  () => console.warn(`[cache] ⚠️  Redis connection lost (${this.where()}) — reconnecting`));
+    this.sub.on('ready', () => this.sub.send(['SUBSCRIBE', this.channel]).catch(err => this.fail(err)));
+    this.sub.on('message', (channel, message) => this.onMessage(message));
+  }
+
+  where() {
+    const { host, port, db } = this.client.options;
+    return `${host}:${port}/${db}`;
+  }
+
+  fail(err) {
+    this.errors++;
+    this.lastError = err.message;
+  }
+
+  entryKey(key) { return `${this.prefix}cache:${key}`; }
+  lockKey(key)  { return `${this.prefix}lock:${key}`; }
+
+  // An entry written by another instance
+  onMessage(message) {
+    let msg;
+    try { msg = JSON.parse(message); } catch (e) { return; }
+    if (msg.from === this.instance || !msg.key || !msg.entry) return;
+    this.adopt(msg.key, msg.entry);
+  }
+
+  // Take a shared entry into the mirror if it's newer than ours
+  adopt(key, entry) {
+    const mine = this.mirror.peek(key);
+    if (mine && mine.cachedAt >= entry.cachedAt) return mine;
+    this.mirror.save(key, entry);
+    this.emit('set', key, entry);
+    return this.mirror.peek(key);
+  }
+
+  peek(key)  { return this.mirror.peek(key); }
+  touch(key) { this.mirror.touch(key); }
+  entries()  { return this.mirror.entries(); }
+  keys()     { return this.mirror.keys(); }
+
+  async load(key) {
+    try {
+      const raw = await this.client.send(['GET', this.entryKey(key)]);
+      if (!raw) return this.mirror.peek(key);
+      return this.adopt(key, JSON.parse(raw));
+    } catch (err) {
+      this.fail(err);
+      return this.mirror.peek(key);
+    }
+  }
+
+  save(key, entry) {
+    this.mirror.save(key, entry);
+    const { value, expiresAt, cachedAt } = entry;
+    const json = JSON.stringify({ value, expiresAt, cachedAt });
+    const px   = Math.max(expiresAt - Date.now(), 0) + this.maxStaleMs + 1000;
+    this.client.send(['SET', this.entryKey(key), json, 'PX', Math.ceil(px)])
+      .then(() => this.client.send(['PUBLISH', this.channel,
+        `{"from":${JSON.stringify(this.instance)},"key":${JSON.stringify(key)},"entry":${json}}`]))
+      .catch(err => this.fail(err));
+  }
+
+  delete(key) {
+    this.mirror.delete(key);
+    this.client.send(['DEL', this.entryKey(key)]).catch(err => this.fail(err));
+  }
+
+  // Local copy only — other instances keep using the shared entries
+  clear() {
+    this.mirror.clear();
+  }
+
+  async lock(key, ttlMs) {
+    const token = crypto.randomUUID();
+    try {
+      const ok = await this.client.send(['SET', this.lockKey(key), token, 'NX', 'PX', Math.ceil(ttlMs)]);
+      return ok === 'OK' ? token : null;
+    } catch (err) {
+      // Can't coordinate — fetching twice beats not fetching at all
+      this.fail(err);
+      return 'unlocked';
+    }
+  }
+
+  async unlock(key, token) {
+    if (token === 'unlocked') return;
+    try {
+      await this.client.send(['EVAL', UNLOCK_SCRIPT, 1, this.lockKey(key), token]);
+    } catch (err) {
+      this.fail(err);
+    }
+  }
+
+  async isLocked(key) {
+    try {
+      return (await this.client.send(['EXISTS', this.lockKey(key)])) === 1;
+    } catch (err) {
+      this.fail(err);
+      return false;
+    }
+  }
+
+  stats() {
+    return {
+      ...this.mirror.stats(),
+      backend:   'redis',
+      redis:     this.where(),
+      connected: this.client.connected && this.sub.connected,
+      instance:  this.instance,
+      errors:    this.errors,
+      lastError: this.lastError,
+    };
+  }
+
+  close() {
+    this.client.close();
+    this.sub.close();
+  }
+}
+
+module.exports = RedisStore;
+module.exports.RedisClient = RedisClient;
@@ -5,35 +5,62 @@
 const express    = require('express');
 const router     = express.Router();
 const cache      = require('./cache');
-const cricketApi = require('./cricbuzzScraper');
+const providers  = require('./providers');
 const poller     = require('./poller');
+const stream     = require('./stream');
+const events     = require('./matchEvents');
+const archive    = require('./archive');
+const players    = require('./players');
+const analytics  = require('./analytics');
+const dls        = require('./dls');
+const webhooks   = require('./webhooks');
+const quality    = require('./dataQuality');
+const seriesHub  = require('./series');
+const overs      = require('./overs');
+const matchQuery = require('./matchQuery');
+const { enrich } = require('./enrich');
+const teams      = require('./teams');
+const teamHub    = require('./teamHub');
+const push       = require('./push');
+const ics        = require('./ics');
+const { scorecardCsv } = require('./csv');
+const { toCricsheet }  = require('./cricsheet');
+const importer   = require('./importer');
+const records    = require('./records');
+const squads     = require('./squads');
 require('dotenv').config();
 
-const SCORECARD_TTL  = parseInt(process.env.CACHE_SCORECARD_TTL  || '30');
-const MATCH_INFO_TTL = parseInt(process.env.CACHE_MATCH_INFO_TTL || '60');
+const COMMENTARY_TTL = parseInt(process.env.CACHE_COMMENTARY_TTL || '15');
+const SQUADS_TTL     = parseInt(process.env.CACHE_SQUADS_TTL || '300');
+const ARCHIVE_TTL    = 3600;
+const WEBHOOK_TOKEN  = process.env.WEBHOOK_TOKEN || '';
+const IMPORT_TOKEN   = process.env.IMPORT_TOKEN || '';
 
-// Helper to send cached or fresh data
-function sendCached(res, key, data, age) {
+// Helper to send cached or fresh data. Stale data is being refreshed in the
+// background and is flagged with X-Cache-Stale. `extra` goes alongside data
+// (e.g. pagination totals).
+function sendCached(res, key, data, age, stale = false, extra = {}) {
   res.setHeader('X-Cache-Age', age ?? 0);
   res.setHeader('X-Cache-Hit', age !== null ? 'true' : 'false');
-  res.json({ status: 'success', data, cachedAt: new Date() });
+  if (stale) res.setHeader('X-Cache-Stale', 'true');
+  res.json({ status: 'success', ...extra, data, cachedAt: new Date() });
+}
+
+// Cached { value, age, stale } for a key, or null when nothing is cached and
+// the fetch failed
+function cachedOrFetch(key, refresher) {
+  return cache.getOrFetch(key, refresher).catch(() => null);
 }
 
 // ── GET /api/matches ───────────────────────────────────────────────────────
-// Returns merged current + upcoming matches — fetches on-demand if cache is stale
+// Returns merged current + upcoming matches — fetches on-demand on a miss.
+// Filters: ?status= &format= &gender= &category= &ageGroup= &team= &series=
+// &sort=date|-date|status &limit= &offset= (see matchQuery.js)
 router.get('/matches', async (req, res) => {
-  let current  = cache.get('currentMatches');
-  let upcoming = cache.get('upcomingMatches');
-
-  // Fetch on-demand if cache has expired
-  const fetches = [];
-  if (!current)  fetches.push(poller.fetchCurrentMatches().catch(() => {}));
-  if (!upcoming) fetches.push(poller.fetchUpcomingMatches().catch(() => {}));
-  if (fetches.length) {
-    await Promise.all(fetches);
-    current  = cache.get('currentMatches');
-    upcoming = cache.get('upcomingMatches');
-  }
+  const [current, upcoming] = await Promise.all([
+    cachedOrFetch('currentMatches',  poller.fetchCurrentMatches),
+    cachedOrFetch('upcomingMatches', poller.fetchUpcomingMatches),
+  ]);
 
   if (!current && !upcoming) {
     return res.status(503).json({
@@ -42,53 +69,66 @@ router.get('/matches', async (req, res) => {
     });
   }
 
-  const currentData  = current?.value?.data  || [];
-  const upcomingData = upcoming?.value?.data || [];
-
-  // Merge & deduplicate by id
-  const seen   = new Set();
-  const merged = [];
-  for (const m of [...currentData, ...upcomingData]) {
-    if (!seen.has(m.id)) { seen.add(m.id); merged.push(m); }
+  let result;
+  try {
+    result = matchQuery.query(poller.mergedMatches(), req.query);
+  } catch (err) {
+    return res.status(400).json({ status: 'error', message: err.message });
   }
+  const { data, ...page } = result;
+  sendCached(res, 'matches', data, current ? current.age : null, !!current?.stale, page);
+});
+
+// ── iCalendar feeds ───────────────────────────────────────────────────────
+// Subscribable RFC 5545 calendars of fixtures (see ics.js). Live matches stay
+// in so today's event doesn't vanish at the toss.
+function sendCalendar(res, filename, name, matches) {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}.ics"`);
+  res.send(ics.calendar(name, matches));
+}
 
-  const age = current ? cache.age('currentMatches') : null;
-  sendCached(res, 'matches', merged, age);
+// GET /api/fixtures.ics — takes the /api/matches filters (?team= &format=
+// &gender= …); ?status= defaults to live,upcoming
+router.get('/fixtures.ics', async (req, res) => {
+  await Promise.all([
+    cachedOrFetch('currentMatches',  poller.fetchCurrentMatches),
+    cachedOrFetch('upcomingMatches', poller.fetchUpcomingMatches),
+  ]);
+
+  let result;
+  try {
+    result = matchQuery.query(poller.mergedMatches(), { status: 'live,upcoming', ...req.query });
+  } catch (err) {
+    return res.status(400).json({ status: 'error', message: err.message });
+  }
+  sendCalendar(res, 'criclive-fixtures', 'CricLive fixtures', result.data);
 });
 
 // ── GET /api/matches/live ─────────────────────────────────────────────────
-// Returns only live matches — fetches on-demand if cache is stale
+// Returns only live matches — fetches on-demand on a miss
 router.get('/matches/live', async (req, res) => {
-  let current = cache.get('currentMatches');
-  if (!current) {
-    try { await poller.fetchCurrentMatches(); current = cache.get('currentMatches'); } catch(e) {}
-  }
+  const current = await cachedOrFetch('currentMatches', poller.fetchCurrentMatches);
   if (!current) return res.status(503).json({ status: 'error', message: 'Not ready yet' });
 
   const live = (current.value?.data || []).filter(
     m => m.matchStarted === true && m.matchEnded === false
   );
-  sendCached(res, 'live', live, cache.age('currentMatches'));
+  sendCached(res, 'live', live, current.age, current.stale);
 });
 
 // ── GET /api/match/:id/score ──────────────────────────────────────────────
-// Returns the live score — fetches on-demand if cache is stale.
+// Returns the live score — fetches on-demand on a miss.
 // Used by the match detail page hero so it stays in sync with the home page.
 router.get('/match/:id/score', async (req, res) => {
   const { id } = req.params;
-  let current  = cache.get('currentMatches');
-  let upcoming = cache.get('upcomingMatches');
-
-  // Fetch on-demand if both caches are stale
-  if (!current) {
-    try { await poller.fetchCurrentMatches(); current = cache.get('currentMatches'); } catch(e) {}
-  }
+  const current = await cachedOrFetch('currentMatches', poller.fetchCurrentMatches);
 
   const all = [
-    ...(current?.value?.data  || []),
-    ...(upcoming?.value?.data || []),
+    ...(current?.value?.data || []),
+    ...(cache.peek('upcomingMatches')?.value?.data || []),
   ];
-  const match = all.find(m => m.id === id);
+  const match = all.find(m => m.id === id) || archive.get(id)?.match;
   if (!match) {
     return res.status(404).json({ status: 'error', message: 'Match not found in cache' });
   }
@@ -97,7 +137,7 @@ router.get('/match/:id/score', async (req, res) => {
     status:       match.status,
     matchStarted: match.matchStarted,
     matchEnded:   match.matchEnded,
-  }, cache.age('currentMatches'));
+  }, current ? current.age : null, !!current?.stale);
 });
 
 // ── GET /api/match/:id/scorecard ──────────────────────────────────────────
@@ -105,16 +145,13 @@ router.get('/match/:id/scorecard', async (req, res) => {
   const { id } = req.params;
   const cacheKey = `scorecard:${id}`;
 
-  const cached = cache.get(cacheKey);
-  if (cached) {
-    return sendCached(res, cacheKey, cached.value, cache.age(cacheKey));
-  }
-
   try {
-    const data = await cricketApi.getScorecard(id);
-    cache.set(cacheKey, data.data, SCORECARD_TTL);
-    sendCached(res, cacheKey, data.data, 0);
+    const { value, age, stale } = await cache.getOrFetch(cacheKey, () => poller.fetchScorecard(id));
+    sendCached(res, cacheKey, value, age, stale);
   } catch (err) {
+    // Finished matches outlive the live source in the archive
+    const archived = archive.get(id);
+    if (archived?.scorecard) return sendCached(res, cacheKey, archived.scorecard, null);
     res.status(500).json({ status: 'error', message: err.message });
   }
 });
@@ -124,28 +161,452 @@ router.get('/match/:id/info', async (req, res) => {
   const { id } = req.params;
   const cacheKey = `matchinfo:${id}`;
 
-  const cached = cache.get(cacheKey);
-  if (cached) {
-    return sendCached(res, cacheKey, cached.value, cache.age(cacheKey));
+  try {
+    const { value, age, stale } = await cache.getOrFetch(cacheKey, () => poller.fetchMatchInfo(id));
+    sendCached(res, cacheKey, value, age, stale);
+  } catch (err) {
+    const archived = archive.get(id);
+    if (archived?.info) return sendCached(res, cacheKey, archived.info, null);
+    res.status(500).json({ status: 'error', message: err.message });
+  }
+});
+
+// ── GET /api/match/:id/squads ─────────────────────────────────────────────
+// Playing XIs with captain / keeper, substitutes and batting order, bench,
+// or the announced squads before the toss. Archived matches fall back to
+// the players their scorecard lists.
+router.get('/match/:id/squads', async (req, res) => {
+  const { id } = req.params;
+  const cacheKey = `squads:${id}`;
+  const fromArchive = () => {
+    const archived = archive.get(id);
+    return archived?.scorecard ? teams.annotate(squads.fromScorecard(archived.match, archived.scorecard)) : null;
+  };
+
+  try {
+    const { value, age, stale } = await cache.getOrFetch(cacheKey, () =>
+      cache.refresh(cacheKey, async () => (await providers.getSquads(id)).data, SQUADS_TTL));
+    if (!value.squads?.some(s => s.announced)) {
+      const archived = fromArchive();
+      if (archived) return sendCached(res, cacheKey, archived, null);
+    }
+    sendCached(res, cacheKey, value, age, stale);
+  } catch (err) {
+    const archived = fromArchive();
+    if (archived) return sendCached(res, cacheKey, archived, null);
+    res.status(500).json({ status: 'error', message: err.message });
+  }
+});
+
+// ── Scorecard exports ─────────────────────────────────────────────────────
+// Downloads built from the same scorecard / match info as the endpoints
+// above (cached, archive as fallback)
+async function exportData(id) {
+  const archived = archive.get(id);
+  const load = (key, fetcher, fallback) => cache.getOrFetch(key, fetcher).then(r => r.value, err => {
+    if (fallback) return fallback;
+    throw err;
+  });
+  const [scorecard, info] = await Promise.all([
+    load(`scorecard:${id}`, () => poller.fetchScorecard(id), archived?.scorecard),
+    load(`matchinfo:${id}`, () => poller.fetchMatchInfo(id), archived?.info).catch(() => ({})),
+  ]);
+  const match = poller.mergedMatches().find(m => m.id === id) || archived?.match || { id };
+  return { match: enrich(match), scorecard, info };
+}
+
+// "100231~ind-vs-aus-2nd-t20i-…" → "ind-vs-aus-2nd-t20i-…"
+function exportName(id) {
+  return String(id).split('~').pop().toLowerCase().replace(/[^a-z0-9-]+/g, '-');
+}
+
+// GET /api/match/:id/scorecard.csv — batting, bowling, extras, totals and
+// fall of wickets for every innings, one table (see csv.js)
+router.get('/match/:id/scorecard.csv', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { scorecard } = await exportData(id);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${exportName(id)}-scorecard.csv"`);
+    res.send(scorecardCsv(scorecard));
+  } catch (err) {
+    res.status(500).json({ status: 'error', message: err.message });
+  }
+});
+
+// GET /api/match/:id/export.json — Cricsheet JSON, with deliveries for the
+// innings commentary covers from the first ball (see cricsheet.js)
+router.get('/match/:id/export.json', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const [data, pages] = await Promise.all([exportData(id), overs.commentaryPages(id)]);
+    const balls = pages.flatMap(p => p.balls || []);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportName(id)}.json"`);
+    res.json(toCricsheet({ ...data, balls }));
+  } catch (err) {
+    res.status(500).json({ status: 'error', message: err.message });
+  }
+});
+
+// ── GET /api/match/:id/commentary ─────────────────────────────────────────
+// Ball-by-ball commentary, newest first. Pass ?cursor= from a previous
+// response's nextCursor to page back through older overs.
+router.get('/match/:id/commentary', async (req, res) => {
+  const { id } = req.params;
+  const cursor   = req.query.cursor || '';
+  const cacheKey = `commentary:${id}:${cursor || 'latest'}`;
+
+  // Older pages never change; the latest one moves with every ball
+  const refresh = () => cache.refresh(cacheKey,
+    async () => (await providers.getCommentary(id, cursor || undefined)).data,
+    cursor ? ARCHIVE_TTL : COMMENTARY_TTL);
+
+  try {
+    const { value, age, stale } = await cache.getOrFetch(cacheKey, refresh);
+    sendCached(res, cacheKey, value, age, stale);
+  } catch (err) {
+    const code = err.message.startsWith('Invalid commentary cursor') ? 400 : 500;
+    res.status(code).json({ status: 'error', message: err.message });
   }
+});
+
+// ── GET /api/match/:id/overs ──────────────────────────────────────────────
+// Runs and wickets per over for each innings, with running totals — from
+// commentary where it reaches, otherwise from score snapshots taken while polling
+router.get('/match/:id/overs', async (req, res) => {
+  const { id } = req.params;
+  const cacheKey = `overs:${id}`;
 
   try {
-    const data = await cricketApi.getMatchInfo(id);
-    cache.set(cacheKey, data.data, MATCH_INFO_TTL);
-    sendCached(res, cacheKey, data.data, 0);
+    const { value, age, stale } = await cache.getOrFetch(cacheKey, () => overs.fetch(id));
+    sendCached(res, cacheKey, value, age, stale);
   } catch (err) {
     res.status(500).json({ status: 'error', message: err.message });
   }
 });
 
+// ── GET /api/match/:id/events ─────────────────────────────────────────────
+// Timeline of detected events (wickets, milestones, innings ends, result).
+// ?since=<eventId> returns only newer ones; ?type=wicket,milestone filters.
+router.get('/match/:id/events', (req, res) => {
+  const since = parseInt(req.query.since || '0') || 0;
+  const types = req.query.type ? req.query.type.split(',').map(t => t.trim()) : null;
+  res.json({ status: 'success', data: events.timeline(req.params.id, { since, types }) });
+});
+
+// ── GET /api/match/:id/analytics ──────────────────────────────────────────
+// Run rates, target, projections and win probability (T20 / ODI only), plus
+// the DLS par score while a chase is stopped for rain
+router.get('/match/:id/analytics', (req, res) => {
+  const { id } = req.params;
+  const match = poller.mergedMatches().find(m => m.id === id) || archive.get(id)?.match;
+  if (!match) {
+    return res.status(404).json({ status: 'error', message: 'Match not found in cache' });
+  }
+
+  let innings = match.score || [];
+  const card  = cache.peek(`scorecard:${id}`)?.value?.scorecard;
+  if (!innings.length && card?.length) {
+    innings = card.map(inn => ({ inning: inn.inning, ...(inn.total || {}) }));
+  }
+
+  const rain = /rain|bad light|wet outfield/i.test(`${match.state || ''} ${match.status || ''}`);
+  const data = analytics.compute(match.matchType, innings, { matchEnded: !!match.matchEnded, rain });
+  if (!data) {
+    return res.status(422).json({ status: 'error', message: 'Analytics are only available for T20 and ODI matches' });
+  }
+  res.json({ status: 'success', data });
+});
+
+// ── GET /api/dls ──────────────────────────────────────────────────────────
+// Ad-hoc DLS calculator (Standard Edition). Interruptions are
+// "at:wickets:oversLost" triples, comma-separated:
+//   ?format=odi&runs=250&overs1=50&stops1=40:3:5&overs2=45&stops2=20.3:2:10&at=25&wickets=4
+// ?table=1 returns the resource table instead.
+router.get('/dls', (req, res) => {
+  const q = req.query;
+  if (q.table) {
+    const maxOvers = (q.format || 'odi').toLowerCase() === 't20' ? 20 : 50;
+    return res.json({ status: 'success', data: dls.table(maxOvers) });
+  }
+
+  const stops = str => String(str || '').split(',').filter(Boolean).map(s => {
+    const [at, wickets, lost] = s.split(':');
+    return { at, wickets: +wickets || 0, lost: +lost || 0 };
+  });
+
+  try {
+    const data = dls.calculate({
+      format: q.format || 'odi',
+      first:  { runs: q.runs, overs: q.overs1, interruptions: stops(q.stops1) },
+      second: { overs: q.overs2, interruptions: stops(q.stops2), at: q.at, wickets: q.wickets },
+    });
+    res.json({ status: 'success', data });
+  } catch (err) {
+    res.status(400).json({ status: 'error', message: err.message });
+  }
+});
+
+// ── GET /api/stream ───────────────────────────────────────────────────────
+// SSE: score / status / list changes for every match
+router.get('/stream', (req, res) => {
+  stream.subscribe(req, res, 'matches', () => poller.mergedMatches());
+});
+
+// ── GET /api/match/:id/stream ─────────────────────────────────────────────
+// SSE: score / status / scorecard changes for one match
+router.get('/match/:id/stream', (req, res) => {
+  const { id } = req.params;
+  stream.subscribe(req, res, `match:${id}`, () => {
+    const match = poller.mergedMatches().find(m => m.id === id);
+    return {
+      id,
+      score:     match ? { score: match.score, status: match.status,
+                           matchStarted: match.matchStarted, matchEnded: match.matchEnded } : null,
+      scorecard: cache.peek(`scorecard:${id}`)?.value || null,
+    };
+  });
+});
+
+// ── GET /api/archive ──────────────────────────────────────────────────────
+// Finished matches from the SQLite archive, newest first.
+// Filters: ?team= &format= &series= &from=YYYY-MM-DD &to=YYYY-MM-DD &limit= &offset=
+router.get('/archive', (req, res) => {
+  const { team, format, series, from, to, limit, offset } = req.query;
+  const { total, matches } = archive.search({ team, format, series, from, to, limit, offset });
+  // Matches archived before enrichment / team IDs existed get them here
+  res.json({ status: 'success', total, data: matches.map(m => teams.annotate(enrich(m))) });
+});
+
+// ── GET /api/archive/:id ──────────────────────────────────────────────────
+// Stored match + final scorecard + match info
+router.get('/archive/:id', (req, res) => {
+  const entry = archive.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ status: 'error', message: 'Match not in archive' });
+  }
+  res.json({ status: 'success', data: entry });
+});
+
+// ── POST /api/import ──────────────────────────────────────────────────────
+// Import Cricsheet match files into the archive. Body: { paths: [...] } (or
+// { path }) relative to IMPORT_DIR — files, zips or directories. When
+// IMPORT_TOKEN is set the call needs "Authorization: Bearer <token>";
+// without one only direct calls from this machine are let through.
+function isLocalRequest(req) {
+  const ip = req.socket.remoteAddress || '';
+  const loopback = ip === '::1' || /^(?:::ffff:)?127\./.test(ip);
+  // A reverse proxy on the same host would look local
+  return loopback && !req.get('X-Forwarded-For');
+}
+
+router.post('/import', async (req, res) => {
+  if (!IMPORT_TOKEN && !isLocalRequest(req)) {
+    return res.status(403).json({ status: 'error', message: 'Set IMPORT_TOKEN to allow imports from other hosts' });
+  }
+  if (IMPORT_TOKEN && req.get('Authorization') !== `Bearer ${IMPORT_TOKEN}`) {
+    return res.status(401).json({ status: 'error', message: 'Missing or invalid import token' });
+  }
+  let paths;
+  try {
+    const { paths: list, path } = req.body || {};
+    const requested = list ?? (path === undefined ? [] : [path]);
+    if (!Array.isArray(requested) || !requested.length) throw new Error('Body needs "paths": [...] or "path"');
+    paths = requested.map(importer.resolveImportPath);
+  } catch (err) {
+    return res.status(400).json({ status: 'error', message: err.message });
+  }
+  // Files that fail to parse are listed in data.errors, not a failed request
+  res.json({ status: 'success', data: await importer.importPaths(paths, { root: importer.IMPORT_DIR }) });
+});
+
+// ── GET /api/player/:name ─────────────────────────────────────────────────
+// Career batting + bowling figures by format, built from archived scorecards
+router.get('/player/:name', (req, res) => {
+  const profile = players.profile(req.params.name);
+  if (!profile) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'No stored innings for this player',
+      suggestions: players.suggest(req.params.name),
+    });
+  }
+  res.json({ status: 'success', data: profile });
+});
+
+// ── GET /api/series ───────────────────────────────────────────────────────
+// Series with a match in the live or upcoming lists, live ones first
+router.get('/series', (req, res) => {
+  res.json({ status: 'success', data: seriesHub.list() });
+});
+
+// ── GET /api/series/:id ───────────────────────────────────────────────────
+// Live matches, fixtures and results (live feed + archive), and a points
+// table with NRR for league-style T20 / ODI series
+router.get('/series/:id', (req, res) => {
+  const data = seriesHub.get(req.params.id);
+  if (!data) return res.status(404).json({ status: 'error', message: 'Series not found' });
+  res.json({ status: 'success', data });
+});
+
+// ── GET /api/teams ────────────────────────────────────────────────────────
+// Canonical teams (?q= name or alias, ?gender=), those with live or upcoming
+// matches first
+router.get('/teams', (req, res) => {
+  const { q, gender } = req.query;
+  res.json({ status: 'success', data: teamHub.list({ q, gender }) });
+});
+
+// ── GET /api/team/:id ─────────────────────────────────────────────────────
+// One team by ID or alias (ind, IND, India) with its live, upcoming and
+// recent matches (live feed + archive). ?limit= recent results, default 10
+router.get('/team/:id', (req, res) => {
+  const data = teamHub.get(req.params.id, { limit: req.query.limit });
+  if (!data) return res.status(404).json({ status: 'error', message: 'Unknown team' });
+  res.json({ status: 'success', data });
+});
+
+// GET /api/team/:id/fixtures.ics — one team's live and upcoming matches
+router.get('/team/:id/fixtures.ics', (req, res) => {
+  const team = teamHub.get(req.params.id);
+  if (!team) return res.status(404).json({ status: 'error', message: 'Unknown team' });
+  sendCalendar(res, `criclive-${team.id}`, `${team.name} fixtures`, [...team.live, ...team.upcoming]);
+});
+
+// GET /api/series/:id/fixtures.ics — every match of the series, results included
+router.get('/series/:id/fixtures.ics', (req, res) => {
+  const series = seriesHub.get(req.params.id);
+  if (!series) return res.status(404).json({ status: 'error', message: 'Series not found' });
+  sendCalendar(res, `criclive-series-${series.id}`, series.name || 'CricLive series',
+    [...series.results, ...series.live, ...series.fixtures]);
+});
+
+// ── GET /api/h2h ──────────────────────────────────────────────────────────
+// Head-to-head record of two teams from archived matches:
+// ?teams=A,B (IDs, names or aliases) &format=
+router.get('/h2h', (req, res) => {
+  try {
+    const data = records.headToHead(req.query);
+    if (!data) return res.status(404).json({ status: 'error', message: 'Unknown team' });
+    res.json({ status: 'success', data });
+  } catch (err) {
+    res.status(400).json({ status: 'error', message: err.message });
+  }
+});
+
+// ── GET /api/venue/:name ──────────────────────────────────────────────────
+// Ground records from archived matches: first-innings averages, batting
+// first vs chasing, highest totals, toss trends (?format=)
+router.get('/venue/:name', (req, res) => {
+  try {
+    const data = records.venue(req.params.name, req.query);
+    if (!data) return res.status(404).json({ status: 'error', message: 'No archived matches at this venue' });
+    res.json({ status: 'success', data });
+  } catch (err) {
+    res.status(400).json({ status: 'error', message: err.message });
+  }
+});
+
+// ── /api/webhooks ─────────────────────────────────────────────────────────
+// Subscribe a URL to match updates. Every call needs "Authorization: Bearer
+// <WEBHOOK_TOKEN>"; without a token configured the routes are off.
+function requireWebhookToken(req, res, next) {
+  if (!WEBHOOK_TOKEN) {
+    return res.status(503).json({ status: 'error', message: 'Webhooks are disabled — set WEBHOOK_TOKEN to enable them' });
+  }
+  if (req.get('Authorization') === `Bearer ${WEBHOOK_TOKEN}`) return next();
+  res.status(401).json({ status: 'error', message: 'Missing or invalid webhook token' });
+}
+
+// Body: { url, secret?, filter?: { matchIds?, teams?, types? } }
+// The response is the only time the signing secret is returned.
+router.post('/webhooks', requireWebhookToken, (req, res) => {
+  try {
+    res.status(201).json({ status: 'success', data: webhooks.create(req.body || {}) });
+  } catch (err) {
+    res.status(400).json({ status: 'error', message: err.message });
+  }
+});
+
+router.get('/webhooks', requireWebhookToken, (req, res) => {
+  res.json({ status: 'success', data: webhooks.list() });
+});
+
+// One subscription with delivery stats and its recent dead letters
+router.get('/webhooks/:id', requireWebhookToken, (req, res) => {
+  const data = webhooks.get(req.params.id);
+  if (!data) return res.status(404).json({ status: 'error', message: 'Webhook not found' });
+  res.json({ status: 'success', data });
+});
+
+router.delete('/webhooks/:id', requireWebhookToken, (req, res) => {
+  if (!webhooks.remove(req.params.id)) {
+    return res.status(404).json({ status: 'error', message: 'Webhook not found' });
+  }
+  res.json({ status: 'success' });
+});
+
+// ── /api/push ─────────────────────────────────────────────────────────────
+// Browser push: the VAPID public key for PushManager.subscribe(), then
+// subscriptions that follow teams, series or matches.
+router.get('/push/key', (req, res) => {
+  res.json({ status: 'success', data: { publicKey: push.publicKey() } });
+});
+
+// Body: { subscription: PushSubscription JSON, follows?: { teams?, series?,
+// matches? }, types? }. Posting the same endpoint again replaces its follows.
+router.post('/push/subscriptions', (req, res) => {
+  try {
+    const { created, subscription } = push.subscribe(req.body || {});
+    res.status(created ? 201 : 200).json({ status: 'success', data: subscription });
+  } catch (err) {
+    res.status(400).json({ status: 'error', message: err.message });
+  }
+});
+
+// Follows, delivery counts and the latest deliveries
+router.get('/push/subscriptions/:id', (req, res) => {
+  const data = push.get(req.params.id);
+  if (!data) return res.status(404).json({ status: 'error', message: 'Subscription not found' });
+  res.json({ status: 'success', data });
+});
+
+// Only says whether it was sent: the push service's answer stays in the log
+router.post('/push/subscriptions/:id/test', async (req, res) => {
+  const result = await push.test(req.params.id);
+  if (!result) return res.status(404).json({ status: 'error', message: 'Subscription not found' });
+  if (result.error === 'Subscription expired') {
+    return res.status(410).json({ status: 'error', message: 'Subscription expired — subscribe again' });
+  }
+  if (result.error) return res.status(502).json({ status: 'error', message: 'Push failed' });
+  res.json({ status: 'success', data: { sent: true } });
+});
+
+router.delete('/push/subscriptions/:id', (req, res) => {
+  if (!push.remove(req.params.id)) {
+    return res.status(404).json({ status: 'error', message: 'Subscription not found' });
+  }
+  res.json({ status: 'success' });
+});
+
 // ── GET /api/health ───────────────────────────────────────────────────────
+// "degraded" when a scraper's output keeps failing its parse-quality checks
 router.get('/health', (req, res) => {
-  const pollerStatus = poller.status();
+  const pollerStatus  = poller.status();
+  const qualityStatus = quality.status();
   res.json({
-    status: 'ok',
+    status: qualityStatus.degraded ? 'degraded' : 'ok',
     uptime: Math.floor(process.uptime()),
     cache: cache.stats(),
     poller: pollerStatus,
+    providers: providers.status(),
+    stream: stream.status(),
+    events: events.status(),
+    overs: overs.status(),
+    archive: archive.status(),
+    webhooks: webhooks.status(),
+    push: push.status(),
+    dataQuality: qualityStatus,
     env: {
       port: process.env.PORT || 3001,
       pollInterval: process.env.LIVE_POLL_INTERVAL || 30,
@@ -0,0 +1,187 @@
+/**
+ * Series hub — matches grouped by series, with a points table for leagues
+ *
+ * A series is whatever the provider groups matches under (Cricbuzz seriesId,
+ * CricketData series_id). Its matches come from the live and upcoming lists
+ * plus the archive, so results stay after the live feed has dropped them.
+ *
+ * Points table (league-style series only: three or more teams, T20 / ODI):
+ *  - win 2, tie or no result 1 each, loss 0; a tie settled by a Super Over
+ *    counts as a win
+ *  - net run rate = runs scored per over faced − runs conceded per over
+ *    bowled, over every match with a result. A side bowled out is charged
+ *    its full quota of overs. DLS-revised quotas aren't known from the
+ *    innings totals, so those matches count the overs actually bowled.
+ * Ranked on points, then NRR, then wins.
+ */
+
+const archive = require('./archive');
+const poller  = require('./poller');
+const dls     = require('./dls');
+
+const QUOTA_OVERS = { t20: 20, odi: 50 };
+const POINTS      = { win: 2, tie: 1, noResult: 1 };
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+function formatOf(matchType) {
+  const t = String(matchType || '').toLowerCase();
+  if (t.startsWith('t20')) return 't20';
+  if (t === 'odi' || t === 'list a' || t === 'lista') return 'odi';
+  return null;
+}
+
+function stageOf(m) {
+  if (m.matchEnded) return 'result';
+  return m.matchStarted ? 'live' : 'fixture';
+}
+
+function round(n, dp = 3) {
+  return Number.isFinite(n) ? +n.toFixed(dp) : null;
+}
+
+// 20 decimal overs → "20", 150.333 → "150.2"
+function fmtOvers(overs) {
+  const balls = Math.round(overs * 6);
+  return balls % 6 ? `${Math.floor(balls / 6)}.${balls % 6}` : String(balls / 6);
+}
+
+// Which of the match's teams an innings ("India Inning 1") belongs to
+function battingTeam(m, inning) {
+  const name = String(inning || '').replace(/\s+Inning\s+\d+$/i, '').trim().toLowerCase();
+  return (m.teams || []).find(t => t.toLowerCase() === name)
+      || (m.teams || []).find(t => name.startsWith(t.toLowerCase()) || t.toLowerCase().startsWith(name))
+      || null;
+}
+
+// Outcome of a finished match from its status line, or null if it can't be read
+function resultOf(m) {
+  const status = String(m.status || '').toLowerCase();
+  const teams  = m.teams || [];
+  // Longest name first, so "India A won" isn't read as India
+  const named  = text => [...teams].sort((x, y) => y.length - x.length)
+    .find(t => text.startsWith(t.toLowerCase()));
+
+  if (/no result|abandon/.test(status)) return { type: 'no_result' };
+
+  const superOver = status.match(/\(([^)]+?) won (?:the |by )?super over/);
+  const winner    = superOver ? named(superOver[1].trim()) : (/ won\b/.test(status) && named(status));
+  if (winner) return { type: 'win', winner, loser: teams.find(t => t !== winner) };
+
+  if (/\btied?\b/.test(status)) return { type: 'tie' };
+  return null;
+}
+
+// ── Points table ────────────────────────────────────────────────────────────
+function isLeague(matches) {
+  const teams = new Set(matches.flatMap(m => m.teams || []));
+  return teams.size >= 3 && matches.every(m => formatOf(m.matchType));
+}
+
+function pointsTable(matches) {
+  const rows = new Map();
+  const row = team => {
+    if (!rows.has(team)) {
+      rows.set(team, { team, played: 0, won: 0, lost: 0, tied: 0, noResult: 0, points: 0,
+                       runsFor: 0, oversFor: 0, runsAgainst: 0, oversAgainst: 0 });
+    }
+    return rows.get(team);
+  };
+
+  for (const m of matches) {
+    if (!m.matchEnded || (m.teams || []).length !== 2) continue;
+    const result = resultOf(m);
+    if (!result) continue;
+
+    const [a, b] = m.teams.map(row);
+    a.played++;
+    b.played++;
+    if (result.type === 'win') {
+      row(result.winner).won++;
+      row(result.winner).points += POINTS.win;
+      row(result.loser).lost++;
+    } else if (result.type === 'tie') {
+      a.tied++; b.tied++;
+      a.points += POINTS.tie; b.points += POINTS.tie;
+    } else {
+      a.noResult++; b.noResult++;
+      a.points += POINTS.noResult; b.points += POINTS.noResult;
+      continue;
+    }
+
+    // Net run rate inputs
+    const quota = QUOTA_OVERS[formatOf(m.matchType)];
+    for (const inn of (m.score || []).slice(0, 2)) {
+      const bat = battingTeam(m, inn.inning);
+      if (!bat || inn.r === null || inn.r === undefined) continue;
+      const bowl  = m.teams.find(t => t !== bat);
+      const overs = inn.w >= 10 && quota ? quota : dls.toOvers(inn.o);
+      row(bat).runsFor      += inn.r;
+      row(bat).oversFor     += overs;
+      row(bowl).runsAgainst += inn.r;
+      row(bowl).oversAgainst += overs;
+    }
+  }
+
+  return [...rows.values()]
+    .map(({ runsFor, oversFor, runsAgainst, oversAgainst, ...r }) => ({
+      ...r,
+      nrr: oversFor && oversAgainst ? round(runsFor / oversFor - runsAgainst / oversAgainst) : null,
+      for:     { runs: runsFor,     overs: fmtOvers(oversFor) },
+      against: { runs: runsAgainst, overs: fmtOvers(oversAgainst) },
+    }))
+    .sort((x, y) => y.points - x.points || (y.nrr ?? -Infinity) - (x.nrr ?? -Infinity) || y.won - x.won)
+    .map((r, i) => ({ position: i + 1, ...r }));
+}
+
+// ── Series ──────────────────────────────────────────────────────────────────
+// Live-feed matches first (they're fresher), then archived ones
+function matchesOf(seriesId) {
+  const id   = String(seriesId);
+  const seen = new Set();
+  const out  = [];
+  for (const m of [...poller.mergedMatches().filter(m => m.series?.id === id), ...archive.bySeries(id)]) {
+    if (!seen.has(m.id)) { seen.add(m.id); out.push(m); }
+  }
+  return out.sort((a, b) => String(a.dateTimeGMT).localeCompare(String(b.dateTimeGMT)));
+}
+
+function summary(id, matches) {
+  const dates = matches.map(m => m.dateTimeGMT).filter(Boolean).sort();
+  return {
+    id,
+    name:      matches.find(m => m.series?.name)?.series.name || '',
+    formats:   [...new Set(matches.map(m => (m.matchType || '').toLowerCase()).filter(Boolean))],
+    teams:     [...new Set(matches.flatMap(m => m.teams || []))],
+    counts: {
+      matches:  matches.length,
+      live:     matches.filter(m => stageOf(m) === 'live').length,
+      fixtures: matches.filter(m => stageOf(m) === 'fixture').length,
+      results:  matches.filter(m => stageOf(m) === 'result').length,
+    },
+    startDate: dates[0] || null,
+    endDate:   dates[dates.length - 1] || null,
+  };
+}
+
+// Series with at least one match in the live or upcoming lists — live ones
+// first, then by start date
+function list() {
+  const ids = new Set(poller.mergedMatches().map(m => m.series?.id).filter(Boolean));
+  return [...ids]
+    .map(id => summary(id, matchesOf(id)))
+    .sort((a, b) => (b.counts.live > 0) - (a.counts.live > 0) || String(a.startDate).localeCompare(String(b.startDate)));
+}
+
+function get(id) {
+  const matches = matchesOf(id);
+  if (!matches.length) return null;
+  return {
+    ...summary(String(id), matches),
+    live:        matches.filter(m => stageOf(m) === 'live'),
+    fixtures:    matches.filter(m => stageOf(m) === 'fixture'),
+    results:     matches.filter(m => stageOf(m) === 'result').reverse(),
+    pointsTable: isLeague(matches) ? pointsTable(matches) : null,
+  };
+}
+
+module.exports = { list, get, pointsTable, resultOf, battingTeam };
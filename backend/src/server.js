@@ -23,7 +23,7 @@ app.use(cors({
       cb(new Error(`CORS: origin ${origin} not allowed`));
     }
   },
-  methods: ['GET'],
+  methods: ['GET', 'POST', 'DELETE'],
 }));
 
 app.use(express.json());
@@ -0,0 +1,103 @@
+/**
+ * Squads — playing XIs, bench and announced squads in one shape for every
+ * provider, served by /api/match/:id/squads
+ *
+ *   { id, teams, teamInfo, squads: [{ team, announced, battingOrder,
+ *     playing: [player], bench: [player], squad: [player] }] }
+ *
+ *   player: { name, profileId, captain, keeper, substitute, replaces,
+ *             battingPosition (playing only) }
+ *
+ * substitute is 'impact' or 'concussion' for a player who came in during
+ * the match, with replaces naming who went out when the source says.
+ * battingOrder says where battingPosition comes from: 'scorecard' once the
+ * side has batted (batters, then did-not-bat), 'listed' before that (the
+ * order the source lists the XI in), or null when there's no XI.
+ */
+
+// Cricbuzz marks captain and keeper after the name: "Rohit Sharma (c)",
+// "Pant (wk)", "Mushfiqur (c & wk)"; substitutes as "(Impact Sub)",
+// "(Concussion Sub for Josh Inglis)", or "(for Josh Inglis)" in a row of
+// substitutes
+const CAPTAIN    = /\((?:c|c\s*&\s*wk|capt)\)/i;
+const KEEPER     = /\((?:wk|c\s*&\s*wk)\)/i;
+const SUBSTITUTE = /\((impact|concussion)\s+(?:sub(?:stitute)?|player)\b/i;
+const REPLACES   = /\((?:[^)]*?\s)?(?:for|replacing)\s+([^)]+)\)/i;
+const MARKERS    = /\s*\((?:c|wk|c\s*&\s*wk|capt|(?:impact|concussion)\s[^)]*|(?:for|replacing)\s[^)]*)\)/gi;
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+function cleanName(name) {
+  return String(name || '').replace(MARKERS, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// A listed name with its markers → player. extra: { profileId, substitute }
+function player(raw, extra = {}) {
+  const text = String(raw || '').trim();
+  const sub  = text.match(SUBSTITUTE);
+  return {
+    name:       cleanName(text),
+    profileId:  extra.profileId || null,
+    captain:    CAPTAIN.test(text),
+    keeper:     KEEPER.test(text),
+    substitute: sub ? sub[1].toLowerCase() : extra.substitute || null,
+    replaces:   text.match(REPLACES)?.[1].trim() || null,
+  };
+}
+
+function teamOfInning(inning) {
+  return String(inning || '').replace(/\s+Inning\s+\d+$/i, '').trim();
+}
+
+// Batters then did-not-bat from the team's first innings, as the scorecard
+// names them, or []
+function rosterOf(team, scorecard) {
+  const inn = (scorecard?.scorecard || []).find(i => teamOfInning(i.inning) === team);
+  if (!inn) return [];
+  return [
+    ...(inn.batting || []).map(b => b.batsman?.name),
+    ...(inn.didNotBat || []).map(p => p.name),
+  ].filter(Boolean);
+}
+
+// Number a squad's XI from the scorecard when its side has batted (and put
+// it in that order), else in listed order. Substitutes who never batted have
+// no position and go last.
+function withBattingOrder(squad, scorecard) {
+  const order = rosterOf(squad.team, scorecard).map(cleanName);
+  if (!squad.playing.length) return { ...squad, battingOrder: null };
+
+  if (order.length) {
+    const pos = name => order.findIndex(n => n.toLowerCase() === name.toLowerCase()) + 1 || null;
+    return {
+      ...squad,
+      battingOrder: 'scorecard',
+      playing: squad.playing
+        .map(p => ({ ...p, battingPosition: pos(p.name) }))
+        .sort((a, b) => (a.battingPosition ?? Infinity) - (b.battingPosition ?? Infinity)),
+    };
+  }
+  let n = 0;
+  return {
+    ...squad,
+    battingOrder: 'listed',
+    playing: squad.playing.map(p => ({ ...p, battingPosition: p.substitute ? null : ++n })),
+  };
+}
+
+// ── Archive ─────────────────────────────────────────────────────────────────
+// Archived matches keep no squads; their scorecards still list every
+// player who batted or didn't, with the captain / keeper markers
+function fromScorecard(match, scorecard) {
+  const teams = match.teams || [];
+  return {
+    id:       match.id,
+    teams,
+    teamInfo: match.teamInfo || [],
+    squads:   teams.map(team => {
+      const playing = rosterOf(team, scorecard).map(name => player(name));
+      return withBattingOrder({ team, announced: playing.length > 0, playing, bench: [], squad: [] }, scorecard);
+    }),
+  };
+}
+
+module.exports = { player, withBattingOrder, fromScorecard };
@@ -0,0 +1,168 @@
+/**
+ * Server-Sent Events push stream
+ *
+ * Listens for cache writes, diffs the new data against what was last seen and
+ * pushes only what changed:
+ *  - "score"     — a match's score[] changed
+ *  - "status"    — status text / matchStarted / matchEnded changed
+ *  - "list"      — matches were added to or dropped from the list
+ *  - "scorecard" — one or more innings of a scorecard changed
+ *  - "event"     — a wicket, milestone, result … from matchEvents.js
+ *
+ * Channels: "matches" (every match) and "match:{id}" (one match).
+ * Recent events are kept in a ring buffer so a reconnecting EventSource can
+ * resume from its Last-Event-ID instead of missing a wicket.
+ * Every published update is also emitted once as "publish" (type, data) for
+ * server-side consumers such as webhooks.
+ */
+
+const { EventEmitter } = require('events');
+const cache       = require('./cache');
+const poller      = require('./poller');
+const matchEvents = require('./matchEvents');
+
+const HEARTBEAT_MS = 15000;
+const BUFFER_SIZE  = 500;
+
+let nextEventId = 1;
+const buffer    = [];          // [{ id, channel, type, data }]
+const clients   = new Set();   // { res, channels: Set }
+const emitter   = new EventEmitter();
+
+// ── Publish ─────────────────────────────────────────────────────────────────
+function write(res, ev) {
+  res.write(`id: ${ev.id}\nevent: ${ev.type}\ndata: ${JSON.stringify(ev.data)}\n\n`);
+}
+
+function publish(channels, type, data) {
+  for (const channel of channels) {
+    const ev = { id: nextEventId++, channel, type, data };
+    buffer.push(ev);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+    for (const c of clients) {
+      if (c.channels.has(channel)) write(c.res, ev);
+    }
+  }
+  emitter.emit('publish', type, data);
+}
+
+// ── Diffing ─────────────────────────────────────────────────────────────────
+const lastMatches    = new Map();   // id → { score, status }
+const lastScorecards = new Map();   // id → [innings JSON]
+
+function scoreOf(m) {
+  return {
+    id:           m.id,
+    score:        m.score,
+    status:       m.status,
+    matchStarted: m.matchStarted,
+    matchEnded:   m.matchEnded,
+  };
+}
+
+function diffMatches() {
+  const merged = poller.mergedMatches();
+  const ids    = new Set(merged.map(m => m.id));
+  let listChanged = merged.length !== lastMatches.size;
+
+  for (const m of merged) {
+    const score  = JSON.stringify(m.score || []);
+    const status = JSON.stringify([m.status, m.matchStarted, m.matchEnded]);
+    const prev   = lastMatches.get(m.id);
+    lastMatches.set(m.id, { score, status });
+
+    if (!prev) { listChanged = true; continue; }
+    const channels = ['matches', `match:${m.id}`];
+    if (prev.score  !== score)  publish(channels, 'score',  scoreOf(m));
+    if (prev.status !== status) publish(channels, 'status', scoreOf(m));
+  }
+
+  for (const id of [...lastMatches.keys()]) {
+    if (!ids.has(id)) { lastMatches.delete(id); listChanged = true; }
+  }
+  if (listChanged) publish(['matches'], 'list', merged);
+}
+
+function diffScorecard(id, data) {
+  const innings = (data?.scorecard || []).map(inn => JSON.stringify(inn));
+  const prev    = lastScorecards.get(id) || [];
+  lastScorecards.set(id, innings);
+
+  const changed = [];
+  innings.forEach((json, index) => {
+    if (json !== prev[index]) changed.push({ index, inning: data.scorecard[index] });
+  });
+  if (changed.length) {
+    publish([`match:${id}`], 'scorecard', { id, count: innings.length, innings: changed });
+  }
+}
+
+cache.on('set', (key, value) => {
+  if (key === 'currentMatches' || key === 'upcomingMatches') diffMatches();
+  else if (key.startsWith('scorecard:')) diffScorecard(key.slice('scorecard:'.length), value);
+});
+
+// Detected match events (wicket, milestone, result …) go out as "event"
+matchEvents.on('event', ev => publish(['matches', `match:${ev.matchId}`], 'event', ev));
+
+// ── Fill the cache for a new subscriber ────────────────────────────────────
+// The background poller keeps live matches fresh; this only covers a channel
+// whose data isn't cached yet (e.g. a finished match opened from a link)
+function fetchMissing(channel) {
+  if (!cache.has('currentMatches')) poller.fetchCurrentMatches().catch(() => {});
+  if (channel.startsWith('match:')) {
+    const id = channel.slice('match:'.length);
+    if (!cache.has(`scorecard:${id}`)) poller.fetchScorecard(id).catch(() => {});
+  }
+}
+
+// ── Subscribe ───────────────────────────────────────────────────────────────
+// `snapshot` is sent first on a fresh connection; a resumed one replays the
+// buffered events after Last-Event-ID instead. An ID this process never
+// handed out (the server restarted) or one older than the buffer gets the
+// snapshot, whose id restarts the client's count.
+function subscribe(req, res, channel, snapshot) {
+  res.writeHead(200, {
+    'Content-Type':      'text/event-stream',
+    'Cache-Control':     'no-cache',
+    'Connection':        'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 5000\n\n');
+
+  const lastId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId || '0');
+  const oldest = buffer.length ? buffer[0].id : nextEventId;
+
+  if (lastId && lastId >= oldest - 1 && lastId < nextEventId) {
+    for (const ev of buffer) {
+      if (ev.id > lastId && ev.channel === channel) write(res, ev);
+    }
+  } else {
+    write(res, { id: nextEventId - 1, type: 'snapshot', data: snapshot() });
+  }
+
+  const client = { res, channels: new Set([channel]) };
+  clients.add(client);
+  fetchMissing(channel);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+}
+
+function status() {
+  return {
+    clients:     clients.size,
+    channels:    [...new Set([...clients].flatMap(c => [...c.channels]))],
+    lastEventId: nextEventId - 1,
+    buffered:    buffer.length,
+  };
+}
+
+module.exports = {
+  subscribe, status,
+  on: (name, fn) => emitter.on(name, fn),
+};
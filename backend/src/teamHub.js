@@ -0,0 +1,82 @@
+/**
+ * Team pages — each canonical team's live, upcoming and recent matches
+ *
+ * Matches come from the live and upcoming lists plus the archive, matched
+ * on canonical team IDs (teams.js), so "India", "IND" and a source's own
+ * spelling all land on the same page. Women's, A and age-group sides have
+ * their own pages.
+ */
+
+const archive = require('./archive');
+const poller  = require('./poller');
+const teams   = require('./teams');
+const { enrich } = require('./enrich');
+
+const RECENT_LIMIT = 10;
+
+function stageOf(m) {
+  if (m.matchEnded) return 'result';
+  return m.matchStarted ? 'live' : 'fixture';
+}
+
+const time = m => Date.parse(m.dateTimeGMT) || 0;
+
+function plays(id) {
+  return m => teams.idsOf(m).includes(id);
+}
+
+// Live feed + archive for one team, deduplicated by match ID
+function matchesOf(team) {
+  const live = poller.mergedMatches().filter(plays(team.id));
+  const ids  = new Set(live.map(m => m.id));
+  // The archive search is a substring match on names; a nation's country
+  // name finds every side, the IDs pick out this one
+  const { matches } = archive.search({ team: team.country || team.name, limit: 200 });
+  const stored = matches
+    .filter(m => !ids.has(m.id))
+    .map(m => teams.annotate(enrich(m)))
+    .filter(plays(team.id));
+  return [...live, ...stored];
+}
+
+// ── Public API ──────────────────────────────────────────────────────────────
+// Every known team; ?q= matches names and aliases, ?gender= mens | womens.
+// Teams in the live or upcoming lists come first, with their match counts.
+function list({ q, gender } = {}) {
+  const counts = new Map();
+  for (const m of poller.mergedMatches()) {
+    const stage = stageOf(m);
+    for (const id of teams.idsOf(m)) {
+      const c = counts.get(id) || { live: 0, upcoming: 0 };
+      if (stage === 'live')    c.live++;
+      if (stage === 'fixture') c.upcoming++;
+      counts.set(id, c);
+    }
+  }
+
+  const needle = teams.norm(q);
+  return teams.all()
+    .filter(t => !gender || t.gender === gender)
+    .filter(t => !needle || teams.norm(t.name).includes(needle) || teams.aliasesOf(t.id).includes(needle))
+    .map(t => ({ ...t, counts: counts.get(t.id) || { live: 0, upcoming: 0 } }))
+    .sort((a, b) =>
+      (b.counts.live + b.counts.upcoming > 0) - (a.counts.live + a.counts.upcoming > 0) ||
+      a.name.localeCompare(b.name));
+}
+
+// One team by ID or alias, or null
+function get(key, { limit = RECENT_LIMIT } = {}) {
+  const team = teams.get(key);
+  if (!team) return null;
+  const matches = matchesOf(team);
+  return {
+    ...team,
+    aliases:  teams.aliasesOf(team.id),
+    live:     matches.filter(m => stageOf(m) === 'live'),
+    upcoming: matches.filter(m => stageOf(m) === 'fixture').sort((a, b) => time(a) - time(b)),
+    recent:   matches.filter(m => stageOf(m) === 'result').sort((a, b) => time(b) - time(a))
+      .slice(0, Math.min(+limit || RECENT_LIMIT, 50)),
+  };
+}
+
+module.exports = { list, get };
@@ -0,0 +1,216 @@
+/**
+ * Team registry — one canonical identity per team, whatever the source calls it
+ *
+ * Every alias ("IND", "India", "India Women", "Ind-W", "INDW") resolves to a
+ * stable team ID with { id, name, shortname, gender, country, flag, logo }.
+ *
+ *  - National sides are built in, with their women's, A and age-group sides
+ *    ("India Women" → ind-w, "India A" → ind-a, "India U19" → ind-u19).
+ *  - Anything else (franchises, states, counties) is registered the first
+ *    time a provider hands it over, under a slug of its name, keeping the
+ *    provider's short name and logo.
+ *
+ * annotate() stamps the IDs onto match, scorecard and match-info payloads
+ * and fills in short names and logos the source left out.
+ */
+
+// ── National sides ──────────────────────────────────────────────────────────
+// [id, name, short code, flag, extra aliases]
+const NATIONS = [
+  ['ind',  'India',                'IND',  '🇮🇳'],
+  ['aus',  'Australia',            'AUS',  '🇦🇺'],
+  ['eng',  'England',              'ENG',  '🏴󠁧󠁢󠁥󠁮󠁧󠁿'],
+  ['pak',  'Pakistan',             'PAK',  '🇵🇰'],
+  ['rsa',  'South Africa',         'RSA',  '🇿🇦', ['SA']],
+  ['nz',   'New Zealand',          'NZ',   '🇳🇿'],
+  ['wi',   'West Indies',          'WI',   '🌴'],
+  ['sl',   'Sri Lanka',            'SL',   '🇱🇰'],
+  ['ban',  'Bangladesh',           'BAN',  '🇧🇩', ['BD']],
+  ['afg',  'Afghanistan',          'AFG',  '🇦🇫'],
+  ['zim',  'Zimbabwe',             'ZIM',  '🇿🇼'],
+  ['ire',  'Ireland',              'IRE',  '🇮🇪'],
+  ['ned',  'Netherlands',          'NED',  '🇳🇱'],
+  ['sco',  'Scotland',             'SCO',  '🏴󠁧󠁢󠁳󠁣󠁴󠁿'],
+  ['ken',  'Kenya',                'KEN',  '🇰🇪'],
+  ['nam',  'Namibia',              'NAM',  '🇳🇦'],
+  ['oman', 'Oman',                 'OMAN', '🇴🇲'],
+  ['uae',  'United Arab Emirates', 'UAE',  '🇦🇪'],
+  ['can',  'Canada',               'CAN',  '🇨🇦'],
+  ['usa',  'United States',        'USA',  '🇺🇸', ['United States of America']],
+  ['nep',  'Nepal',                'NEP',  '🇳🇵'],
+  ['ita',  'Italy',                'ITA',  '🇮🇹'],
+  ['png',  'Papua New Guinea',     'PNG',  '🇵🇬'],
+  ['hk',   'Hong Kong',            'HK',   '🇭🇰'],
+  ['sgp',  'Singapore',            'SIN',  '🇸🇬'],
+];
+
+// Suffixes that make a different side of the same nation, outermost last.
+// "India Women U19" → base India + women + u19
+const VARIANTS = [
+  { key: 'w', re: /\s(?:women|w)$/ },
+  { key: 'a', re: /\sa$/ },
+  { key: 'u', re: /\s(?:u|under)\s?(\d{2})s?$/ },
+];
+
+const teams   = new Map();  // id → team
+const aliases = new Map();  // normalized alias → id
+const nations = new Map();  // normalized alias → nation row
+
+// "Ind-W", "IND W", "ind_w" → "ind w"
+function norm(s) {
+  return String(s || '').toLowerCase().replace(/[\s\-_.]+/g, ' ').trim();
+}
+
+function slug(s) {
+  return norm(s).replace(/[^a-z0-9 ]/g, '').replace(/ /g, '-');
+}
+
+function alias(name, id) {
+  const key = norm(name);
+  if (key && !aliases.has(key)) aliases.set(key, id);
+  // "INDW" as well as "IND W"
+  if (key.includes(' ') && !aliases.has(key.replace(/ /g, ''))) aliases.set(key.replace(/ /g, ''), id);
+}
+
+function register(team, names = []) {
+  teams.set(team.id, team);
+  for (const n of [team.name, team.shortname, ...names]) alias(n, team.id);
+  return team;
+}
+
+// A nation's side: variant = { w, a, u } flags picked off the name
+function nationSide(row, variant) {
+  const [base, name, short, flag, extra = []] = row;
+  let id = base, fullName = name, shortname = short, gender = 'mens', names = [...extra];
+  if (variant.w) { id += '-w'; fullName += ' Women'; shortname += 'W'; gender = 'womens'; }
+  if (variant.a) { id += '-a'; fullName += ' A';     shortname += '-A'; }
+  if (variant.u) { id += `-u${variant.u}`; fullName += ` U${variant.u}`; shortname += `-U${variant.u}`; }
+
+  if (teams.has(id)) return teams.get(id);
+  if (variant.w) names = [...names, `${short}-W`, `${name} W`, ...extra.map(a => `${a}W`)];
+  return register({ id, name: fullName, shortname, gender, country: name, flag, logo: null }, names);
+}
+
+for (const row of NATIONS) {
+  for (const n of [row[1], row[2], ...(row[4] || [])]) nations.set(norm(n), row);
+  nationSide(row, {});
+  nationSide(row, { w: true });
+}
+
+// Strip variant suffixes until a nation's name is left
+function parseNation(name) {
+  let rest = norm(name);
+  const variant = {};
+  for (let changed = true; changed && !nations.has(rest);) {
+    changed = false;
+    for (const v of VARIANTS) {
+      const m = rest.match(v.re);
+      if (!m || variant[v.key]) continue;
+      variant[v.key] = m[1] || true;
+      rest = rest.slice(0, m.index).trim();
+      changed = true;
+    }
+  }
+  const row = nations.get(rest);
+  return row ? { row, variant } : null;
+}
+
+// ── Public API ──────────────────────────────────────────────────────────────
+// Canonical team for a name or alias. hints: { shortname, logo, gender } from
+// the provider; gender 'womens' turns a bare "India" into India Women.
+// Unknown names are registered on the spot.
+function resolve(name, hints = {}) {
+  if (!name) return null;
+  let team = teams.get(aliases.get(norm(name)));
+
+  if (team && hints.gender === 'womens' && team.gender !== 'womens') {
+    team = resolve(`${team.name} Women`) || team;
+  }
+  if (!team) {
+    const nation = parseNation(name);
+    if (nation) {
+      if (hints.gender === 'womens') nation.variant.w = true;
+      team = nationSide(nation.row, nation.variant);
+      alias(name, team.id);
+    }
+  }
+  // Names that differ only in punctuation share a slug, and so a team
+  if (!team && teams.has(slug(name))) {
+    team = teams.get(slug(name));
+    alias(name, team.id);
+  }
+  if (!team) {
+    team = register({
+      id:        slug(name),
+      name,
+      shortname: hints.shortname || name.split(/\s+/).map(w => w[0]).join('').toUpperCase().slice(0, 5),
+      gender:    hints.gender || (/\bwomen\b/i.test(name) ? 'womens' : 'mens'),
+      country:   null,
+      flag:      null,
+      logo:      null,
+    });
+  }
+
+  if (hints.logo && !team.logo) team.logo = hints.logo;
+  if (hints.shortname) alias(hints.shortname, team.id);
+  return team;
+}
+
+// A registered team by ID or any alias; never registers one
+function get(key) {
+  return teams.get(key) || teams.get(aliases.get(norm(key))) || null;
+}
+
+function all() {
+  return [...teams.values()];
+}
+
+// Every alias that resolves to a team
+function aliasesOf(id) {
+  return [...aliases].filter(([, t]) => t === id).map(([a]) => a);
+}
+
+// "India Inning 2" → India's team ID, given the match's teams. Only looks
+// up known teams: an odd innings label shouldn't register a new one.
+function inningsTeam(inning, teamInfo) {
+  const name = String(inning || '').replace(/\s+Inn(?:ing|ings)?\s*\d*$/i, '').trim();
+  const hit  = teamInfo.find(t => t.name === name || t.shortname === name);
+  return hit ? hit.id : aliases.get(norm(name)) || null;
+}
+
+// Stamp canonical IDs on a match, scorecard or match-info payload: teamInfo
+// gets one entry per team with { id, name, shortname, img, flag }, and each
+// scorecard innings a teamId. Names stay as the source spelled them.
+function annotate(data) {
+  if (!data || typeof data !== 'object') return data;
+  const out = { ...data };
+  const gender = data.gender === 'womens' ? 'womens' : undefined;
+
+  if (Array.isArray(data.teams)) {
+    out.teamInfo = data.teams.map(name => {
+      const info = (data.teamInfo || []).find(t => t.name === name) || {};
+      const team = resolve(name, { shortname: info.shortname, logo: info.img, gender });
+      return {
+        ...info,
+        id:        team.id,
+        name,
+        shortname: info.shortname || team.shortname,
+        img:       info.img || team.logo,
+        flag:      team.flag,
+      };
+    });
+  }
+
+  if (Array.isArray(data.scorecard)) {
+    const info = out.teamInfo || [];
+    out.scorecard = data.scorecard.map(inn => ({ ...inn, teamId: inningsTeam(inn.inning, info) }));
+  }
+  return out;
+}
+
+// Canonical IDs of a match's teams (annotated or not)
+function idsOf(match) {
+  return (match.teamInfo?.every(t => t.id) ? match.teamInfo : annotate(match).teamInfo || []).map(t => t.id);
+}
+
+module.exports = { resolve, get, all, aliasesOf, annotate, idsOf, norm };
@@ -0,0 +1,113 @@
+/**
+ * Web Push protocol — encrypts a payload for one browser subscription and
+ * POSTs it to the subscription's push service, with Node's crypto only
+ *
+ *  - payload encryption: RFC 8291 (aes128gcm content coding, RFC 8188)
+ *  - server identification: VAPID, RFC 8292 (an ES256 JWT per push service)
+ *
+ * Keys are base64url strings in the format browsers and the `web-push` CLI
+ * use: the public key is the 65-byte uncompressed P-256 point, the private
+ * key the 32-byte scalar.
+ */
+
+const crypto = require('crypto');
+const fetch  = require('node-fetch');
+
+const RECORD_SIZE = 4096;
+const JWT_TTL_S   = 12 * 3600;
+const TIMEOUT_MS  = 10000;
+
+const b64url = buf => Buffer.from(buf).toString('base64url');
+const fromB64url = str => Buffer.from(String(str), 'base64url');
+
+// ── Keys ────────────────────────────────────────────────────────────────────
+function generateVapidKeys() {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = privateKey.export({ format: 'jwk' });
+  return {
+    publicKey:  b64url(Buffer.concat([Buffer.from([4]), fromB64url(jwk.x), fromB64url(jwk.y)])),
+    privateKey: jwk.d,
+  };
+}
+
+function privateKeyObject({ publicKey, privateKey }) {
+  const pub = fromB64url(publicKey);
+  if (pub.length !== 65 || pub[0] !== 4) throw new Error('VAPID public key must be a 65-byte uncompressed P-256 point');
+  return crypto.createPrivateKey({
+    format: 'jwk',
+    key: { kty: 'EC', crv: 'P-256', x: b64url(pub.subarray(1, 33)), y: b64url(pub.subarray(33)), d: privateKey },
+  });
+}
+
+// ── VAPID ───────────────────────────────────────────────────────────────────
+// Authorization header for one push service (the JWT audience is its origin)
+function vapidHeader(endpoint, vapid) {
+  const header = b64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = b64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + JWT_TTL_S,
+    sub: vapid.subject,
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key: privateKeyObject(vapid),
+    dsaEncoding: 'ieee-p1363',
+  });
+  return `vapid t=${header}.${claims}.${b64url(signature)}, k=${vapid.publicKey}`;
+}
+
+// ── Encryption ──────────────────────────────────────────────────────────────
+const hkdf = (ikm, salt, info, length) => Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+
+// keys: the subscription's { p256dh, auth }. Returns the aes128gcm body:
+// salt | record size | key id length | sender public key | ciphertext
+function encrypt(payload, keys) {
+  const uaPublic   = fromB64url(keys.p256dh);
+  const authSecret = fromB64url(keys.auth);
+  if (uaPublic.length !== 65 || authSecret.length !== 16) throw new Error('Invalid subscription keys');
+
+  const ecdh     = crypto.createECDH('prime256v1');
+  const asPublic = ecdh.generateKeys();
+  const shared   = ecdh.computeSecret(uaPublic);
+  const salt     = crypto.randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+  const ikm     = hkdf(shared, authSecret, keyInfo, 32);
+  const cek     = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce   = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  // One record: the payload plus the last-record delimiter
+  const plain  = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+  if (plain.length + 16 > RECORD_SIZE) throw new Error('Push payload too large');
+  const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+  const body   = Buffer.concat([cipher.update(plain), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, body]);
+}
+
+// ── Send ────────────────────────────────────────────────────────────────────
+// subscription: { endpoint, keys: { p256dh, auth } }; vapid: { publicKey,
+// privateKey, subject }. Resolves to the push service's HTTP status —
+// callers decide what a non-2xx means (404 / 410: the subscription is gone).
+// `agent` is passed to fetch as is.
+async function send(subscription, payload, vapid, { ttl = 3600, urgency = 'normal', agent } = {}) {
+  const res = await fetch(subscription.endpoint, {
+    method:  'POST',
+    timeout: TIMEOUT_MS,
+    agent,
+    headers: {
+      'Content-Type':     'application/octet-stream',
+      'Content-Encoding': 'aes128gcm',
+      'TTL':              String(ttl),
+      'Urgency':          urgency,
+      'Authorization':    vapidHeader(subscription.endpoint, vapid),
+    },
+    body: encrypt(typeof payload === 'string' ? payload : JSON.stringify(payload), subscription.keys),
+  });
+  return res.status;
+}
+
+module.exports = { send, encrypt, vapidHeader, generateVapidKeys };
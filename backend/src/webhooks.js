@@ -0,0 +1,276 @@
+/**
+ * Webhook subscriptions — POST match updates to registered URLs
+ *
+ * A subscription is a URL plus an optional filter on match IDs, teams (any
+ * name or alias, kept as canonical team IDs — see teams.js) and update
+ * types. Types are the SSE stream's "score" / "status" plus the
+ * detected match events ("wicket", "milestone", "five_wicket_haul",
+ * "innings_end", "target_set", "result"). An empty filter matches everything.
+ *
+ * Each payload is signed with the subscription's secret:
+ *   X-CricLive-Signature: sha256=<hex HMAC-SHA256 of the raw body>
+ * Failed deliveries (network error or non-2xx) are retried with exponential
+ * backoff; after the last attempt the payload goes to the dead-letter log.
+ * Subscriptions and dead letters live in the archive's SQLite database.
+ *
+ * Loopback, link-local and private addresses are refused as targets — both
+ * in the URL and as what a hostname resolves to when delivering — unless
+ * WEBHOOK_ALLOW_PRIVATE=true (e.g. a receiver on the same host).
+ */
+
+const crypto = require('crypto');
+const fetch  = require('node-fetch');
+const archive  = require('./archive');
+const netGuard = require('./netGuard');
+const poller  = require('./poller');
+const stream  = require('./stream');
+const teams   = require('./teams');
+require('dotenv').config();
+
+const MAX_ATTEMPTS  = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5');
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE || '10') * 1000;
+const TIMEOUT_MS    = 10000;
+const DEAD_LETTER_LIMIT = 50;   // per subscription, returned by get()
+
+const TYPES = ['score', 'status', 'wicket', 'milestone', 'five_wicket_haul',
+               'innings_end', 'target_set', 'result'];
+
+const { db } = archive;
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id            TEXT PRIMARY KEY,
+    url           TEXT NOT NULL,
+    secret        TEXT NOT NULL,
+    match_ids     TEXT NOT NULL,
+    teams         TEXT NOT NULL,
+    types         TEXT NOT NULL,
+    created_at    TEXT NOT NULL,
+    delivered     INTEGER NOT NULL DEFAULT 0,
+    failed        INTEGER NOT NULL DEFAULT 0,
+    last_status   TEXT,
+    last_delivery TEXT
+  );
+  CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id  TEXT NOT NULL,
+    delivery_id TEXT NOT NULL,
+    payload     TEXT NOT NULL,
+    attempts    INTEGER NOT NULL,
+    last_error  TEXT,
+    failed_at   TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_dead_letters_webhook ON webhook_dead_letters (webhook_id);
+`);
+
+const stmts = {
+  insert: db.prepare(`
+    INSERT INTO webhooks (id, url, secret, match_ids, teams, types, created_at)
+    VALUES (@id, @url, @secret, @match_ids, @teams, @types, @created_at)
+  `),
+  all:     db.prepare('SELECT * FROM webhooks ORDER BY created_at'),
+  get:     db.prepare('SELECT * FROM webhooks WHERE id = ?'),
+  remove:  db.prepare('DELETE FROM webhooks WHERE id = ?'),
+  removeDead: db.prepare('DELETE FROM webhook_dead_letters WHERE webhook_id = ?'),
+  ok:      db.prepare(`UPDATE webhooks SET delivered = delivered + 1, last_status = ?, last_delivery = ? WHERE id = ?`),
+  fail:    db.prepare(`UPDATE webhooks SET failed = failed + 1, last_status = ?, last_delivery = ? WHERE id = ?`),
+  dead:    db.prepare(`
+    INSERT INTO webhook_dead_letters (webhook_id, delivery_id, payload, attempts, last_error, failed_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  deadFor: db.prepare(`SELECT * FROM webhook_dead_letters WHERE webhook_id = ? ORDER BY id DESC LIMIT ${DEAD_LETTER_LIMIT}`),
+  deadCount: db.prepare('SELECT COUNT(*) AS n FROM webhook_dead_letters'),
+};
+
+// Subscriptions are read on every update, so keep them in memory
+let subscriptions = stmts.all.all().map(parseRow);
+let pendingRetries = 0;
+
+function parseRow(row) {
+  return {
+    id:        row.id,
+    url:       row.url,
+    secret:    row.secret,
+    filter:    { matchIds: JSON.parse(row.match_ids), teams: JSON.parse(row.teams), types: JSON.parse(row.types) },
+    createdAt: row.created_at,
+    stats:     { delivered: row.delivered, failed: row.failed, lastStatus: row.last_status, lastDelivery: row.last_delivery },
+  };
+}
+
+// Never hand the secret back after creation
+function publicView(sub) {
+  const { secret, ...rest } = sub;
+  return rest;
+}
+
+// ── Validation ──────────────────────────────────────────────────────────────
+function asList(v) {
+  if (v === undefined || v === null || v === '') return [];
+  return (Array.isArray(v) ? v : String(v).split(',')).map(x => String(x).trim()).filter(Boolean);
+}
+
+// "India", "IND" → "ind"; a team not registered yet stays as given
+function teamId(name) {
+  return teams.get(name)?.id || name;
+}
+
+// Read per call, not at load, so tests can switch it
+function allowPrivate() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+}
+
+// Hostnames resolving to a private address are refused at delivery too
+const agents = netGuard.guardedAgents(allowPrivate);
+
+function validate({ url, filter = {} }) {
+  let parsed;
+  try { parsed = new URL(url); } catch (e) { throw new Error('url must be an absolute http(s) URL'); }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('url must be an absolute http(s) URL');
+  if (!allowPrivate() && netGuard.isPrivateHost(parsed.hostname)) {
+    throw new Error('url must not point at a loopback, link-local or private address');
+  }
+
+  const types = asList(filter.types).map(t => t.toLowerCase());
+  const unknown = types.filter(t => !TYPES.includes(t));
+  if (unknown.length) throw new Error(`Unknown event type(s): ${unknown.join(', ')} — use ${TYPES.join(', ')}`);
+
+  return { url: parsed.toString(), matchIds: asList(filter.matchIds), teams: [...new Set(asList(filter.teams).map(teamId))], types };
+}
+
+// ── Subscriptions ───────────────────────────────────────────────────────────
+function create({ url, secret, filter } = {}) {
+  const v   = validate({ url, filter });
+  const row = {
+    id:         crypto.randomUUID(),
+    url:        v.url,
+    secret:     secret || crypto.randomBytes(24).toString('hex'),
+    match_ids:  JSON.stringify(v.matchIds),
+    teams:      JSON.stringify(v.teams),
+    types:      JSON.stringify(v.types),
+    created_at: new Date().toISOString(),
+  };
+  stmts.insert.run(row);
+  subscriptions = stmts.all.all().map(parseRow);
+  console.log(`[webhooks] ➕ ${row.id} → ${row.url}`);
+  // The secret is only ever returned here
+  return parseRow({ ...row, delivered: 0, failed: 0, last_status: null, last_delivery: null });
+}
+
+function list() {
+  return stmts.all.all().map(r => publicView(parseRow(r)));
+}
+
+function get(id) {
+  const row = stmts.get.get(id);
+  if (!row) return null;
+  return {
+    ...publicView(parseRow(row)),
+    deadLetters: stmts.deadFor.all(id).map(d => ({
+      deliveryId: d.delivery_id, attempts: d.attempts, lastError: d.last_error,
+      failedAt: d.failed_at, payload: JSON.parse(d.payload),
+    })),
+  };
+}
+
+function remove(id) {
+  const removed = stmts.remove.run(id).changes > 0;
+  if (removed) {
+    stmts.removeDead.run(id);
+    subscriptions = subscriptions.filter(s => s.id !== id);
+    console.log(`[webhooks] ➖ ${id}`);
+  }
+  return removed;
+}
+
+// ── Delivery ────────────────────────────────────────────────────────────────
+function sign(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+async function attempt(sub, deliveryId, body, type) {
+  const res = await fetch(sub.url, {
+    method:  'POST',
+    timeout: TIMEOUT_MS,
+    agent:   parsed => agents[parsed.protocol],
+    headers: {
+      'Content-Type':          'application/json',
+      'User-Agent':            'CricLive-Webhooks/1.0',
+      'X-CricLive-Event':      type,
+      'X-CricLive-Delivery':   deliveryId,
+      'X-CricLive-Signature':  sign(sub.secret, body),
+    },
+    body,
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.status;
+}
+
+async function deliver(sub, payload, attemptNo = 1) {
+  // Deleted while a retry was waiting
+  if (!subscriptions.some(s => s.id === sub.id)) return;
+
+  const body = JSON.stringify(payload);
+  try {
+    const code = await attempt(sub, payload.deliveryId, body, payload.type);
+    stmts.ok.run(String(code), new Date().toISOString(), sub.id);
+  } catch (err) {
+    stmts.fail.run(err.message, new Date().toISOString(), sub.id);
+    if (attemptNo >= MAX_ATTEMPTS) {
+      stmts.dead.run(sub.id, payload.deliveryId, body, attemptNo, err.message, new Date().toISOString());
+      console.error(`[webhooks] 💀 ${payload.deliveryId} to ${sub.url} dead-lettered after ${attemptNo} attempts: ${err.message}`);
+      return;
+    }
+    const delay = RETRY_BASE_MS * 2 ** (attemptNo - 1);
+    console.warn(`[webhooks] ${payload.deliveryId} to ${sub.url} failed (${err.message}) — retry in ${delay / 1000}s`);
+    pendingRetries++;
+    setTimeout(() => {
+      pendingRetries--;
+      deliver(sub, payload, attemptNo + 1);
+    }, delay).unref();
+  }
+}
+
+// ── Matching ────────────────────────────────────────────────────────────────
+// Teams match by canonical ID, so "India" is neither "India Women" nor
+// "West Indies". Resolved again here for subscriptions stored by name, or
+// for a team registered since.
+function matches(sub, type, matchId, teamIds) {
+  const { matchIds, teams: wanted, types } = sub.filter;
+  if (types.length && !types.includes(type)) return false;
+  if (matchIds.length && !matchIds.includes(matchId)) return false;
+  if (wanted.length && !wanted.some(w => teamIds.includes(teamId(w)))) return false;
+  return true;
+}
+
+function dispatch(type, matchId, data) {
+  if (!subscriptions.length) return;
+  const match   = poller.mergedMatches().find(m => m.id === matchId);
+  const teamIds = match ? teams.idsOf(match) : [];
+
+  for (const sub of subscriptions) {
+    if (!matches(sub, type, matchId, teamIds)) continue;
+    deliver(sub, {
+      deliveryId: crypto.randomUUID(),
+      type,
+      matchId,
+      match: match ? { name: match.name, teams: match.teams || [], status: match.status } : null,
+      data,
+      sentAt: new Date().toISOString(),
+    });
+  }
+}
+
+stream.on('publish', (type, data) => {
+  if (type === 'score' || type === 'status') dispatch(type, data.id, data);
+  else if (type === 'event') dispatch(data.type, data.matchId, data);
+});
+
+function status() {
+  return {
+    subscriptions:  subscriptions.length,
+    pendingRetries,
+    deadLetters:    stmts.deadCount.get().n,
+  };
+}
+
+module.exports = { create, list, get, remove, status, sign, TYPES };
@@ -0,0 +1,130 @@
+/**
+ * YAML reader for Cricsheet's legacy .yaml match files
+ *
+ * Not a general YAML parser: it reads the block style PyYAML writes, which
+ * is all Cricsheet uses —
+ *  - block mappings and sequences, including sequences at their parent
+ *    key's indent ("dates:\n- 2017-01-01") and mappings starting on a
+ *    "- " line
+ *  - plain, 'single' and "double" quoted scalars; null / ~, true / false,
+ *    integers and decimals (dates stay strings, as in Cricsheet's JSON)
+ *  - flow collections on one line ([a, b], {runs: 4}) without nesting
+ * Anything else (anchors, block scalars, multi-line flow) throws.
+ */
+
+// ── Scalars ─────────────────────────────────────────────────────────────────
+function unquote(s) {
+  if (s.startsWith("'")) return s.slice(1, -1).replace(/''/g, "'");
+  return JSON.parse(s.replace(/\\x([0-9a-f]{2})/gi, '\\u00$1'));
+}
+
+function scalar(raw) {
+  const s = raw.trim();
+  if (s === '' || s === '~' || s === 'null') return null;
+  if (s === 'true')  return true;
+  if (s === 'false') return false;
+  if (/^['"]/.test(s)) return unquote(s);
+  if (/^-?\d+$/.test(s)) return Number(s);
+  if (/^-?\d+\.\d+$/.test(s)) return Number(s);
+  if (s.startsWith('[')) return splitFlow(s.slice(1, -1)).map(scalar);
+  if (s.startsWith('{')) {
+    return Object.fromEntries(splitFlow(s.slice(1, -1)).map(entry => {
+      const [key, value] = splitKey(entry);
+      return [key, scalar(value ?? '')];
+    }));
+  }
+  if (/^[&*!|>]/.test(s)) throw new Error(`Unsupported YAML: ${s}`);
+  return s;
+}
+
+// "a, 'b, c', d" → ["a", "'b, c'", "d"]
+function splitFlow(s) {
+  const out = [];
+  let current = '', quote = null;
+  for (const ch of s) {
+    if (quote) { if (ch === quote) quote = null; }
+    else if (ch === "'" || ch === '"') quote = ch;
+    else if (ch === ',') { out.push(current.trim()); current = ''; continue; }
+    current += ch;
+  }
+  if (current.trim()) out.push(current.trim());
+  return out;
+}
+
+// "key: value" → [key, value]; "key:" → [key, '']; no key → null
+function splitKey(content) {
+  let quote = null;
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    if (quote) { if (ch === quote) quote = null; continue; }
+    if ((ch === "'" || ch === '"') && i === 0) { quote = ch; continue; }
+    if (ch === ':' && (i === content.length - 1 || content[i + 1] === ' ')) {
+      const key = content.slice(0, i).trim();
+      return [/^['"]/.test(key) ? unquote(key) : key, content.slice(i + 1).trim()];
+    }
+  }
+  return null;
+}
+
+// ── Blocks ──────────────────────────────────────────────────────────────────
+function parse(text) {
+  const lines = [];
+  for (const raw of String(text).replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    if (/^\s*(#.*)?$/.test(raw) || raw === '---' || raw === '...') continue;
+    const indent = raw.match(/^ */)[0].length;
+    lines.push({ indent, content: raw.slice(indent).replace(/\s+#.*$/, '') });
+  }
+  let i = 0;
+
+  const isItem = line => line.content === '-' || line.content.startsWith('- ');
+
+  function block(indent) {
+    const line = lines[i];
+    if (!line || line.indent < indent) return null;
+    return isItem(line) ? sequence(line.indent) : mapping(line.indent);
+  }
+
+  function sequence(indent) {
+    const out = [];
+    while (i < lines.length && lines[i].indent === indent && isItem(lines[i])) {
+      const line = lines[i];
+      const rest = line.content.slice(1).trimStart();
+      if (!rest) {
+        i++;
+        out.push(block(indent + 1));
+      } else if (splitKey(rest) && !/^[[{]/.test(rest)) {
+        // "- key: value" — a mapping whose keys line up after the dash
+        lines[i] = { indent: indent + line.content.length - rest.length, content: rest };
+        out.push(mapping(lines[i].indent));
+      } else {
+        i++;
+        out.push(scalar(rest));
+      }
+    }
+    return out;
+  }
+
+  function mapping(indent) {
+    const out = {};
+    while (i < lines.length && lines[i].indent === indent && !isItem(lines[i])) {
+      const entry = splitKey(lines[i].content);
+      if (!entry) throw new Error(`Unsupported YAML on line: ${lines[i].content}`);
+      const [key, value] = entry;
+      i++;
+      if (value) {
+        out[key] = scalar(value);
+      } else if (lines[i] && lines[i].indent === indent && isItem(lines[i])) {
+        out[key] = sequence(indent);
+      } else {
+        out[key] = block(indent + 1);
+      }
+    }
+    return out;
+  }
+
+  const doc = block(0);
+  if (i < lines.length) throw new Error(`Unexpected YAML indentation: ${lines[i].content}`);
+  return doc;
+}
+
+module.exports = { parse };
@@ -0,0 +1,63 @@
+/**
+ * Zip archive reader — the entries of a .zip held in memory, inflated with
+ * Node's zlib one at a time as they're read
+ *
+ * Covers what Cricsheet's downloads use: stored and deflated entries listed
+ * in the central directory. Zip64 archives and encrypted entries throw.
+ */
+
+const zlib = require('zlib');
+
+const EOCD_SIG    = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG   = 0x04034b50;
+
+// The end-of-central-directory record sits in the last 22 bytes plus an
+// optional comment of up to 64 KB
+function endOfDirectory(buf) {
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIG) return i;
+  }
+  throw new Error('Not a zip archive');
+}
+
+// → [{ name, size, read() }] for every file (directories left out)
+function entries(buf) {
+  const eocd   = endOfDirectory(buf);
+  const count  = buf.readUInt16LE(eocd + 10);
+  let   offset = buf.readUInt32LE(eocd + 16);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error('Zip64 archives are not supported');
+
+  const out = [];
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(offset) !== CENTRAL_SIG) throw new Error('Corrupt zip central directory');
+    const flags      = buf.readUInt16LE(offset + 8);
+    const method     = buf.readUInt16LE(offset + 10);
+    const compressed = buf.readUInt32LE(offset + 20);
+    const size       = buf.readUInt32LE(offset + 24);
+    const nameLen    = buf.readUInt16LE(offset + 28);
+    const extraLen   = buf.readUInt16LE(offset + 30);
+    const commentLen = buf.readUInt16LE(offset + 32);
+    const local      = buf.readUInt32LE(offset + 42);
+    const name       = buf.toString('utf8', offset + 46, offset + 46 + nameLen);
+    offset += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith('/')) continue;
+    out.push({
+      name,
+      size,
+      read() {
+        if (flags & 1) throw new Error(`${name} is encrypted`);
+        if (buf.readUInt32LE(local) !== LOCAL_SIG) throw new Error(`Corrupt zip entry ${name}`);
+        const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+        const data  = buf.subarray(start, start + compressed);
+        if (method === 0) return data;
+        if (method === 8) return zlib.inflateRawSync(data);
+        throw new Error(`${name}: unsupported compression method ${method}`);
+      },
+    });
+  }
+  return out;
+}
+
+module.exports = { entries };
@@ -0,0 +1,93 @@
+/**
+ * Win probability and chase figures at the edges: target reached, all out,
+ * the last ball, a finished match, and the first innings.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ARCHIVE_DB = ':memory:';
+
+const analytics = require('../src/analytics');
+
+const inn = (team, r, w, o) => ({ inning: `${team} Inning 1`, r, w, o });
+const first = inn('India', 180, 6, '20');
+const chase = (r, w, o, opts) => analytics.compute('T20', [first, inn('Australia', r, w, o)], opts);
+
+test('the model uses format defaults with an empty archive', () => {
+  assert.deepEqual(chase(0, 0, '0').model, { format: 't20', rate: 8, sd: 24, samples: 0, source: 'default' });
+  assert.equal(analytics.compute('ODI', [inn('England', 0, 0, '0')]).model.rate, 5.4);
+  assert.equal(analytics.compute('Test', [first]), null);
+  assert.deepEqual(analytics.compute('t20i', []), { format: 't20', phase: 'not_started', model: chase(0, 0, '0').model });
+});
+
+test('target reached: the chasing side has won', () => {
+  const r = chase(183, 4, '18.2');
+  assert.equal(r.target, 181);
+  assert.equal(r.runsNeeded, 0);
+  assert.equal(r.requiredRunRate, 0);
+  assert.deepEqual(r.winProbability, { Australia: 1, India: 0 });
+});
+
+test('all out or out of balls short of the target: the chasing side has lost', () => {
+  assert.deepEqual(chase(150, 10, '17.3').winProbability, { Australia: 0, India: 1 });
+
+  const lastBallGone = chase(179, 7, '20');
+  assert.equal(lastBallGone.ballsRemaining, 0);
+  assert.equal(lastBallGone.requiredRunRate, null);
+  assert.deepEqual(lastBallGone.winProbability, { Australia: 0, India: 1 });
+
+  // A finished match is settled by the score, not the model
+  assert.deepEqual(chase(170, 8, '19', { matchEnded: true }).winProbability, { Australia: 0, India: 1 });
+  assert.deepEqual(chase(181, 8, '19.5', { matchEnded: true }).winProbability, { Australia: 1, India: 0 });
+});
+
+test('last ball: a single is likelier than a six', () => {
+  const one = chase(180, 7, '19.5');
+  const six = chase(175, 7, '19.5');
+  assert.equal(one.ballsRemaining, 1);
+  assert.equal(one.requiredRunRate, 6);
+  assert.equal(six.requiredRunRate, 36);
+
+  const p = r => r.winProbability.Australia;
+  assert.ok(p(one) > 0 && p(one) < 1);
+  assert.ok(p(six) < p(one));
+  assert.ok(p(chase(180, 9, '19.5')) < p(one), 'fewer wickets in hand');
+  for (const r of [one, six]) assert.equal(+(r.winProbability.Australia + r.winProbability.India).toFixed(3), 1);
+});
+
+test('the chase odds fall as the asking rate climbs', () => {
+  // 12 overs gone, 3 down: needing 41, 61, 81 and 101 off the last 48 balls
+  const odds = [140, 120, 100, 80].map(r => chase(r, 3, '12').winProbability.Australia);
+  assert.deepEqual([...odds].sort((x, y) => y - x), odds);
+  assert.equal(new Set(odds).size, 4);
+  assert.ok(odds[0] > 0.5 && odds[3] < 0.05);
+});
+
+test('first innings: even at the start, then led by the scoring rate', () => {
+  const start = analytics.compute('t20', [inn('India', 0, 0, '0')]);
+  assert.equal(start.phase, 'first_innings');
+  assert.equal(start.currentRunRate, null);
+  assert.equal(start.ballsRemaining, 120);
+  assert.equal(start.projectedTotal, 160);
+  assert.ok(Math.abs(start.winProbability.India - 0.5) < 0.02);
+
+  // 100/1 after 10 overs: 10 an over so far
+  const flying = analytics.compute('t20', [inn('India', 100, 1, '10')]);
+  assert.equal(flying.currentRunRate, 10);
+  assert.deepEqual(flying.projections, [
+    { rate: 10, total: 200 }, { rate: 6, total: 160 }, { rate: 8, total: 180 }, { rate: 12, total: 220 },
+  ]);
+  assert.ok(flying.projectedTotal > 180);
+  assert.ok(flying.winProbability.India > 0.7);
+
+  const collapse = analytics.compute('t20', [inn('India', 40, 6, '10')]);
+  assert.ok(collapse.projectedTotal < 120);
+  assert.ok(collapse.winProbability.India < 0.2);
+
+  // Innings over: the total is what it is
+  const done = analytics.compute('t20', [first]);
+  assert.equal(done.ballsRemaining, 0);
+  assert.equal(done.projectedTotal, 180);
+  assert.ok(done.projections.every(p => p.total === 180));
+});
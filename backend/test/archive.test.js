@@ -0,0 +1,180 @@
+/**
+ * Match archive on an in-memory SQLite database: saving, search filters and
+ * paging bounds, refetching incomplete matches, and the scorecard routes
+ * falling back to the archive.
+ */
+
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.ARCHIVE_DB = ':memory:';
+process.env.DATA_PROVIDERS = 'cricbuzz';
+process.env.CRICBUZZ_MODE = 'replay';
+process.env.CRICBUZZ_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'cricbuzz');
+process.env.ARCHIVE_MAX_ATTEMPTS = '3';
+
+const archive = require('../src/archive');
+const cache   = require('../src/cache');
+const poller  = require('../src/poller');
+
+const match = (id, over = {}) => ({
+  id, name: `${id} match`, matchType: 't20', matchEnded: true, status: 'India won by 5 runs',
+  teams: ['India', 'Australia'], dateTimeGMT: '2025-11-01T13:45:00', ...over,
+});
+
+const card = { scorecard: [{ inning: 'India Inning 1', batting: [], bowling: [], total: { r: 180, w: 6, o: '20' } }] };
+const info = { venue: 'MCG, Melbourne', seriesName: 'Australia tour of India 2025' };
+
+async function waitFor(check, ms = 2000) {
+  const until = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > until) throw new Error('Timed out waiting for the archive');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('a saved match reads back; saving again keeps what the new copy lacks', () => {
+  const saved = [];
+  archive.on('saved', ev => saved.push(ev.match.id));
+
+  archive.save(match('save-1', { series: { id: '9001', name: 'Australia tour of India 2025' } }), card, info);
+  const entry = archive.get('save-1');
+  assert.equal(entry.match.name, 'save-1 match');
+  assert.deepEqual(entry.scorecard, card);
+  assert.deepEqual(entry.info, info);
+  assert.match(entry.archivedAt, /^\d{4}-\d\d-\d\dT/);
+
+  // A later copy without the scorecard / info doesn't wipe them
+  archive.save(match('save-1', { status: 'India won by 5 runs (DLS method)' }), null, null);
+  const again = archive.get('save-1');
+  assert.equal(again.match.status, 'India won by 5 runs (DLS method)');
+  assert.deepEqual(again.scorecard, card);
+  assert.deepEqual(again.info, info);
+  assert.deepEqual(archive.bySeries('9001').map(m => m.id), ['save-1']);
+
+  assert.deepEqual(saved, ['save-1', 'save-1']);
+  assert.equal(archive.get('missing'), null);
+});
+
+test('search filters by team, format, series and date, newest first', () => {
+  archive.save(match('f-1', { matchType: 'odi', teams: ['India Women', 'Australia Women'], dateTimeGMT: '2025-10-05T04:00:00' }),
+    null, { seriesName: 'ICC Women\'s World Cup 2025' });
+  archive.save(match('f-2', { matchType: 'ODI', teams: ['England', 'India'], dateTimeGMT: '2025-07-12T09:30:00' }),
+    null, { seriesName: 'India tour of England 2025' });
+  archive.save(match('f-3', { matchType: 'odi', teams: ['South Africa', 'Pakistan'], dateTimeGMT: '2025-12-20T08:00:00' }),
+    null, { seriesName: 'Pakistan tour of South Africa 2025' });
+  const ids = q => archive.search({ format: 'odi', ...q }).matches.map(m => m.id);
+
+  assert.deepEqual(ids({}), ['f-3', 'f-1', 'f-2']);
+  assert.equal(archive.search({ format: 'odi' }).total, 3);
+  // Team and series are case-insensitive substrings; format is exact
+  assert.deepEqual(ids({ team: 'india' }), ['f-1', 'f-2']);
+  assert.deepEqual(ids({ team: 'PAKISTAN' }), ['f-3']);
+  assert.deepEqual(ids({ series: 'world cup' }), ['f-1']);
+  assert.deepEqual(ids({ format: 'ODI' }), ['f-3', 'f-1', 'f-2']);
+  assert.deepEqual(ids({ format: 'od' }), []);
+  // Dates are inclusive at both ends
+  assert.deepEqual(ids({ from: '2025-10-05', to: '2025-12-20' }), ['f-3', 'f-1']);
+  assert.deepEqual(ids({ to: '2025-07-12' }), ['f-2']);
+  assert.deepEqual(ids({ team: 'india', from: '2025-08-01' }), ['f-1']);
+});
+
+test('paging is bounded: 1 to 200 rows, never a negative offset', () => {
+  for (let i = 0; i < 205; i++) {
+    archive.save(match(`page-${i}`, { matchType: 'page', dateTimeGMT: `2020-01-01T00:${String(i % 60).padStart(2, '0')}:00` }), null, null);
+  }
+  const page = q => archive.search({ format: 'page', ...q }).matches.length;
+  assert.equal(archive.search({ format: 'page' }).total, 205);
+  assert.equal(page({}), 50);
+  assert.equal(page({ limit: 10 }), 10);
+  assert.equal(page({ limit: 1000 }), 200);
+  // LIMIT -1 would be unlimited in SQLite
+  assert.equal(page({ limit: -1 }), 1);
+  assert.equal(page({ limit: '-500' }), 1);
+  assert.equal(page({ limit: 'abc' }), 50);
+  assert.equal(page({ limit: 200, offset: 200 }), 5);
+  assert.deepEqual(archive.search({ format: 'page', limit: 3, offset: -10 }).matches,
+                   archive.search({ format: 'page', limit: 3 }).matches);
+  assert.equal(page({ limit: 2.7, offset: 204.9 }), 1);
+});
+
+test('a failed scorecard fetch is retried on later passes', async () => {
+  const fetchScorecard = poller.fetchScorecard;
+  const fetchMatchInfo = poller.fetchMatchInfo;
+  let scorecardCalls = 0;
+  poller.fetchScorecard = async () => {
+    if (++scorecardCalls === 1) throw new Error('HTTP 503');
+    return card;
+  };
+  poller.fetchMatchInfo = async () => info;
+  const pass = m => cache.set('currentMatches', { data: [m] }, 30);
+
+  try {
+    const before = archive.status().incomplete;
+    const m = match('retry-1');
+    pass(m);
+    await waitFor(() => archive.get('retry-1'));
+    assert.equal(archive.get('retry-1').scorecard, null);
+    assert.deepEqual(archive.get('retry-1').info, info);
+    assert.equal(archive.status().incomplete, before + 1);
+
+    pass(m);
+    await waitFor(() => archive.get('retry-1').scorecard);
+    assert.deepEqual(archive.get('retry-1').scorecard, card);
+    assert.equal(archive.status().incomplete, before);
+
+    // Complete: later passes leave it alone
+    pass(m);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(scorecardCalls, 2);
+
+    // A source that never answers is given up on after ARCHIVE_MAX_ATTEMPTS
+    poller.fetchScorecard = async () => { scorecardCalls++; throw new Error('HTTP 503'); };
+    scorecardCalls = 0;
+    const dead = match('retry-2');
+    for (let i = 0; i < 5; i++) {
+      pass(dead);
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.equal(scorecardCalls, 3);
+    assert.equal(archive.get('retry-2').scorecard, null);
+    assert.equal(archive.status().lastError, 'HTTP 503');
+  } finally {
+    poller.fetchScorecard = fetchScorecard;
+    poller.fetchMatchInfo = fetchMatchInfo;
+    cache.delete('currentMatches');
+  }
+});
+
+test('the match routes fall back to the archive once the live source fails', async () => {
+  const app = express();
+  app.use('/api', require('../src/routes'));
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const get = async p => {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api${p}`);
+    return { code: res.status, body: await res.json() };
+  };
+
+  try {
+    // Replay mode has no page for this match, so the live fetch fails
+    archive.save(match('900~gone-final'), card, info);
+    const sc = await get('/match/900~gone-final/scorecard');
+    assert.equal(sc.code, 200);
+    assert.deepEqual(sc.body.data, card);
+    const mi = await get('/match/900~gone-final/info');
+    assert.deepEqual(mi.body.data, info);
+
+    // Nothing archived: the live error comes through
+    const missing = await get('/match/901~never-seen/scorecard');
+    assert.equal(missing.code, 500);
+    assert.match(missing.body.message, /No recorded Cricbuzz page/);
+
+    const list = await get('/archive?format=odi&limit=-1');
+    assert.equal(list.body.total, 3);
+    assert.equal(list.body.data.length, 1);
+  } finally {
+    server.close();
+  }
+});
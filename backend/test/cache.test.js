@@ -0,0 +1,131 @@
+/**
+ * Cache: stale-while-revalidate, request coalescing, LRU / memory eviction
+ * and per-prefix stats.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Cache } = require('../src/cache');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// A loader that counts calls and resolves when told to
+function deferredLoader() {
+  const loader = () => {
+    loader.calls++;
+    return new Promise((resolve, reject) => { loader.resolve = resolve; loader.reject = reject; });
+  };
+  loader.calls = 0;
+  return loader;
+}
+
+test('concurrent misses for one key share a single load', async () => {
+  const cache  = new Cache();
+  const loader = deferredLoader();
+  const refresher = () => cache.refresh('scorecard:1', loader, 30);
+
+  const pending = Array.from({ length: 20 }, () => cache.getOrFetch('scorecard:1', refresher));
+  await tick();
+  assert.equal(loader.calls, 1);
+
+  loader.resolve({ total: 183 });
+  const results = await Promise.all(pending);
+  assert.ok(results.every(r => r.value.total === 183 && !r.stale));
+
+  const s = cache.stats().prefixes.scorecard;
+  assert.equal(s.misses, 20);
+  assert.equal(s.refreshes, 1);
+  assert.equal(s.coalesced, 19);
+  assert.equal(cache.stats().inflight, 0);
+});
+
+test('an expired entry is served stale while one refresh runs', async () => {
+  const cache = new Cache();
+  cache.set('currentMatches', 'old', 30);
+  cache.peek('currentMatches').expiresAt = Date.now() - 1000;
+  assert.equal(cache.get('currentMatches'), null);
+
+  const loader = deferredLoader();
+  const refresher = () => cache.refresh('currentMatches', loader, 30);
+
+  const first  = await cache.getOrFetch('currentMatches', refresher);
+  const second = await cache.getOrFetch('currentMatches', refresher);
+  assert.deepEqual([first.value, first.stale, second.value, second.stale], ['old', true, 'old', true]);
+  await tick();
+  assert.equal(loader.calls, 1);
+
+  loader.resolve('new');
+  await tick();
+  const third = await cache.getOrFetch('currentMatches', refresher);
+  assert.deepEqual([third.value, third.stale], ['new', false]);
+
+  const s = cache.stats().prefixes.currentMatches;
+  assert.deepEqual([s.hits, s.stale, s.misses, s.refreshes, s.coalesced], [1, 2, 0, 1, 1]);
+});
+
+test('a failed background refresh keeps the stale value', async () => {
+  const cache = new Cache();
+  cache.set('matchinfo:1', { venue: "Lord's" }, 60);
+  cache.peek('matchinfo:1').expiresAt = Date.now() - 1000;
+
+  const refresher = () => cache.refresh('matchinfo:1', async () => { throw new Error('upstream down'); }, 60);
+  const { value, stale } = await cache.getOrFetch('matchinfo:1', refresher);
+  await tick();
+  assert.equal(value.venue, "Lord's");
+  assert.equal(stale, true);
+  assert.equal(cache.peek('matchinfo:1').value.venue, "Lord's");
+  assert.equal(cache.stats().prefixes.matchinfo.errors, 1);
+});
+
+test('entries stale for longer than maxStale are a miss', async () => {
+  const cache = new Cache({ maxStaleMs: 60 * 1000 });
+  cache.set('scorecard:1', 'ancient', 30);
+  cache.peek('scorecard:1').expiresAt = Date.now() - 2 * 60 * 1000;
+
+  await assert.rejects(
+    cache.getOrFetch('scorecard:1', () => cache.refresh('scorecard:1', async () => { throw new Error('down'); }, 30)),
+    /down/);
+  assert.equal(cache.stats().prefixes.scorecard.misses, 1);
+});
+
+test('least recently used entries are evicted past the entry limit', () => {
+  const cache = new Cache({ maxEntries: 3 });
+  cache.set('scorecard:1', 1, 30);
+  cache.set('scorecard:2', 2, 30);
+  cache.set('scorecard:3', 3, 30);
+  cache.get('scorecard:1');            // 2 is now the least recently used
+  cache.set('scorecard:4', 4, 30);
+
+  assert.deepEqual([...cache.store.keys()], ['scorecard:3', 'scorecard:1', 'scorecard:4']);
+  assert.equal(cache.stats().prefixes.scorecard.evictions, 1);
+});
+
+test('the memory budget evicts old entries but keeps the newest', () => {
+  const cache = new Cache({ maxBytes: 250 });
+  const blob  = 'x'.repeat(100);
+  cache.set('commentary:1:latest', blob, 15);
+  cache.set('commentary:2:latest', blob, 15);
+  cache.set('commentary:3:latest', blob, 15);
+  assert.deepEqual([...cache.store.keys()], ['commentary:2:latest', 'commentary:3:latest']);
+  assert.ok(cache.stats().bytes <= 250);
+
+  // A single value over budget still gets stored
+  cache.set('scorecard:big', 'y'.repeat(500), 30);
+  assert.deepEqual([...cache.store.keys()], ['scorecard:big']);
+  assert.equal(cache.stats().bytes, 502);
+});
+
+test('stats break entries and bytes down by key prefix', () => {
+  const cache = new Cache();
+  cache.set('scorecard:1', { a: 1 }, 30);
+  cache.set('scorecard:2', { a: 2 }, 30);
+  cache.set('matchinfo:1', {}, 60);
+  cache.delete('scorecard:2');
+
+  const s = cache.stats();
+  assert.equal(s.total, 2);
+  assert.equal(s.active, 2);
+  assert.deepEqual(s.prefixes.scorecard, { entries: 1, bytes: 7 });
+  assert.equal(s.bytes, 9);
+});
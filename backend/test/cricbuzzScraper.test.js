@@ -0,0 +1,368 @@
+/**
+ * Cricbuzz scraper against hand-built fixture pages (test/fixtures/cricbuzz,
+ * in the record-mode layout), served by the scraper's replay mode — no
+ * network access.
+ *
+ * Fixtures: live T20I (India v Australia), completed four-innings Test
+ * (England v New Zealand), abandoned ODI (South Africa v Pakistan) and a
+ * women's ODI at the innings break (Australia Women v India Women). Two IPL
+ * scorecard pages are only used for squads: one at the innings break with
+ * both impact players in, one upcoming with just the squads.
+ */
+
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.CRICBUZZ_MODE = 'replay';
+process.env.CRICBUZZ_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'cricbuzz');
+
+const cricbuzz = require('../src/cricbuzzScraper');
+
+const T20   = '100231~ind-vs-aus-2nd-t20i-australia-tour-of-india-2025';
+const TEST  = '100198~eng-vs-nz-1st-test-new-zealand-tour-of-england-2025';
+const ABD   = '100250~rsa-vs-pak-3rd-odi-pakistan-tour-of-south-africa-2025';
+const WODI  = '100277~ausw-vs-indw-1st-odi-india-women-tour-of-australia-2026';
+const IPL   = '100340~mi-vs-csk-12th-match-indian-premier-league-2026';
+const NEXT  = '100347~rcb-vs-kkr-18th-match-indian-premier-league-2026';
+
+async function matchById(id) {
+  const { data } = await cricbuzz.getMatches();
+  return data.find(m => m.id === id);
+}
+
+// ── Match list (RSC stream) ─────────────────────────────────────────────────
+test('match list: every match is extracted with its slug', async () => {
+  const { data } = await cricbuzz.getMatches();
+  assert.deepEqual(data.map(m => m.id), [T20, TEST, ABD, WODI]);
+});
+
+test('match list: live T20I', async () => {
+  const m = await matchById(T20);
+  assert.equal(m.name, 'Australia tour of India, 2025 – 2nd T20I');
+  assert.deepEqual(m.series, { id: '9031', name: 'Australia tour of India, 2025' });
+  assert.equal(m.matchDesc, '2nd T20I');
+  assert.equal(m.matchType, 't20');
+  assert.equal(m.dateTimeGMT, '2025-10-31T13:30:00.000Z');
+  assert.equal(m.matchStarted, true);
+  assert.equal(m.matchEnded, false);
+  assert.equal(m.paused, false);
+  assert.deepEqual(m.teams, ['India', 'Australia']);
+  assert.equal(m.teamInfo[1].shortname, 'AUS');
+  assert.match(m.teamInfo[0].img, /c719031\/team\.jpg$/);
+  assert.deepEqual(m.score, [
+    { inning: 'India Inning 1', r: 183, w: 6, o: 19.6 },
+    { inning: 'Australia Inning 1', r: 97, w: 3, o: 11.2 },
+  ]);
+});
+
+test('match list: Test innings come back in batting order', async () => {
+  const m = await matchById(TEST);
+  assert.equal(m.matchType, 'test');
+  assert.equal(m.matchEnded, true);
+  assert.deepEqual(m.score.map(s => `${s.inning} ${s.r}/${s.w}`), [
+    'England Inning 1 325/10',
+    'New Zealand Inning 1 290/10',
+    'England Inning 2 210/10',
+    'New Zealand Inning 2 246/6',
+  ]);
+});
+
+test('match list: abandoned match has ended without a score', async () => {
+  const m = await matchById(ABD);
+  assert.equal(m.state, 'Abandon');
+  assert.equal(m.matchEnded, true);
+  assert.equal(m.status, 'Match abandoned due to rain');
+  assert.deepEqual(m.score, []);
+});
+
+test("match list: women's ODI at the innings break is live but paused", async () => {
+  const m = await matchById(WODI);
+  assert.equal(m.matchType, 'odi');
+  assert.deepEqual(m.teams, ['Australia Women', 'India Women']);
+  assert.equal(m.matchStarted, true);
+  assert.equal(m.matchEnded, false);
+  assert.equal(m.paused, true);
+  assert.equal(m.score.length, 1);
+});
+
+test('current matches keep live and finished matches', async () => {
+  const { data } = await cricbuzz.getCurrentMatches();
+  assert.equal(data.length, 4);
+});
+
+test('match list sections become category / gender hints', async () => {
+  const { data } = await cricbuzz.getCurrentMatches();
+  const byId = Object.fromEntries(data.map(m => [m.id.split('~')[0], m]));
+  assert.equal(byId[T20.split('~')[0]].category, 'international');
+  assert.equal(byId[T20.split('~')[0]].gender, undefined);
+  assert.equal(byId[WODI.split('~')[0]].gender, 'womens');
+  assert.equal(byId[WODI.split('~')[0]].category, undefined);
+});
+
+// ── Scorecard ───────────────────────────────────────────────────────────────
+test('scorecard: live T20I batting, bowling, extras and totals', async () => {
+  const { data } = await cricbuzz.getScorecard(T20);
+  const [ind, aus] = data.scorecard;
+
+  assert.equal(ind.inning, 'India Inning 1');
+  assert.equal(ind.batting.length, 8);
+  assert.deepEqual(ind.batting[0], {
+    batsman: { name: 'Abhishek Sharma' },
+    'dismissal-text': 'c Inglis b Hazlewood',
+    r: 38, b: 21, '4s': 4, '6s': 2, sr: 180.95,
+  });
+  assert.equal(ind.batting[6]['dismissal-text'], 'not out');
+  assert.deepEqual(ind.extras, { b: 0, lb: 2, w: 3, nb: 1, p: 0 });
+  assert.deepEqual(ind.total, { r: 183, w: 6, o: '20' });
+  assert.deepEqual(ind.bowling[3], { bowler: { name: 'Adam Zampa' }, o: 4, m: 0, r: 29, w: 2, nb: 0, wd: 0 });
+
+  // Innings in progress: batters at the crease are "batting"
+  assert.equal(aus.inning, 'Australia Inning 1');
+  assert.deepEqual(aus.total, { r: 97, w: 3, o: '11.2' });
+  assert.deepEqual(aus.batting.filter(b => b['dismissal-text'] === 'batting').map(b => b.batsman.name),
+    ['Tim David', 'Marcus Stoinis']);
+  assert.equal(aus.bowling.find(b => b.bowler.name === 'Axar Patel').o, 2.2);
+});
+
+test('scorecard: fall of wickets, partnerships and did not bat', async () => {
+  const { data } = await cricbuzz.getScorecard(T20);
+  const [ind, aus] = data.scorecard;
+
+  assert.equal(ind.fow.length, 6);
+  assert.deepEqual(ind.fow[0], { wicket: 1, score: 52, over: 5.1, batsman: { name: 'Abhishek Sharma' } });
+  assert.deepEqual(ind.fow[5], { wicket: 6, score: 171, over: 18.4, batsman: { name: 'Sanju Samson' } });
+
+  assert.equal(ind.partnerships.length, 7);
+  assert.deepEqual(ind.partnerships[3], {
+    wicket: 4, runs: 42, balls: 24, unbroken: false,
+    batsmen: [{ name: 'Suryakumar Yadav', r: 28, b: 16 }, { name: 'Hardik Pandya', r: 14, b: 8 }],
+  });
+  assert.deepEqual(ind.partnerships.filter(p => p.unbroken).map(p => p.wicket), [7]);
+  assert.equal(ind.partnerships.reduce((n, p) => n + p.runs, 0), 183);
+
+  assert.deepEqual(ind.didNotBat.map(p => p.name), ['Arshdeep Singh', 'Varun Chakaravarthy', 'Jasprit Bumrah']);
+  // In progress the section is "Yet to Bat"
+  assert.equal(aus.didNotBat.length, 6);
+  assert.equal(aus.partnerships.at(-1).unbroken, true);
+});
+
+test('scorecard: four-innings Test', async () => {
+  const { data } = await cricbuzz.getScorecard(TEST);
+  assert.deepEqual(data.scorecard.map(i => i.inning), [
+    'England Inning 1', 'New Zealand Inning 1', 'England Inning 2', 'New Zealand Inning 2',
+  ]);
+  assert.deepEqual(data.scorecard.map(i => i.total), [
+    { r: 325, w: 10, o: '88.3' },
+    { r: 290, w: 10, o: '80.1' },
+    { r: 210, w: 10, o: '60' },
+    { r: 246, w: 6, o: '70.4' },
+  ]);
+
+  const [eng1, , , nz2] = data.scorecard;
+  assert.equal(eng1.batting.length, 11);
+  assert.equal(eng1.batting[5].batsman.name, 'Ben Stokes (c)');
+  assert.equal(eng1.batting[3].r, 104);
+  assert.equal(eng1.bowling.reduce((n, b) => n + b.w, 0), 10);
+  assert.equal(nz2.batting.length, 8);
+  assert.equal(nz2.batting.filter(b => b['dismissal-text'] === 'not out').length, 2);
+  // Older page without the extra sections
+  assert.deepEqual([nz2.fow, nz2.partnerships, nz2.didNotBat], [[], [], []]);
+});
+
+test('scorecard: abandoned match has no innings', async () => {
+  const { data } = await cricbuzz.getScorecard(ABD);
+  assert.deepEqual(data.scorecard, []);
+});
+
+test("scorecard: women's ODI uses the long team name", async () => {
+  const { data } = await cricbuzz.getScorecard(WODI);
+  assert.equal(data.scorecard.length, 1);
+  assert.equal(data.scorecard[0].inning, 'Australia Women Inning 1');
+  assert.equal(data.scorecard[0].batting[1].batsman.name, 'Alyssa Healy (c)(wk)');
+  assert.deepEqual(data.scorecard[0].total, { r: 265, w: 8, o: '50' });
+  // Fall of wickets without a partnerships section
+  assert.equal(data.scorecard[0].fow.length, 8);
+  assert.deepEqual(data.scorecard[0].partnerships, []);
+  assert.deepEqual(data.scorecard[0].didNotBat, [{ name: 'Darcie Brown' }]);
+});
+
+// ── Match info ──────────────────────────────────────────────────────────────
+test('match info: toss, venue, officials and schema fields', async () => {
+  const { data } = await cricbuzz.getMatchInfo(T20);
+  assert.equal(data.id, T20);
+  assert.deepEqual(data.teams, ['India', 'Australia']);
+  assert.equal(data.matchType, 't20i');
+  assert.equal(data.seriesName, 'Australia tour of India, 2025');
+  assert.equal(data.venue, 'Wankhede Stadium, Mumbai');
+  assert.equal(data.dateTimeGMT, '2025-10-31T13:30:00+00:00');
+  assert.equal(data.tossWinner, 'Australia');
+  assert.equal(data.tossChoice, 'bowl');
+  assert.equal(data.umpires, 'Nitin Menon, Anil Chaudhary, Rohan Pandit');
+  assert.equal(data.matchReferee, 'Javagal Srinath');
+  assert.deepEqual(data.score[1], { inning: 'Australia Inning 1', r: 97, w: 3, o: '11.2' });
+});
+
+test('match info: Test lists each innings once per header', async () => {
+  const { data } = await cricbuzz.getMatchInfo(TEST);
+  assert.equal(data.matchType, 'test');
+  assert.deepEqual(data.teams, ['England', 'New Zealand']);
+  assert.equal(data.score.length, 4);
+  assert.equal(data.venue, "Lord's, London");
+});
+
+test('match info: teams come from the schema when nobody has batted', async () => {
+  const { data } = await cricbuzz.getMatchInfo(ABD);
+  assert.deepEqual(data.teams, ['South Africa', 'Pakistan']);
+  assert.deepEqual(data.score, []);
+  assert.equal(data.tossWinner, '');
+  assert.equal(data.matchType, 'odi');
+});
+
+test("match info: women's ODI fills the side yet to bat from the schema", async () => {
+  const { data } = await cricbuzz.getMatchInfo(WODI);
+  assert.deepEqual(data.teams, ['Australia Women', 'India Women']);
+  assert.deepEqual(data.teamInfo.map(t => t.shortname), ['AUSW', '']);
+  assert.equal(data.tossWinner, 'India Women');
+});
+
+// ── Squads ──────────────────────────────────────────────────────────────────
+test('squads: playing XIs in batting order with captain, keeper and bench', async () => {
+  const { data } = await cricbuzz.getSquads(T20);
+  assert.deepEqual(data.teams, ['India', 'Australia']);
+  const [india, australia] = data.squads;
+
+  assert.equal(india.announced, true);
+  assert.equal(india.battingOrder, 'scorecard');
+  assert.deepEqual(india.playing.slice(0, 3).map(p => [p.battingPosition, p.name]),
+    [[1, 'Abhishek Sharma'], [2, 'Shubman Gill'], [3, 'Suryakumar Yadav']]);
+  assert.deepEqual(india.playing[2], {
+    name: 'Suryakumar Yadav', profileId: '85951', captain: true, keeper: false,
+    substitute: null, replaces: null, battingPosition: 3,
+  });
+  assert.equal(india.playing.find(p => p.name === 'Sanju Samson').keeper, true);
+  assert.equal(india.playing.length, 11);
+  assert.deepEqual(india.bench.map(p => p.name), ['Kuldeep Yadav', 'Rinku Singh', 'Washington Sundar', 'Harshit Rana']);
+  assert.deepEqual(india.squad, []);
+
+  // Yet-to-bat players are numbered from the scorecard too; the concussion
+  // substitute hasn't batted and goes last
+  assert.equal(australia.playing.length, 12);
+  assert.deepEqual(australia.playing[11], {
+    name: 'Mahli Beardman', profileId: '90416', captain: false, keeper: false,
+    substitute: 'concussion', replaces: 'Josh Hazlewood', battingPosition: null,
+  });
+  assert.equal(australia.playing.find(p => p.name === 'Josh Inglis').battingPosition, 3);
+});
+
+test('squads: announced squads before an XI, or nothing at all', async () => {
+  const { data } = await cricbuzz.getSquads(ABD);
+  const [rsa, pak] = data.squads;
+  assert.equal(rsa.announced, true);
+  assert.equal(rsa.battingOrder, null);
+  assert.deepEqual(rsa.playing, []);
+  // Plain text when the names aren't links
+  assert.equal(rsa.squad.length, 12);
+  assert.deepEqual(rsa.squad[1], {
+    name: 'Quinton de Kock', profileId: null, captain: false, keeper: true, substitute: null, replaces: null,
+  });
+  assert.deepEqual([pak.squad[0].name, pak.squad[0].captain, pak.squad[0].keeper], ['Mohammad Rizwan', true, true]);
+
+  const { data: test } = await cricbuzz.getSquads(TEST);
+  assert.deepEqual(test.squads.map(s => [s.team, s.announced]), [['England', false], ['New Zealand', false]]);
+});
+
+test('squads: impact players join the XI, numbered once their side has batted', async () => {
+  const { data } = await cricbuzz.getSquads(IPL);
+  const [mi, csk] = data.squads;
+
+  // Bumrah came in for Rohit after Mumbai batted: Rohit keeps his place
+  assert.equal(mi.battingOrder, 'scorecard');
+  assert.equal(mi.playing.length, 12);
+  assert.deepEqual(mi.playing.slice(0, 2).map(p => [p.battingPosition, p.name, p.keeper]),
+    [[1, 'Rohit Sharma', false], [2, 'Ryan Rickelton', true]]);
+  assert.equal(mi.playing.at(-2).name, 'Karn Sharma');
+  const { profileId, ...bumrah } = mi.playing.at(-1);
+  assert.match(profileId, /^\d+$/);
+  assert.deepEqual(bumrah, {
+    name: 'Jasprit Bumrah', captain: false, keeper: false,
+    substitute: 'impact', replaces: 'Rohit Sharma', battingPosition: null,
+  });
+  assert.equal(mi.playing.find(p => p.captain).name, 'Hardik Pandya');
+  assert.equal(mi.bench.length, 4);
+
+  // Chennai haven't batted: listed order, the impact player unnumbered
+  assert.equal(csk.battingOrder, 'listed');
+  assert.deepEqual(csk.playing.map(p => p.battingPosition), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, null]);
+  assert.deepEqual([csk.playing[5].name, csk.playing[5].keeper], ['MS Dhoni', true]);
+  assert.deepEqual([csk.playing[11].name, csk.playing[11].substitute, csk.playing[11].replaces],
+    ['Shivam Dube', 'impact', 'Matheesha Pathirana']);
+});
+
+test('squads: an upcoming match before the XIs are named', async () => {
+  const { data } = await cricbuzz.getSquads(NEXT);
+  assert.deepEqual(data.teams, ['Royal Challengers Bengaluru', 'Kolkata Knight Riders']);
+  for (const s of data.squads) {
+    assert.equal(s.announced, true);
+    assert.equal(s.battingOrder, null);
+    assert.deepEqual([s.playing, s.bench], [[], []]);
+    assert.equal(s.squad.length, 12);
+  }
+  const [rcb, kkr] = data.squads;
+  assert.deepEqual(rcb.squad.filter(p => p.keeper).map(p => p.name), ['Phil Salt', 'Jitesh Sharma']);
+  assert.deepEqual([kkr.squad[0].name, kkr.squad[0].captain], ['Ajinkya Rahane', true]);
+});
+
+// ── Commentary ──────────────────────────────────────────────────────────────
+test('commentary: latest balls from the live page', async () => {
+  const { data } = await cricbuzz.getCommentary(T20);
+  // The strategic-timeout note has no ball number and is skipped
+  assert.equal(data.balls.length, 6);
+  assert.deepEqual(data.balls.map(b => [b.over, b.runs, b.extras, b.wicket]), [
+    ['11.2', 0, null, false],
+    ['11.1', 1, null, false],
+    ['10.6', 6, null, false],
+    ['10.5', 1, 'legbye', false],
+    ['10.4', 1, 'wide', false],
+    ['10.4', 0, null, true],
+  ]);
+  // commentaryFormats placeholders are filled in
+  assert.equal(data.balls[2].bowler, 'Varun Chakaravarthy');
+  assert.equal(data.nextCursor, '2:1761926220000');
+  // End-of-over summary for the 11th over
+  assert.deepEqual(data.overs, [{ over: 11, innings: 2, runs: 19, score: 96, wickets: 3, summary: '5 2 4 W 1Wd 1Lb 6' }]);
+});
+
+test('commentary: older balls via the pagination cursor', async () => {
+  const { data } = await cricbuzz.getCommentary(T20, '2:1761926220000');
+  assert.deepEqual(data.balls.map(b => [b.over, b.runs, b.extras]), [
+    ['10.3', 4, null],
+    ['10.2', 2, null],
+    ['10.1', 5, 'noball'],
+  ]);
+});
+
+test('commentary: a cursor may not start past the innings in play', async () => {
+  for (const cursor of ['999999:1', '6:1761926220000', '2:abc', '2:', '2:1:3']) {
+    await assert.rejects(cricbuzz.getCommentary(T20, cursor), /^Error: Invalid commentary cursor/, cursor);
+  }
+  // The live T20I is in its second innings
+  await assert.rejects(cricbuzz.getCommentary(T20, '3:1761926220000'), /innings 3 hasn't started/);
+});
+
+// ── Parse quality ───────────────────────────────────────────────────────────
+test('every fixture passes the parse-quality invariants', async () => {
+  const { data } = await cricbuzz.getMatches();
+  for (const m of data) {
+    assert.deepEqual(m.dataQuality, { ok: true, issues: [] }, `list ${m.id}`);
+    const sc   = await cricbuzz.getScorecard(m.id);
+    const info = await cricbuzz.getMatchInfo(m.id);
+    assert.deepEqual(sc.data.dataQuality, { ok: true, issues: [] }, `scorecard ${m.id}`);
+    assert.deepEqual(info.data.dataQuality, { ok: true, issues: [] }, `info ${m.id}`);
+  }
+});
+
+// ── Replay mode ─────────────────────────────────────────────────────────────
+test('replay mode fails loudly for a page that was never recorded', async () => {
+  await assert.rejects(cricbuzz.getScorecard('999~not-recorded'), /No recorded Cricbuzz page/);
+});
@@ -0,0 +1,80 @@
+/**
+ * Parse-quality invariants and degraded-state reporting
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const quality = require('../src/dataQuality');
+
+function innings(overrides = {}) {
+  return {
+    inning: 'India Inning 1',
+    batting: [
+      { batsman: { name: 'A' }, 'dismissal-text': 'c X b Y', r: 40 },
+      { batsman: { name: 'B' }, 'dismissal-text': 'run out (Z)', r: 25 },
+      { batsman: { name: 'C' }, 'dismissal-text': 'not out', r: 30 },
+    ],
+    bowling: [{ bowler: { name: 'Y' }, w: 1 }, { bowler: { name: 'W' }, w: 0 }],
+    extras: { b: 1, lb: 2, w: 1, nb: 1, p: 0 },
+    total: { r: 100, w: 2, o: '15' },
+    ...overrides,
+  };
+}
+
+test('a consistent scorecard has no issues', () => {
+  assert.deepEqual(quality.checkScorecard([innings()]), []);
+});
+
+test('batting + extras must add up to the total', () => {
+  const issues = quality.checkScorecard([innings({ total: { r: 110, w: 2, o: '15' } })]);
+  assert.deepEqual(issues, ['India Inning 1: batting 95 + extras 5 ≠ total 110']);
+});
+
+test('bowling wickets must match dismissals credited to a bowler', () => {
+  const issues = quality.checkScorecard([innings({ bowling: [{ bowler: { name: 'Y' }, w: 2 }] })]);
+  assert.deepEqual(issues, ['India Inning 1: bowlers took 2 wickets, dismissals credit 1']);
+});
+
+test('falls of wicket and partnerships must agree with the total', () => {
+  const fow = [{ wicket: 1, score: 50 }, { wicket: 2, score: 70 }];
+  const partnerships = [{ runs: 50 }, { runs: 20 }, { runs: 30 }];
+  assert.deepEqual(quality.checkScorecard([innings({ fow, partnerships })]), []);
+  assert.deepEqual(quality.checkScorecard([innings({ fow: fow.slice(0, 1), partnerships: partnerships.slice(0, 2) })]), [
+    'India Inning 1: 1 falls of wicket but total shows 2 wickets',
+    'India Inning 1: partnerships add up to 70, total 100',
+  ]);
+});
+
+test('markup drift: empty batting, missing total, headers without innings', () => {
+  assert.deepEqual(quality.checkScorecard([innings({ batting: [] })]),
+    ['India Inning 1: total 100 but no batters']);
+  assert.deepEqual(quality.checkScorecard([innings({ total: null })]), ['India Inning 1: no total']);
+  assert.deepEqual(quality.checkScorecard([], { headers: 2 }), ['2 innings header(s) but no innings parsed']);
+  assert.deepEqual(quality.checkScorecard([], { headers: 0 }), []);
+});
+
+test('match info needs two teams and the key facts', () => {
+  const good = { teams: ['A', 'B'], venue: 'V', dateTimeGMT: '2025-01-01T00:00:00Z', matchType: 'odi',
+                 score: [{ r: 1 }], tossWinner: 'A' };
+  assert.deepEqual(quality.checkMatchInfo(good), []);
+  assert.deepEqual(quality.checkMatchInfo({ ...good, teams: ['A'], venue: '', tossWinner: '' }),
+    ['1 teams', 'no venue', 'match has a score but no toss']);
+});
+
+test('a parser is degraded once enough recent matches fail', () => {
+  quality.record('testParser', 'm1', []);
+  quality.record('testParser', 'm2', ['no venue']);
+  assert.equal(quality.status().parsers.testParser.degraded, false);
+
+  quality.record('testParser', 'm3', ['no venue']);
+  const s = quality.status();
+  assert.equal(s.degraded, true);
+  assert.equal(s.parsers.testParser.failingMatches, 2);
+  assert.deepEqual(s.parsers.testParser.examples.map(e => e.matchId), ['m3', 'm2']);
+
+  // Only the latest result per match counts
+  quality.record('testParser', 'm2', []);
+  quality.record('testParser', 'm3', []);
+  assert.equal(quality.status().parsers.testParser.degraded, false);
+});
@@ -0,0 +1,88 @@
+/**
+ * DLS targets and par scores, worked by hand from the Standard Edition table.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const dls = require('../src/dls');
+
+test('the resource table is the published one, interpolated within an over', () => {
+  const table = dls.table();
+  assert.equal(table.length, 51);
+  assert.deepEqual(table[0], { oversLeft: 50, resources: [100, 93.4, 85.1, 74.9, 62.7, 49, 34.9, 22, 11.9, 4.7] });
+  assert.deepEqual(table[27].resources, [62.7, 60.4, 57.4, 53.4, 48, 40.9, 32, 21.5, 11.9, 4.7]);
+  assert.deepEqual(table[50].resources, new Array(10).fill(0));
+
+  // T20 reads the same rows from 20 overs down
+  assert.deepEqual(dls.table(20)[0], { oversLeft: 20, resources: [56.6, 54.8, 52.4, 49.1, 44.6, 38.6, 30.8, 21.2, 11.9, 4.7] });
+
+  assert.equal(dls.resource(10, 9), 4.7);
+  assert.equal(+dls.resource(22.5, 0).toFixed(2), 61.7);
+  // 26.4 overs left at 2 down: between 26 (62.0) and 27 (63.4)
+  assert.equal(+dls.resource(dls.toOvers('26.4'), 2).toFixed(2), 62.93);
+  assert.equal(dls.resource(0, 0), 0);
+  assert.equal(dls.resource(20, 10), 0);
+});
+
+test('ODI: a chase shortened before it starts', () => {
+  // 250 in 50 overs; 40 overs for the chase: 250 × 89.3 / 100 = 223.25
+  const r = dls.calculate({ format: 'odi', first: { runs: 250 }, second: { overs: 40 } });
+  assert.equal(r.first.resources, 100);
+  assert.equal(r.second.resources, 89.3);
+  assert.equal(r.target, 224);
+});
+
+test('ODI: a chase interrupted, with the par at the stoppage and now', () => {
+  // 30 overs left at 2 down (67.3%) → 20 left (52.4%): 14.9% lost, 85.1% left
+  // Target 250 × 0.851 = 212.75; par at the stop 250 × (100 − 67.3)% = 81.75
+  const r = dls.calculate({
+    format: 'odi',
+    first:  { runs: 250 },
+    second: { interruptions: [{ at: '20', wickets: 2, lost: 10 }], at: '30', wickets: 4 },
+  });
+  assert.deepEqual(r.second.interruptions, [{ at: '20', wickets: 2, oversLost: 10, oversRemaining: 20, resourcesLost: 14.9 }]);
+  assert.equal(r.second.overs, 40);
+  assert.equal(r.second.resources, 85.1);
+  assert.equal(r.target, 213);
+  assert.deepEqual(r.parScores, [{ at: '20', wickets: 2, par: 81 }]);
+  // 10 overs left at 4 down (28.3%): 85.1 − 28.3 = 56.8% used, 250 × 0.568 = 142
+  assert.equal(r.par, 142);
+});
+
+test('ODI: a first innings cut short uses G50 for the extra resources', () => {
+  // Stopped for good after 30 overs at 3 down: 100 − 49.1 = 50.9% used.
+  // A 30-over chase has 75.1%: 180 + 245 × 24.2 / 100 = 239.29
+  const r = dls.calculate({
+    format: 'odi',
+    first:  { runs: 180, interruptions: [{ at: '30', wickets: 3, lost: 20 }] },
+    second: { overs: 30 },
+  });
+  assert.equal(r.first.overs, 30);
+  assert.equal(r.first.resources, 50.9);
+  assert.equal(r.second.resources, 75.1);
+  assert.equal(r.target, 240);
+});
+
+test('T20: shortened and interrupted chases', () => {
+  // 10-over chase: 160 × 32.1 / 56.6 = 90.74
+  assert.equal(dls.calculate({ format: 't20', first: { runs: 160 }, second: { overs: 10 } }).target, 91);
+
+  // 12 overs left at 1 down (36.8%) → 7 left (23.1%): 13.7% lost, 42.9% left.
+  // Target 160 × 42.9 / 56.6 = 121.27; par at the stop 160 × 19.8 / 56.6 = 55.97
+  const r = dls.calculate({
+    format: 't20',
+    first:  { runs: 160 },
+    second: { interruptions: [{ at: '8', wickets: 1, lost: 5 }] },
+  });
+  assert.equal(r.first.resources, 56.6);
+  assert.equal(r.second.overs, 15);
+  assert.equal(r.second.resources, 42.9);
+  assert.equal(r.target, 122);
+  assert.deepEqual(r.parScores, [{ at: '8', wickets: 1, par: 55 }]);
+});
+
+test('bad input is rejected', () => {
+  assert.throws(() => dls.calculate({ format: 'test', first: { runs: 200 } }), /Unsupported format/);
+  assert.throws(() => dls.calculate({ format: 'odi', first: {} }), /first\.runs/);
+});
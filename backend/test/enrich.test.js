@@ -0,0 +1,80 @@
+/**
+ * Match enrichment (category, gender, format, age group) and the
+ * /api/matches query filters built on it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { enrich } = require('../src/enrich');
+const { query } = require('../src/matchQuery');
+
+function match(name, teams, matchType, state = {}) {
+  return { id: name, name, teams, matchType, dateTimeGMT: '2025-01-01T00:00:00Z', ...state };
+}
+
+const pick = (m, ...keys) => Object.fromEntries(keys.map(k => [k, m[k]]));
+const FIELDS = ['category', 'gender', 'format', 'ageGroup'];
+
+test('international, domestic, women\'s and age-group matches', () => {
+  assert.deepEqual(pick(enrich(match('Australia tour of India, 2nd T20I', ['India', 'Australia'], 't20')), ...FIELDS),
+    { category: 'international', gender: 'mens', format: 't20', ageGroup: 'senior' });
+  assert.deepEqual(pick(enrich(match('Indian Premier League 2025, 12th Match', ['Mumbai Indians', 'Chennai Super Kings'], 't20')), ...FIELDS),
+    { category: 'domestic', gender: 'mens', format: 't20', ageGroup: 'senior' });
+  assert.deepEqual(pick(enrich(match('India Women tour of Australia, 1st ODI', ['Australia Women', 'India Women'], 'odi')), ...FIELDS),
+    { category: 'international', gender: 'womens', format: 'odi', ageGroup: 'senior' });
+  assert.deepEqual(pick(enrich(match('ICC Under-19 World Cup, Final', ['India U19', 'Australia U19'], 'odi')), ...FIELDS),
+    { category: 'international', gender: 'mens', format: 'odi', ageGroup: 'u19' });
+
+  // A-teams are domestic; "South Africa" is not mistaken for one
+  assert.equal(enrich(match('India A tour of England, 1st unofficial Test', ['England Lions', 'India A'], 'test')).category, 'domestic');
+  assert.equal(enrich(match('Warm-up', ['South Africa', 'Pakistan'], '')).category, 'international');
+});
+
+test('format falls back to the match name; provider fields win', () => {
+  assert.equal(enrich(match('The Hundred Men\'s Competition, 3rd Match', ['Oval Invincibles', 'London Spirit'], '')).format, 'hundred');
+  assert.equal(enrich(match('Abu Dhabi T10, Match 4', ['Team Abu Dhabi', 'Deccan Gladiators'], '')).format, 't10');
+  assert.equal(enrich(match('Exhibition', ['X', 'Y'], '')).format, 'other');
+
+  const hinted = enrich({ ...match('Women\'s Big Bash League', ['Sydney Sixers', 'Perth Scorchers'], 't20'), gender: 'womens' });
+  assert.equal(hinted.gender, 'womens');
+  assert.equal(hinted.category, 'domestic');
+});
+
+const LIST = [
+  match('Australia tour of India, 2nd T20I', ['India', 'Australia'], 't20',
+    { matchStarted: true, matchEnded: false, series: { id: '9031', name: 'Australia tour of India, 2025' },
+      teamInfo: [{ name: 'India', shortname: 'IND' }, { name: 'Australia', shortname: 'AUS' }] }),
+  match('New Zealand tour of England, 1st Test', ['England', 'New Zealand'], 'test',
+    { matchStarted: true, matchEnded: true, dateTimeGMT: '2025-06-04T10:00:00Z' }),
+  match('India Women tour of Australia, 1st ODI', ['Australia Women', 'India Women'], 'odi',
+    { matchStarted: true, matchEnded: false, dateTimeGMT: '2026-02-24T03:00:00Z' }),
+  match('Indian Premier League 2026, 1st Match', ['Mumbai Indians', 'Chennai Super Kings'], 't20',
+    { matchStarted: false, matchEnded: false, dateTimeGMT: '2026-03-20T14:00:00Z' }),
+].map(enrich);
+
+const ids = r => r.data.map(m => m.id);
+
+test('query filters combine and accept lists', () => {
+  assert.deepEqual(ids(query(LIST, { status: 'live' })), [LIST[0].id, LIST[2].id]);
+  assert.deepEqual(ids(query(LIST, { status: 'live', gender: 'womens' })), [LIST[2].id]);
+  assert.deepEqual(ids(query(LIST, { format: 't20,odi', category: 'international' })), [LIST[0].id, LIST[2].id]);
+  assert.deepEqual(ids(query(LIST, { team: 'india' })), [LIST[0].id, LIST[2].id]);
+  assert.deepEqual(ids(query(LIST, { team: 'IND' })), [LIST[0].id]);
+  assert.deepEqual(ids(query(LIST, { series: '9031' })), [LIST[0].id]);
+  assert.deepEqual(ids(query(LIST, { series: 'premier league' })), [LIST[3].id]);
+  assert.equal(query(LIST, {}).total, 4);
+});
+
+test('query sorting, pagination and bad values', () => {
+  assert.deepEqual(ids(query(LIST, { sort: '-date' })), [LIST[3].id, LIST[2].id, LIST[1].id, LIST[0].id]);
+  // Live first, then upcoming, then results
+  assert.deepEqual(ids(query(LIST, { sort: 'status' })), [LIST[0].id, LIST[2].id, LIST[3].id, LIST[1].id]);
+
+  const page = query(LIST, { sort: 'date', limit: '2', offset: '1' });
+  assert.deepEqual({ total: page.total, limit: page.limit, offset: page.offset }, { total: 4, limit: 2, offset: 1 });
+  assert.deepEqual(ids(page), [LIST[1].id, LIST[2].id]);
+
+  assert.throws(() => query(LIST, { status: 'finished' }), /Unknown status "finished" — use live, upcoming, complete/);
+  assert.throws(() => query(LIST, { sort: 'name' }), /Unknown sort/);
+});
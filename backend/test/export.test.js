@@ -0,0 +1,137 @@
+/**
+ * Scorecard exports: the CSV table and Cricsheet JSON (info, innings, and
+ * deliveries rebuilt from commentary).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ARCHIVE_DB = ':memory:';
+
+const { scorecardCsv } = require('../src/csv');
+const { toCricsheet, dismissalOf, outcomeOf } = require('../src/cricsheet');
+
+const bat = (name, dismissal, r, b) => ({ batsman: { name }, 'dismissal-text': dismissal, r, b, '4s': 0, '6s': 0, sr: b ? +(r * 100 / b).toFixed(2) : 0 });
+const bowl = (name, o, r, w) => ({ bowler: { name }, o, m: 0, r, w, nb: 0, wd: 0 });
+
+const scorecard = {
+  scorecard: [
+    {
+      inning: 'India Inning 1',
+      batting: [
+        bat('Abhishek Sharma', 'not out', 2, 3),
+        bat('Shubman Gill', 'c Inglis b Starc', 0, 1),
+        bat('Suryakumar Yadav (c)', 'not out', 5, 2),
+      ],
+      didNotBat: [{ name: 'Hardik Pandya' }],
+      bowling: [bowl('Mitchell Starc', '1', 8, 1), bowl('Josh Hazlewood', '0.1', 1, 0)],
+      extras: { b: 0, lb: 1, w: 1, nb: 1, p: 0 },
+      total: { r: 9, w: 1, o: '1.1' },
+      fow: [{ wicket: 1, score: 2, over: 0.2, batsman: { name: 'Shubman Gill' } }],
+    },
+    {
+      inning: 'Australia Inning 1',
+      batting: [bat('Travis Head', 'not out', 10, 4), bat('Josh Inglis (wk)', 'not out', 0, 0)],
+      bowling: [bowl('Jasprit Bumrah', '0.4', 10, 0)],
+      total: { r: 10, w: 0, o: '0.4' },
+    },
+  ],
+};
+
+const match = {
+  id: '100231~ind-vs-aus-2nd-t20i', teams: ['India', 'Australia'], format: 't20', gender: 'mens',
+  category: 'international', matchDesc: '2nd T20I', series: { id: '9031', name: 'Australia tour of India, 2025' },
+  dateTimeGMT: '2025-10-31T13:30:00.000Z', matchEnded: true, status: 'India won by 12 runs',
+};
+
+const info = {
+  venue: 'Wankhede Stadium, Mumbai', tossWinner: 'Australia', tossChoice: 'bowl',
+  umpires: 'Nitin Menon, Anil Chaudhary, Rohan Pandit', matchReferee: 'Javagal Srinath',
+};
+
+// Parsed commentary balls (cricbuzzScraper's parseBall shape), newest first
+let ts = 0;
+const ball = (innings, over, bowler, batter, runs, extras = null, text = '') =>
+  ({ innings, over, bowler, batter, runs, extras, wicket: /, out /.test(text), text, timestamp: ++ts });
+const balls = [
+  ball(1, '0.1', 'Starc', 'Abhishek', 1),
+  ball(1, '0.2', 'Starc', 'Gill', 1, 'wide'),
+  ball(1, '0.2', 'Starc', 'Gill', 0, null, 'Starc to Gill, out Caught by Inglis!! Gill c Inglis b Starc 0(1)'),
+  ball(1, '0.3', 'Starc', 'Suryakumar Yadav', 4),
+  ball(1, '0.4', 'Starc', 'Suryakumar Yadav', 2, 'noball'),
+  ball(1, '1.1', 'Hazlewood', 'Abhishek', 1, 'legbye'),
+  // Commentary for the chase starts mid-innings: no deliveries for it
+  ball(2, '0.4', 'Bumrah', 'Head', 4),
+].reverse();
+
+test('the CSV has one row per batter, bowler, extras, total and wicket', () => {
+  const [header, ...rows] = scorecardCsv(scorecard).trim().split('\r\n');
+  assert.equal(header, 'innings,team,section,position,player,dismissal,runs,balls,fours,sixes,strike_rate,overs,maidens,wickets,no_balls,wides,economy');
+  assert.equal(rows[0], '1,India,batting,1,Abhishek Sharma,not out,2,3,0,0,66.67,,,,,,');
+  assert.ok(rows.includes('1,India,did_not_bat,4,Hardik Pandya,,,,,,,,,,,,'));
+  assert.ok(rows.includes('1,India,extras,,,"b 0, lb 1, w 1, nb 1, p 0",3,,,,,,,,,,'));
+  assert.ok(rows.includes('1,India,total,,,,9,,,,,1.1,,1,,,'));
+  assert.ok(rows.includes('1,India,fall_of_wickets,1,Shubman Gill,,2,,,,,0.2,,,,,'));
+  assert.ok(rows.includes('1,India,bowling,1,Mitchell Starc,,8,,,,,1,0,1,0,0,8.00'));
+  assert.ok(rows.includes('2,Australia,bowling,1,Jasprit Bumrah,,10,,,,,0.4,0,0,0,0,15.00'));
+});
+
+test('Cricsheet info comes from the match, its info page and the scorecard', () => {
+  const { meta, info: out } = toCricsheet({ match, scorecard, info });
+  assert.equal(meta.data_version, '1.1.0');
+  assert.deepEqual(out, {
+    balls_per_over: 6,
+    city: 'Mumbai',
+    dates: ['2025-10-31'],
+    event: { name: 'Australia tour of India, 2025', match_number: 2 },
+    gender: 'male',
+    match_type: 'T20',
+    officials: { umpires: ['Nitin Menon', 'Anil Chaudhary'], tv_umpires: ['Rohan Pandit'], match_referees: ['Javagal Srinath'] },
+    outcome: { winner: 'India', by: { runs: 12 } },
+    overs: 20,
+    players: {
+      India: ['Abhishek Sharma', 'Shubman Gill', 'Suryakumar Yadav', 'Hardik Pandya', 'Jasprit Bumrah'],
+      Australia: ['Travis Head', 'Josh Inglis', 'Mitchell Starc', 'Josh Hazlewood'],
+    },
+    season: '2025',
+    team_type: 'international',
+    teams: ['India', 'Australia'],
+    toss: { winner: 'Australia', decision: 'field' },
+    venue: 'Wankhede Stadium',
+  });
+});
+
+test('deliveries are rebuilt from commentary that reaches the first ball', () => {
+  const { innings } = toCricsheet({ match, scorecard, info, balls });
+  assert.deepEqual(innings[1], { team: 'Australia', target: { overs: 20, runs: 10 } });
+
+  const [first, second] = innings[0].overs;
+  assert.equal(first.over, 0);
+  assert.equal(second.over, 1);
+  assert.deepEqual(first.deliveries, [
+    { batter: 'Abhishek Sharma', bowler: 'Mitchell Starc', non_striker: 'Shubman Gill', runs: { batter: 1, extras: 0, total: 1 } },
+    { batter: 'Shubman Gill', bowler: 'Mitchell Starc', non_striker: 'Abhishek Sharma', runs: { batter: 0, extras: 1, total: 1 }, extras: { wides: 1 } },
+    { batter: 'Shubman Gill', bowler: 'Mitchell Starc', non_striker: 'Abhishek Sharma', runs: { batter: 0, extras: 0, total: 0 },
+      wickets: [{ player_out: 'Shubman Gill', kind: 'caught', fielders: [{ name: 'Josh Inglis' }] }] },
+    { batter: 'Suryakumar Yadav', bowler: 'Mitchell Starc', non_striker: 'Abhishek Sharma', runs: { batter: 4, extras: 0, total: 4 } },
+    { batter: 'Suryakumar Yadav', bowler: 'Mitchell Starc', non_striker: 'Abhishek Sharma', runs: { batter: 1, extras: 1, total: 2 }, extras: { noballs: 1 } },
+  ]);
+  assert.deepEqual(second.deliveries[0].extras, { legbyes: 1 });
+  assert.equal(second.deliveries[0].non_striker, 'Suryakumar Yadav');
+});
+
+test('dismissals and outcomes are read from the scorecard and status line', () => {
+  assert.deepEqual(dismissalOf('c & b Ellis'), { kind: 'caught and bowled' });
+  assert.deepEqual(dismissalOf('st Inglis b Zampa'), { kind: 'stumped', fielders: ['Inglis'] });
+  assert.deepEqual(dismissalOf('run out (Short/Inglis)'), { kind: 'run out', fielders: ['Short', 'Inglis'] });
+  assert.deepEqual(dismissalOf('lbw b Bumrah'), { kind: 'lbw' });
+  assert.deepEqual(dismissalOf('b Bartlett'), { kind: 'bowled' });
+  assert.equal(dismissalOf('not out'), null);
+
+  const teams = ['England', 'New Zealand'];
+  assert.deepEqual(outcomeOf({ teams, status: 'New Zealand won by 4 wkts' }), { winner: 'New Zealand', by: { wickets: 4 } });
+  assert.deepEqual(outcomeOf({ teams, status: 'England won by an innings and 12 runs' }), { winner: 'England', by: { innings: 1, runs: 12 } });
+  assert.deepEqual(outcomeOf({ teams, status: 'Match tied (England won the Super Over)' }), { result: 'tie', eliminator: 'England' });
+  assert.deepEqual(outcomeOf({ teams, status: 'Match drawn' }), { result: 'draw' });
+  assert.deepEqual(outcomeOf({ teams, status: 'No result' }), { result: 'no result' });
+});
@@ -0,0 +1,77 @@
+/**
+ * iCalendar feeds: RFC 5545 text escaping and line folding, one event per
+ * match, and SEQUENCE going up when a start time moves.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ARCHIVE_DB = ':memory:';
+process.env.FRONTEND_URL = 'https://criclive.example/';
+
+const ics = require('../src/ics');
+
+const T20 = {
+  id: '100231~ind-vs-aus-2nd-t20i-australia-tour-of-india-2025',
+  name: 'India vs Australia, 2nd T20I',
+  matchDesc: '2nd T20I',
+  format: 't20',
+  status: 'Match starts at Oct 31, 13:30 GMT',
+  dateTimeGMT: '2025-10-31T13:30:00.000Z',
+  venue: 'Melbourne Cricket Ground, Melbourne',
+  teams: ['India', 'Australia'],
+  teamInfo: [{ name: 'India', shortname: 'IND' }, { name: 'Australia', shortname: 'AUS' }],
+  series: { id: '9001', name: 'Australia tour of India, 2025' },
+};
+
+// Unfolded content lines, as a calendar app reads them
+const lines = body => body.replace(/\r\n /g, '').split('\r\n');
+const events = body => body.split('BEGIN:VEVENT').slice(1).map(e => Object.fromEntries(
+  lines(e).filter(l => /^[A-Z-]+[:;]/.test(l)).map(l => [l.slice(0, l.indexOf(':')), l.slice(l.indexOf(':') + 1)])));
+
+test('text values are escaped and long lines folded on character boundaries', () => {
+  assert.equal(ics.text('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+
+  const folded = ics.fold(`SUMMARY:${'🏏'.repeat(40)}`);
+  const parts = folded.split('\r\n');
+  assert.ok(parts.length > 1);
+  for (const part of parts) assert.ok(Buffer.byteLength(part) <= 75);
+  assert.equal(parts.map((p, i) => (i ? p.slice(1) : p)).join(''), `SUMMARY:${'🏏'.repeat(40)}`);
+});
+
+test('one event per match with a stable UID, UTC start and a duration by format', () => {
+  const test2 = { ...T20, id: '100198~eng-vs-nz-1st-test', format: 'test', matchDesc: '1st Test',
+    dateTimeGMT: '2025-06-04T10:00:00.000Z', teamInfo: [], teams: ['England', 'New Zealand'], venue: '' };
+  const body = ics.calendar('CricLive fixtures', [T20, test2, { ...T20, id: '1', dateTimeGMT: null }]);
+
+  assert.ok(body.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(body.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(!/[^\r]\n/.test(body), 'every line ends in CRLF');
+
+  // Soonest first; matches without a start time are left out
+  const [first, second, ...rest] = events(body);
+  assert.equal(rest.length, 0);
+  assert.equal(first.UID, '100198@criclive');
+  assert.equal(first.DTSTART, '20250604T100000Z');
+  assert.equal(first.DURATION, 'P4DT8H');
+  assert.equal(first.SUMMARY, 'England v New Zealand — 1st Test');
+  assert.equal(first.LOCATION, undefined);
+
+  assert.equal(second.UID, '100231@criclive');
+  assert.equal(second.DTSTART, '20251031T133000Z');
+  assert.equal(second.DURATION, 'PT3H30M');
+  assert.equal(second.SUMMARY, 'IND v AUS — 2nd T20I');
+  assert.equal(second.LOCATION, 'Melbourne Cricket Ground\\, Melbourne');
+  assert.equal(second.URL, `https://criclive.example/match.html?id=${encodeURIComponent(T20.id)}`);
+  assert.match(second.DESCRIPTION, /^Australia tour of India\\, 2025\\n/);
+});
+
+test('a moved start time bumps SEQUENCE so the event updates in place', () => {
+  const match = { ...T20, id: '100300~moved', dateTimeGMT: '2025-11-02T08:00:00.000Z' };
+  const seq = m => events(ics.calendar('Feed', [m]))[0].SEQUENCE;
+
+  assert.equal(seq(match), '0');
+  assert.equal(seq(match), '0');
+  assert.equal(seq({ ...match, id: '100300~renamed-slug', dateTimeGMT: '2025-11-02T10:00:00.000Z' }), '1');
+  assert.equal(seq({ ...match, dateTimeGMT: '2025-11-02T10:00:00.000Z' }), '1');
+});
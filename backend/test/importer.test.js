@@ -0,0 +1,280 @@
+/**
+ * Cricsheet import: figures rebuilt from deliveries, the legacy YAML layout,
+ * zip downloads, and matches landing in the archive.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+process.env.ARCHIVE_DB = ':memory:';
+process.env.IMPORT_DIR = path.join(os.tmpdir(), 'criclive-import-test');
+
+const { fromCricsheet } = require('../src/cricsheet');
+const importer = require('../src/importer');
+const archive = require('../src/archive');
+const yaml = require('../src/yaml');
+const zip = require('../src/zip');
+
+const d = (batter, bowler, non_striker, batterRuns, extra = {}) => {
+  const extrasTotal = Object.values(extra.extras || {}).reduce((a, b) => a + b, 0);
+  return { batter, bowler, non_striker, runs: { batter: batterRuns, extras: extrasTotal, total: batterRuns + extrasTotal }, ...extra };
+};
+
+const doc = {
+  meta: { data_version: '1.1.0' },
+  info: {
+    balls_per_over: 6,
+    city: 'Mumbai',
+    dates: ['2025-10-31'],
+    event: { name: 'Australia tour of India', match_number: 2 },
+    gender: 'male',
+    match_type: 'T20',
+    officials: { umpires: ['Nitin Menon', 'Anil Chaudhary'], tv_umpires: ['Rohan Pandit'], match_referees: ['Javagal Srinath'] },
+    outcome: { winner: 'India', by: { runs: 5 } },
+    players: {
+      India: ['Abhishek Sharma', 'Shubman Gill', 'Suryakumar Yadav', 'Jasprit Bumrah'],
+      Australia: ['Travis Head', 'Josh Inglis', 'Mitchell Starc'],
+    },
+    season: '2025/26',
+    team_type: 'international',
+    teams: ['India', 'Australia'],
+    toss: { winner: 'Australia', decision: 'field' },
+    venue: 'Wankhede Stadium',
+  },
+  innings: [
+    {
+      team: 'India',
+      overs: [
+        { over: 0, deliveries: [
+          d('Abhishek Sharma', 'Mitchell Starc', 'Shubman Gill', 4),
+          d('Abhishek Sharma', 'Mitchell Starc', 'Shubman Gill', 0, { extras: { wides: 1 } }),
+          d('Abhishek Sharma', 'Mitchell Starc', 'Shubman Gill', 1),
+          d('Shubman Gill', 'Mitchell Starc', 'Abhishek Sharma', 0,
+            { wickets: [{ player_out: 'Shubman Gill', kind: 'caught', fielders: [{ name: 'Josh Inglis' }] }] }),
+          d('Suryakumar Yadav', 'Mitchell Starc', 'Abhishek Sharma', 6),
+          d('Suryakumar Yadav', 'Mitchell Starc', 'Abhishek Sharma', 0, { extras: { legbyes: 1 } }),
+          d('Abhishek Sharma', 'Mitchell Starc', 'Suryakumar Yadav', 0),
+        ] },
+      ],
+    },
+    {
+      team: 'Australia',
+      overs: [
+        { over: 0, deliveries: [
+          d('Travis Head', 'Jasprit Bumrah', 'Josh Inglis', 0),
+          d('Travis Head', 'Jasprit Bumrah', 'Josh Inglis', 0),
+          d('Travis Head', 'Jasprit Bumrah', 'Josh Inglis', 0),
+          d('Travis Head', 'Jasprit Bumrah', 'Josh Inglis', 0),
+          d('Travis Head', 'Jasprit Bumrah', 'Josh Inglis', 0),
+          d('Travis Head', 'Jasprit Bumrah', 'Josh Inglis', 0, { wickets: [{ player_out: 'Travis Head', kind: 'bowled' }] }),
+        ] },
+      ],
+    },
+  ],
+};
+
+// Cricsheet's pre-2021 YAML: innings keyed by name, deliveries by ball
+const legacyYaml = `meta:
+  data_version: 0.9
+  revision: 1
+info:
+  city: Adelaide
+  dates:
+  - 2017-01-26
+  gender: male
+  match_type: T20
+  outcome:
+    winner: England
+    by:
+      wickets: 1
+  teams:
+  - Australia
+  - England
+  toss:
+    decision: bat
+    winner: Australia
+  umpires:
+  - 'Paul Reiffel'
+  venue: Adelaide Oval
+innings:
+- 1st innings:
+    team: Australia
+    deliveries:
+    - 0.1:
+        batsman: DA Warner
+        bowler: CR Woakes
+        non_striker: AJ Finch
+        runs:
+          batsman: 4
+          extras: 0
+          total: 4
+    - 0.2:
+        batsman: DA Warner
+        bowler: CR Woakes
+        non_striker: AJ Finch
+        runs: {batsman: 0, extras: 0, total: 0}
+        wicket:
+          fielders:
+          - JE Root
+          kind: caught
+          player_out: DA Warner
+- 2nd innings:
+    team: England
+    deliveries:
+    - 0.1:
+        batsman: JJ Roy
+        bowler: PJ Cummins
+        non_striker: JM Vince
+        runs:
+          batsman: 5
+          extras: 0
+          total: 5
+`;
+
+// A zip with one deflated entry, laid out as the spec has it
+function zipOf(name, content) {
+  const data = zlib.deflateRawSync(content);
+  const nameBuf = Buffer.from(name);
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(data.length, 18);
+  local.writeUInt32LE(content.length, 22);
+  local.writeUInt16LE(nameBuf.length, 26);
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(data.length, 20);
+  central.writeUInt32LE(content.length, 24);
+  central.writeUInt16LE(nameBuf.length, 28);
+  central.writeUInt32LE(0, 42);
+  const dirOffset = local.length + nameBuf.length + data.length;
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(1, 8);
+  eocd.writeUInt16LE(1, 10);
+  eocd.writeUInt32LE(central.length + nameBuf.length, 12);
+  eocd.writeUInt32LE(dirOffset, 16);
+  return Buffer.concat([local, nameBuf, data, central, nameBuf, eocd]);
+}
+
+test('batting, bowling, extras and wickets are added up from the deliveries', () => {
+  const { scorecard: { scorecard: [india, australia] } } = fromCricsheet(doc, '1001');
+
+  assert.equal(india.inning, 'India Inning 1');
+  assert.deepEqual(india.batting.map(b => [b.batsman.name, b['dismissal-text'], b.r, b.b, b['4s'], b['6s']]), [
+    ['Abhishek Sharma', 'not out', 5, 3, 1, 0],
+    ['Shubman Gill', 'c Josh Inglis b Mitchell Starc', 0, 1, 0, 0],
+    ['Suryakumar Yadav', 'not out', 6, 2, 0, 1],
+  ]);
+  assert.deepEqual(india.didNotBat, [{ name: 'Jasprit Bumrah' }]);
+  assert.deepEqual(india.bowling, [{ bowler: { name: 'Mitchell Starc' }, o: 1, m: 0, r: 12, w: 1, nb: 0, wd: 1 }]);
+  assert.deepEqual(india.extras, { b: 0, lb: 1, w: 1, nb: 0, p: 0 });
+  assert.deepEqual(india.total, { r: 13, w: 1, o: '1' });
+  assert.deepEqual(india.fow, [{ wicket: 1, score: 6, over: 0.3, batsman: { name: 'Shubman Gill' } }]);
+  assert.deepEqual(india.partnerships[0], {
+    wicket: 1, runs: 6, balls: 3, unbroken: false,
+    batsmen: [{ name: 'Abhishek Sharma', r: 5, b: 2 }, { name: 'Shubman Gill', r: 0, b: 1 }],
+  });
+  assert.equal(india.partnerships[1].unbroken, true);
+
+  assert.deepEqual(australia.bowling[0], { bowler: { name: 'Jasprit Bumrah' }, o: 1, m: 1, r: 0, w: 1, nb: 0, wd: 0 });
+  assert.equal(australia.batting[0]['dismissal-text'], 'b Jasprit Bumrah');
+});
+
+test('the match and info read like the scraper\'s', () => {
+  const { match, info } = fromCricsheet(doc, '1001');
+  assert.equal(match.id, 'cricsheet-1001');
+  assert.equal(match.name, 'Australia tour of India – 2nd T20I');
+  assert.deepEqual(match.series, { id: 'cricsheet-australia-tour-of-india-2025-26', name: 'Australia tour of India' });
+  assert.equal(match.matchType, 't20');
+  assert.equal(match.status, 'India won by 5 runs');
+  assert.equal(match.dateTimeGMT, '2025-10-31T00:00:00.000Z');
+  assert.equal(match.venue, 'Wankhede Stadium, Mumbai');
+  assert.deepEqual(match.score, [
+    { inning: 'India Inning 1', r: 13, w: 1, o: '1' },
+    { inning: 'Australia Inning 1', r: 0, w: 1, o: '1' },
+  ]);
+  assert.equal(info.status, 'Australia won the toss and opt to bowl');
+  assert.equal(info.umpires, 'Nitin Menon, Anil Chaudhary, Rohan Pandit');
+  assert.equal(info.matchReferee, 'Javagal Srinath');
+});
+
+test('legacy YAML files are read into the same shape', () => {
+  const parsed = yaml.parse(legacyYaml);
+  assert.deepEqual(parsed.info.dates, ['2017-01-26']);
+  assert.deepEqual(parsed.innings[0]['1st innings'].deliveries[1]['0.2'].runs, { batsman: 0, extras: 0, total: 0 });
+
+  const { match, scorecard: { scorecard: [australia, england] } } = fromCricsheet(parsed, '1000887');
+  assert.equal(match.status, 'England won by 1 wkt');
+  assert.deepEqual(australia.batting.map(b => [b.batsman.name, b['dismissal-text'], b.r, b.b]), [
+    ['DA Warner', 'c JE Root b CR Woakes', 4, 2],
+    ['AJ Finch', 'not out', 0, 0],
+  ]);
+  assert.equal(england.total.r, 5);
+});
+
+test('files, zips and directories are imported into the archive', async () => {
+  const dir = importer.IMPORT_DIR;
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(path.join(dir, 'legacy'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'legacy', '1000887.yaml'), legacyYaml);
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{ "info": {} }');
+  fs.writeFileSync(path.join(dir, 't20s_json.zip'), zipOf('1001.json', Buffer.from(JSON.stringify(doc))));
+
+  try {
+    assert.deepEqual(zip.entries(fs.readFileSync(path.join(dir, 't20s_json.zip'))).map(e => e.name), ['1001.json']);
+
+    const summary = await importer.importPaths([dir].map(importer.resolveImportPath));
+    assert.equal(summary.files, 3);
+    assert.equal(summary.imported, 2);
+    assert.deepEqual(summary.ids.sort(), ['cricsheet-1000887', 'cricsheet-1001']);
+    assert.deepEqual(summary.errors, [{ file: 'broken.json', message: 'Not a Cricsheet match file' }]);
+
+    const entry = archive.get('cricsheet-1001');
+    assert.equal(entry.match.status, 'India won by 5 runs');
+    assert.equal(entry.scorecard.scorecard[0].batting[0].r, 5);
+    assert.equal(entry.info.venue, 'Wankhede Stadium, Mumbai');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('API imports stay inside the import directory', () => {
+  assert.equal(importer.resolveImportPath('t20s_json.zip'), path.join(importer.IMPORT_DIR, 't20s_json.zip'));
+  assert.throws(() => importer.resolveImportPath('../criclive.db'), /outside the import directory/);
+  assert.throws(() => importer.resolveImportPath('/etc/passwd'), /outside the import directory/);
+});
+
+test('symlinks out of the import directory are not followed', async () => {
+  const dir = importer.IMPORT_DIR;
+  const outside = path.join(os.tmpdir(), 'criclive-import-outside');
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.rmSync(outside, { recursive: true, force: true });
+  fs.mkdirSync(path.join(dir, 'batch'), { recursive: true });
+  fs.mkdirSync(outside, { recursive: true });
+  fs.writeFileSync(path.join(outside, '1002.json'), JSON.stringify(doc));
+  fs.writeFileSync(path.join(dir, 'batch', '1001.json'), JSON.stringify(doc));
+  fs.symlinkSync(path.join(outside, '1002.json'), path.join(dir, 'linked.json'));
+  fs.symlinkSync(outside, path.join(dir, 'batch', 'elsewhere'));
+  fs.symlinkSync(path.join(dir, 'batch', '1001.json'), path.join(dir, 'inside.json'));
+
+  try {
+    assert.throws(() => importer.resolveImportPath('linked.json'), /outside the import directory/);
+    assert.throws(() => importer.resolveImportPath('batch/elsewhere/1002.json'), /outside the import directory/);
+    // Links that stay inside are fine
+    assert.equal(importer.resolveImportPath('inside.json'), path.join(dir, 'inside.json'));
+
+    const summary = await importer.importPaths([importer.resolveImportPath('batch')], { root: dir });
+    assert.deepEqual(summary.ids, ['cricsheet-1001']);
+    assert.deepEqual(summary.errors, [{ file: 'elsewhere', message: 'Links outside the import directory' }]);
+    assert.equal(archive.get('cricsheet-1002'), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(outside, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,170 @@
+/**
+ * Match events from consecutive snapshots landing in the cache: wickets,
+ * milestones, five-fors, innings ends, targets and results, each once.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ARCHIVE_DB = ':memory:';
+
+const cache  = require('../src/cache');
+const events = require('../src/matchEvents');
+
+const seen = [];
+events.on('event', ev => seen.push(ev));
+
+// Events emitted while `fn` runs, as [type, text]
+function emitted(fn) {
+  const from = seen.length;
+  fn();
+  return seen.slice(from).map(ev => [ev.type, ev.text]);
+}
+
+const bat  = (name, r, b, dismissal = 'not out') => ({ batsman: { name }, 'dismissal-text': dismissal, r, b });
+const bowl = (name, o, r, w) => ({ bowler: { name }, o, m: 0, r, w });
+const inning = (team, n, total, batting = [], bowling = []) =>
+  ({ inning: `${team} Inning ${n}`, batting, bowling, total });
+
+function scorecard(id, innings) {
+  cache.set(`scorecard:${id}`, { scorecard: innings }, 30);
+}
+
+function matches(list) {
+  cache.set('currentMatches', { data: list }, 30);
+}
+
+test('the first snapshot is only a baseline', () => {
+  const out = emitted(() => scorecard('base', [
+    inning('India', 1, { r: 150, w: 10, o: '19.4' }, [bat('Abhishek Sharma', 68, 37, 'c Head b Ellis')]),
+    inning('Australia', 1, { r: 20, w: 0, o: '2' }),
+  ]));
+  assert.deepEqual(out, []);
+});
+
+test('scorecard diffs: wicket, milestones and a five-for', () => {
+  scorecard('sc', [inning('India', 1, { r: 40, w: 0, o: '5' },
+    [bat('Abhishek Sharma', 45, 24), bat('Shubman Gill', 12, 10)], [bowl('Josh Hazlewood', 3, 20, 4)])]);
+
+  const out = emitted(() => scorecard('sc', [inning('India', 1, { r: 112, w: 1, o: '9.3' },
+    [bat('Abhishek Sharma', 101, 44), bat('Shubman Gill', 14, 13, 'c Inglis b Hazlewood')],
+    [bowl('Josh Hazlewood', 3.3, 22, 5)])]));
+
+  // In batting order; one jump past both marks is both milestones
+  assert.deepEqual(out, [
+    ['milestone', 'FIFTY for Abhishek Sharma — 101 (44)'],
+    ['milestone', '100 for Abhishek Sharma — 101 (44)'],
+    ['wicket', 'WICKET! Shubman Gill c Inglis b Hazlewood 14 (13) — India 112/1 (9.3)'],
+    ['five_wicket_haul', 'Five-wicket haul for Josh Hazlewood — 5/22 (3.3)'],
+  ]);
+
+  const wicket = seen.find(ev => ev.matchId === 'sc' && ev.type === 'wicket');
+  assert.deepEqual([wicket.batter, wicket.runs, wicket.balls, wicket.inning], ['Shubman Gill', 14, 13, 'India Inning 1']);
+  assert.deepEqual(seen.find(ev => ev.type === 'five_wicket_haul').figures, { o: 3.3, m: 0, r: 22, w: 5 });
+});
+
+test('repeated or flickering snapshots emit nothing new', () => {
+  const card = [inning('India', 1, { r: 112, w: 1, o: '9.3' },
+    [bat('Abhishek Sharma', 101, 44), bat('Shubman Gill', 14, 13, 'c Inglis b Hazlewood')],
+    [bowl('Josh Hazlewood', 3.3, 22, 5)])];
+
+  assert.deepEqual(emitted(() => scorecard('sc', card)), []);
+
+  // A source briefly showing Gill not out again, then out, is still one wicket
+  const flicker = structuredClone(card);
+  flicker[0].batting[1]['dismissal-text'] = 'batting';
+  flicker[0].batting[0].r = 48;
+  assert.deepEqual(emitted(() => {
+    scorecard('sc', flicker);
+    scorecard('sc', card);
+  }), []);
+});
+
+test('innings end and the target, from the scorecard', () => {
+  const first = inning('India', 1, { r: 180, w: 6, o: '20' });
+  scorecard('chase', [first]);
+
+  const out = emitted(() => scorecard('chase', [first, inning('Australia', 1, { r: 0, w: 0, o: '0' })]));
+  assert.deepEqual(out, [
+    ['innings_end', 'End of innings — India 180/6 (20)'],
+    ['target_set', 'Australia need 181 to win'],
+  ]);
+  assert.equal(seen.at(-1).target, 181);
+
+  // All out ends the innings without a next one starting
+  const allOut = emitted(() => scorecard('chase', [first, inning('Australia', 1, { r: 150, w: 10, o: '18.2' })]));
+  assert.deepEqual(allOut, [['innings_end', 'End of innings — Australia 150/10 (18.2)']]);
+});
+
+test('match list diffs: wickets from the score, then the result once', () => {
+  const m = { id: 'list', matchType: 't20', teams: ['India', 'Australia'], matchStarted: true, matchEnded: false,
+    status: 'Australia need 40 runs', score: [{ inning: 'India Inning 1', r: 180, w: 6, o: '20' },
+                                              { inning: 'Australia Inning 1', r: 141, w: 2, o: '15' }] };
+  matches([m]);
+
+  const wickets = emitted(() => matches([{ ...m, score: [m.score[0], { ...m.score[1], r: 150, w: 4, o: '16.1' }] }]));
+  assert.deepEqual(wickets, [
+    ['wicket', 'WICKET! Australia 150/3'],
+    ['wicket', 'WICKET! Australia 150/4'],
+  ]);
+
+  const done = { ...m, matchEnded: true, status: 'India won by 12 runs',
+    score: [m.score[0], { ...m.score[1], r: 168, w: 8, o: '20' }] };
+  const result = emitted(() => matches([done]));
+  assert.deepEqual(result.at(-1), ['result', 'India won by 12 runs']);
+  assert.deepEqual(emitted(() => matches([{ ...done, matchEnded: false }])).filter(([t]) => t === 'result'), []);
+  assert.deepEqual(emitted(() => matches([done])), []);
+});
+
+test('a Test match sets the target when the fourth innings starts', () => {
+  const score = [
+    { inning: 'England Inning 1', r: 300, w: 10, o: '90' },
+    { inning: 'New Zealand Inning 1', r: 250, w: 10, o: '80' },
+    { inning: 'England Inning 2', r: 200, w: 10, o: '60' },
+  ];
+  const m = { id: 'test', matchType: 'test', teams: ['England', 'New Zealand'], matchStarted: true, score };
+  matches([m]);
+
+  const out = emitted(() => matches([{ ...m, score: [...score, { inning: 'New Zealand Inning 2', r: 0, w: 0, o: '0' }] }]));
+  assert.deepEqual(out, [
+    ['innings_end', 'End of innings — England 200/10 (60)'],
+    ['target_set', 'New Zealand need 251 to win'],
+  ]);
+});
+
+test('the timeline filters by event id and type', () => {
+  const all = events.timeline('sc');
+  assert.deepEqual(all.map(ev => ev.type), ['milestone', 'milestone', 'wicket', 'five_wicket_haul']);
+  assert.deepEqual(events.timeline('sc', { since: all[1].id }).map(ev => ev.type), ['wicket', 'five_wicket_haul']);
+  assert.deepEqual(events.timeline('sc', { types: ['milestone'] }).map(ev => ev.milestone), [50, 100]);
+  assert.deepEqual(events.timeline('unknown'), []);
+});
+
+test('ended matches are forgotten after the grace period', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2025-11-01T18:00:00Z') });
+  const m = { id: 'ended', matchType: 't20', teams: ['India', 'Australia'], matchStarted: true, matchEnded: false,
+    status: 'Australia need 5 runs', score: [] };
+  matches([m]);
+  matches([{ ...m, matchEnded: true, status: 'India won by 4 runs' }]);
+  assert.deepEqual(events.timeline('ended').map(ev => ev.type), ['result']);
+
+  t.mock.timers.tick(6 * 3600 * 1000);
+  matches([]);
+  assert.equal(events.timeline('ended').length, 1);
+
+  t.mock.timers.tick(1);
+  matches([]);
+  assert.deepEqual(events.timeline('ended'), []);
+});
+
+test('state is kept for a bounded number of matches', () => {
+  assert.ok(events.timeline('sc').length);
+  const many = Array.from({ length: 320 }, (_, i) => ({ id: `upcoming-${i}`, matchType: 't20', score: [] }));
+  matches(many);
+  assert.equal(events.status().watched, 300);
+  // Those updated longest ago went first
+  assert.deepEqual(events.timeline('sc'), []);
+
+  // A dropped match starts again from a baseline
+  assert.deepEqual(emitted(() => matches([{ ...many[0], score: [{ inning: 'India Inning 1', r: 10, w: 1, o: '2' }] }])), []);
+});
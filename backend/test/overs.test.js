@@ -0,0 +1,76 @@
+/**
+ * Over-by-over progression: score snapshots, commentary, and the two merged
+ * for the live T20I fixture.
+ */
+
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ARCHIVE_DB = ':memory:';
+process.env.DATA_PROVIDERS = 'cricbuzz';
+process.env.CRICBUZZ_MODE = 'replay';
+process.env.CRICBUZZ_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'cricbuzz');
+
+const overs  = require('../src/overs');
+const poller = require('../src/poller');
+
+const T20 = '100231~ind-vs-aus-2nd-t20i-australia-tour-of-india-2025';
+
+test('snapshots: exact at over ends, interpolated across short gaps', () => {
+  const list = overs.fromSnapshots([
+    { balls: 6, r: 8, w: 0 },
+    { balls: 12, r: 20, w: 1 },
+    { balls: 15, r: 24, w: 1 },   // mid-over
+    { balls: 21, r: 36, w: 2 },   // over 3 ended between these two
+    { balls: 60, r: 90, w: 3 },   // too far apart to guess overs 4–10
+    { balls: 62, r: 94, w: 3 },
+  ]);
+  assert.deepEqual(list, [
+    { over: 1, runs: 8, wickets: 0, total: 8, totalWickets: 0 },
+    { over: 2, runs: 12, wickets: 1, total: 20, totalWickets: 1 },
+    { over: 3, runs: 10, wickets: 1, total: 30, totalWickets: 2, estimated: true },
+    { over: 11, runs: 4, wickets: 0, total: 94, totalWickets: 3, partial: true },
+  ]);
+});
+
+test('commentary: balls grouped by over, summaries give the running score', () => {
+  const ball = (over, runs, wicket = false, innings = 1) => ({ over, runs, wicket, innings });
+  const byInnings = overs.fromCommentary([
+    ball('2.1', 0), ball('1.6', 4), ball('1.5', 1, true), ball('1.4', 0), ball('1.3', 0),
+    ball('1.2', 2), ball('1.1', 1), ball('0.6', 0), ball('0.5', 6),   // over 1 cut off
+  ], [{ innings: 1, over: 2, runs: 8, score: 15, wickets: 1 }]);
+  assert.deepEqual(byInnings.get(1), [
+    { over: 2, runs: 8, wickets: 1, total: 15, totalWickets: 1 },
+    { over: 3, runs: 0, wickets: 0, total: null, totalWickets: null, partial: true },
+  ]);
+});
+
+test('live T20I fixture: latest overs from commentary', async () => {
+  await poller.fetchCurrentMatches();
+  const data = await overs.fetch(T20);
+  assert.deepEqual(data.innings.map(i => i.inning), ['India Inning 1', 'Australia Inning 1']);
+  // The fixture only has the latest commentary, and one snapshot per innings
+  // can't place any over: India's innings is empty, Australia's has two overs
+  assert.deepEqual(data.innings[0].overs, []);
+  assert.equal(data.innings[1].source, 'commentary');
+  assert.deepEqual(data.innings[1].overs, [
+    { over: 11, runs: 19, wickets: 1, total: 96, totalWickets: 3 },
+    { over: 12, runs: 1, wickets: 0, total: 97, totalWickets: 3, partial: true },
+  ]);
+});
+
+test('without commentary, overs come from the snapshots taken while polling', async () => {
+  const id = 'no-commentary';
+  for (const [o, r, w] of [['0.4', 5, 0], ['1', 7, 0], ['2', 15, 1], ['2', 16, 1], ['2.3', 22, 1]]) {
+    overs.observe(id, [{ inning: 'Nepal Inning 1', r, w, o }]);
+  }
+  const data = await overs.fetch(id);
+  assert.equal(data.source, 'snapshots');
+  assert.equal(data.innings[0].inning, 'Nepal Inning 1');
+  // A wide after the 12th ball replaces that reading
+  assert.deepEqual(data.innings[0].overs.map(o => [o.over, o.runs, o.wickets, o.total]), [
+    [1, 7, 0, 7], [2, 9, 1, 16], [3, 6, 0, 22],
+  ]);
+  assert.equal(data.innings[0].overs[2].partial, true);
+});
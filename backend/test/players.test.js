@@ -0,0 +1,98 @@
+/**
+ * Player careers aggregated from archived scorecards: averages with
+ * not-outs, strike rates and economy, names merged across matches, and
+ * re-archiving a match without counting it twice.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ARCHIVE_DB = ':memory:';
+
+const archive = require('../src/archive');
+const players = require('../src/players');
+
+const bat  = (name, r, b, dismissal, fours = 0, sixes = 0) =>
+  ({ batsman: { name }, 'dismissal-text': dismissal, r, b, '4s': fours, '6s': sixes });
+const bowl = (name, o, m, r, w) => ({ bowler: { name }, o, m, r, w });
+
+function save(id, matchType, date, batting, bowling) {
+  archive.save(
+    { id, name: id, matchType, teams: ['India', 'Australia'], dateTimeGMT: date },
+    { scorecard: [{ inning: 'India Inning 1', batting, bowling }] },
+    null);
+}
+
+test.before(() => {
+  save('m1', 't20', '2025-01-10T13:00:00',
+    [bat('Virat Kohli', 50, 40, 'c Inglis b Hazlewood', 4, 2)], [bowl('Josh Hazlewood', '4', 0, 30, 2)]);
+  // Captain / keeper markers are not part of the name
+  save('m2', 't20', '2025-02-10T13:00:00',
+    [bat('Virat Kohli (c)', 30, 20, 'not out', 2, 1)], [bowl('Josh Hazlewood', '3.5', 0, 22, 1)]);
+  save('m3', 'odi', '2025-03-10T09:00:00',
+    [bat('Virat Kohli (c & wk)', 101, 90, 'b Starc', 9, 1)], [bowl('Josh Hazlewood (wk)', '10', 1, 44, 5)]);
+});
+
+test('names are cleaned of captain and keeper markers', () => {
+  assert.equal(players.cleanName('Rohit Sharma (c)'), 'Rohit Sharma');
+  assert.equal(players.cleanName('Rishabh Pant (wk)'), 'Rishabh Pant');
+  assert.equal(players.cleanName('Jos Buttler (c & wk)'), 'Jos Buttler');
+  assert.equal(players.cleanName('  Travis Head '), 'Travis Head');
+});
+
+test('batting: not-outs lift the average; strike rate from balls faced', () => {
+  const p = players.profile('virat kohli');
+  assert.equal(p.name, 'Virat Kohli');
+  assert.equal(p.team, 'India');
+
+  // 181 runs, 3 innings, 1 not out: 181 / 2
+  assert.deepEqual(p.overall.batting, {
+    matches: 3, innings: 3, notOuts: 1, runs: 181, balls: 150, average: 90.5, strikeRate: 120.67,
+    highest: '101', fifties: 1, hundreds: 1, fours: 15, sixes: 4,
+  });
+  // T20s only: 80 runs, one dismissal
+  const t20 = p.formats.t20.batting;
+  assert.deepEqual([t20.innings, t20.notOuts, t20.average, t20.strikeRate, t20.highest], [2, 1, 80, 133.33, '50']);
+  assert.equal(p.formats.t20.bowling, null);
+
+  // Never dismissed: no average
+  save('m4', 'test', '2025-04-10T10:00:00', [bat('Shubman Gill', 12, 30, 'not out')], []);
+  assert.equal(players.profile('Shubman Gill').overall.batting.average, null);
+  assert.equal(players.profile('Shubman Gill').overall.batting.highest, '12*');
+});
+
+test('bowling: economy per six balls, partial overs included', () => {
+  const p = players.profile('Josh Hazlewood (wk)');
+  // 4 + 3.5 + 10 overs = 107 balls; 96 runs; 8 wickets
+  assert.deepEqual(p.overall.bowling, {
+    matches: 3, innings: 3, overs: '17.5', maidens: 1, runs: 96, wickets: 8,
+    average: 12, economy: 5.38, strikeRate: 13.4, best: '5/44', fiveWickets: 1,
+  });
+  assert.deepEqual(p.formats.t20.bowling, {
+    matches: 2, innings: 2, overs: '7.5', maidens: 0, runs: 52, wickets: 3,
+    average: 17.33, economy: 6.64, strikeRate: 15.7, best: '2/30', fiveWickets: 0,
+  });
+  assert.deepEqual(p.recent.bowling.map(r => [r.matchId, r.overs]), [['m3', '10'], ['m2', '3.5'], ['m1', '4']]);
+});
+
+test('archiving a match again replaces its rows instead of adding to them', () => {
+  save('m1', 't20', '2025-01-10T13:00:00',
+    [bat('Virat Kohli', 50, 40, 'c Inglis b Hazlewood', 4, 2)], [bowl('Josh Hazlewood', '4', 0, 30, 2)]);
+  save('m1', 't20', '2025-01-10T13:00:00',
+    [bat('Virat Kohli', 50, 40, 'c Inglis b Hazlewood', 4, 2)], [bowl('Josh Hazlewood', '4', 0, 30, 2)]);
+  assert.equal(players.profile('Virat Kohli').overall.batting.innings, 3);
+  assert.equal(players.profile('Virat Kohli').overall.batting.runs, 181);
+  assert.equal(players.profile('Josh Hazlewood').overall.bowling.wickets, 8);
+
+  // A corrected scorecard overwrites the old figures
+  save('m1', 't20', '2025-01-10T13:00:00',
+    [bat('Virat Kohli', 52, 41, 'c Inglis b Hazlewood', 4, 2)], [bowl('Josh Hazlewood', '4', 0, 32, 2)]);
+  assert.equal(players.profile('Virat Kohli').overall.batting.runs, 183);
+  assert.equal(players.profile('Josh Hazlewood').overall.bowling.runs, 98);
+});
+
+test('unknown players have no profile; partial names suggest known ones', () => {
+  assert.equal(players.profile('Don Bradman'), null);
+  assert.deepEqual(players.suggest('kohli'), ['Virat Kohli']);
+  assert.deepEqual(players.suggest('Hazle (c)'), ['Josh Hazlewood']);
+});
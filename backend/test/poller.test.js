@@ -0,0 +1,66 @@
+/**
+ * Poller scheduling with a stubbed provider and mocked timers: a failing
+ * job backs off exponentially up to MAX_BACKOFF, and one success resets it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ARCHIVE_DB = ':memory:';
+process.env.DATA_PROVIDERS = 'cricbuzz';
+process.env.CRICBUZZ_MODE = 'replay';
+process.env.IDLE_POLL_INTERVAL = '10';
+process.env.MAX_BACKOFF = '60';
+
+const providers = require('../src/providers');
+const poller    = require('../src/poller');
+
+test('a failing job backs off, capped, and resets after a success', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.parse('2025-11-01T10:00:00Z') });
+
+  let failing = true;
+  const calls = [];
+  t.mock.method(providers, 'getCurrentMatches', async () => {
+    calls.push(Date.now());
+    if (failing) throw new Error('HTTP 503');
+    return { data: [] };
+  });
+  t.mock.method(providers, 'getMatches', async () => ({ data: [] }));
+
+  const job = () => poller.status().jobs.find(j => j.name === 'currentMatches');
+  // One scheduler tick a second, letting each run settle
+  async function advance(seconds) {
+    for (let i = 0; i < seconds; i++) {
+      t.mock.timers.tick(1000);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+  const gaps = () => calls.slice(1).map((at, i) => (at - calls[i]) / 1000);
+
+  poller.start();
+  t.after(() => poller.stop());
+
+  // Idle interval 10s: 20, 40, then capped at 60
+  await advance(1 + 20 + 40 + 60 + 60);
+  assert.deepEqual(gaps(), [20, 40, 60, 60]);
+  assert.equal(job().consecutiveFailures, 5);
+  assert.equal(job().lastError, 'HTTP 503');
+  assert.equal(job().nextRun - job().lastRun, 60 * 1000);
+
+  // The next run succeeds: back to the plain interval
+  failing = false;
+  await advance(60);
+  assert.equal(calls.length, 6);
+  assert.equal(job().consecutiveFailures, 0);
+  assert.equal(job().lastError, null);
+  assert.equal(job().nextRun - job().lastRun, 10 * 1000);
+
+  await advance(20);
+  assert.deepEqual(gaps().slice(-2), [10, 10]);
+
+  // And a new failure starts the backoff from the bottom again
+  failing = true;
+  await advance(10 + 20);
+  assert.deepEqual(gaps().slice(-2), [10, 20]);
+  assert.equal(job().consecutiveFailures, 2);
+});
@@ -0,0 +1,112 @@
+/**
+ * Provider registry: failover from Cricbuzz (replayed fixtures) to a
+ * stubbed CricketData.org, and translating match IDs between the two by
+ * their team + date fingerprint.
+ */
+
+const path   = require('path');
+const crypto = require('crypto');
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ARCHIVE_DB = ':memory:';
+process.env.DATA_PROVIDERS = 'cricbuzz,cricketdata';
+process.env.CRICBUZZ_MODE = 'replay';
+process.env.CRICBUZZ_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'cricbuzz');
+
+const cricbuzz    = require('../src/cricbuzzScraper');
+const cricketdata = require('../src/cricketApi');
+const providers   = require('../src/providers');
+
+const T20 = '100231~ind-vs-aus-2nd-t20i-australia-tour-of-india-2025';
+
+// CricketData.org stand-in: the same matches as the Cricbuzz fixtures, under
+// UUIDs, and a scorecard for any of them
+const uuids = new Map();   // cricbuzz id → uuid
+const calls = [];
+let cricketdataList = [];
+
+test.before(async () => {
+  const { data } = await cricbuzz.getCurrentMatches();
+  cricketdataList = data.map(m => {
+    uuids.set(m.id, crypto.randomUUID());
+    return { id: uuids.get(m.id), name: m.name, matchType: m.matchType, teams: m.teams,
+             dateTimeGMT: m.dateTimeGMT, status: m.status, score: m.score };
+  });
+
+  cricketdata.isConfigured = () => true;
+  cricketdata.getCurrentMatches = async () => {
+    calls.push(['getCurrentMatches']);
+    return { data: cricketdataList };
+  };
+  cricketdata.getMatches = async () => ({ data: [] });
+  cricketdata.getScorecard = async (id) => {
+    calls.push(['getScorecard', id]);
+    return { data: { id, scorecard: [{ inning: 'India Inning 1', batting: [], bowling: [], total: { r: 1 } }] } };
+  };
+});
+
+// Swaps a Cricbuzz method for the length of one test
+function stub(t, name, fn) {
+  const original = cricbuzz[name];
+  cricbuzz[name] = fn;
+  t.after(() => { cricbuzz[name] = original; });
+}
+
+test('a failing or empty primary falls through to the next provider', async (t) => {
+  stub(t, 'getCurrentMatches', async () => { throw new Error('Cricbuzz is down'); });
+  const before = providers.status().stats.cricbuzz.failures;
+
+  const res = await providers.getCurrentMatches();
+  assert.equal(res.provider, 'cricketdata');
+  assert.equal(res.data.length, cricketdataList.length);
+  assert.equal(providers.status().stats.cricbuzz.failures, before + 1);
+  assert.equal(providers.status().stats.cricbuzz.lastError, 'Cricbuzz is down');
+  assert.equal(providers.status().lastServedBy, 'cricketdata');
+
+  cricbuzz.getCurrentMatches = async () => ({ data: [] });
+  assert.equal((await providers.getCurrentMatches()).provider, 'cricketdata');
+});
+
+test('the primary serves when it can, under its own IDs', async () => {
+  const res = await providers.getCurrentMatches();
+  assert.equal(res.provider, 'cricbuzz');
+  assert.ok(res.data.some(m => m.id === T20));
+  assert.equal(providers.status().lastServedBy, 'cricbuzz');
+});
+
+test('a match list from the fallback keeps the primary IDs', async (t) => {
+  // Both lists seen: the public ID of a match is the Cricbuzz one either way
+  await providers.getCurrentMatches();
+  stub(t, 'getCurrentMatches', async () => { throw new Error('Cricbuzz is down'); });
+  const fallback = await providers.getCurrentMatches();
+  assert.equal(fallback.provider, 'cricketdata');
+  assert.ok(fallback.data.some(m => m.id === T20));
+  assert.ok(!fallback.data.some(m => [...uuids.values()].includes(m.id)));
+  assert.ok(providers.status().mappedIds >= uuids.size * 2);
+});
+
+test('a Cricbuzz ID is translated for the fallback', async (t) => {
+  stub(t, 'getScorecard', async () => { throw new Error('Cricbuzz is down'); });
+  calls.length = 0;
+  const sc = await providers.getScorecard(T20);
+  assert.equal(sc.provider, 'cricketdata');
+  assert.deepEqual(calls, [['getScorecard', uuids.get(T20)]]);
+  // Handed back under the ID that was asked for
+  assert.equal(sc.data.id, T20);
+});
+
+test('a CricketData ID is translated for Cricbuzz', async () => {
+  calls.length = 0;
+  const sc = await providers.getScorecard(uuids.get(T20));
+  assert.equal(sc.provider, 'cricbuzz');
+  assert.deepEqual(sc.data.scorecard.map(i => i.inning), ['India Inning 1', 'Australia Inning 1']);
+  assert.deepEqual(calls, []);
+});
+
+test('an ID no provider knows is an error', async () => {
+  calls.length = 0;
+  await assert.rejects(providers.getScorecard('not-a-match'), /^Error: No provider can serve match not-a-match$/);
+  await assert.rejects(providers.getSquads('ind-vs-aus'), /No provider can serve match ind-vs-aus/);
+  assert.deepEqual(calls, []);
+});
@@ -0,0 +1,195 @@
+/**
+ * Browser push against a local push-service stand-in: follows, payload
+ * encryption (decrypted here with the "browser's" keys), VAPID and
+ * delivery tracking.
+ */
+
+const path   = require('path');
+const http   = require('http');
+const crypto = require('crypto');
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ARCHIVE_DB = ':memory:';
+process.env.DATA_PROVIDERS = 'cricbuzz';
+process.env.CRICBUZZ_MODE = 'replay';
+process.env.CRICBUZZ_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'cricbuzz');
+process.env.PUSH_ALLOW_LOCAL = 'true';
+
+const push   = require('../src/push');
+const poller = require('../src/poller');
+
+const T20 = '100231~ind-vs-aus-2nd-t20i-australia-tour-of-india-2025';
+
+// ── Push service stand-in ───────────────────────────────────────────────────
+// Records every request; /gone answers 410 like an unsubscribed browser
+const received = [];
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', c => chunks.push(c));
+  req.on('end', () => {
+    received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+    res.statusCode = req.url.startsWith('/gone') ? 410 : 201;
+    res.end();
+  });
+});
+
+// A browser's subscription keys
+function browser() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return { ecdh, auth: crypto.randomBytes(16) };
+}
+
+function subscription(b, endpointPath) {
+  const { port } = server.address();
+  return {
+    endpoint: `http://127.0.0.1:${port}${endpointPath}`,
+    keys: { p256dh: b.ecdh.getPublicKey().toString('base64url'), auth: b.auth.toString('base64url') },
+  };
+}
+
+// RFC 8291 decryption, as the browser does it
+function decrypt(b, body) {
+  const salt     = body.subarray(0, 16);
+  const idLen    = body.readUInt8(20);
+  const asPublic = body.subarray(21, 21 + idLen);
+  const data     = body.subarray(21 + idLen);
+  const hkdf = (ikm, s, info, len) => Buffer.from(crypto.hkdfSync('sha256', ikm, s, info, len));
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), b.ecdh.getPublicKey(), asPublic]);
+  const ikm   = hkdf(b.ecdh.computeSecret(asPublic), b.auth, keyInfo, 32);
+  const cek   = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(data.subarray(data.length - 16));
+  const plain = Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]);
+  assert.equal(plain[plain.length - 1], 2);
+  return JSON.parse(plain.subarray(0, -1).toString());
+}
+
+function verifyVapid(header, endpoint) {
+  const [, jwt, key] = header.match(/^vapid t=([^,]+), k=(.+)$/);
+  assert.equal(key, push.publicKey());
+  const [h, c, sig] = jwt.split('.');
+  const pub = Buffer.from(key, 'base64url');
+  const publicKey = crypto.createPublicKey({ format: 'jwk', key: {
+    kty: 'EC', crv: 'P-256',
+    x: pub.subarray(1, 33).toString('base64url'), y: pub.subarray(33).toString('base64url'),
+  } });
+  assert.ok(crypto.verify('sha256', Buffer.from(`${h}.${c}`), { key: publicKey, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(sig, 'base64url')));
+  assert.equal(JSON.parse(Buffer.from(c, 'base64url')).aud, new URL(endpoint).origin);
+}
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  await poller.fetchCurrentMatches();
+});
+test.after(() => server.close());
+
+const wicket = { matchId: T20, type: 'wicket', text: 'WICKET! Travis Head c Samson b Bumrah 28 (17)' };
+
+test('subscriptions are validated and upserted by endpoint', () => {
+  assert.throws(() => push.subscribe({ subscription: { endpoint: 'http://push.example.com/x', keys: { p256dh: 'a', auth: 'b' } } }),
+    /https push service URL/);
+  assert.throws(() => push.subscribe({ subscription: subscription(browser(), '/bad'), types: ['six'] }), /Unknown event type/);
+
+  const b = browser();
+  const first = push.subscribe({ subscription: subscription(b, '/sub-upsert'), follows: { teams: ['IND', 'India Women'] } });
+  assert.equal(first.created, true);
+  assert.deepEqual(first.subscription.follows, { teams: ['ind', 'ind-w'], series: [], matches: [] });
+  assert.deepEqual(first.subscription.types, ['wicket', 'milestone', 'result']);
+  assert.equal(first.subscription.endpoint, undefined);
+
+  const again = push.subscribe({ subscription: subscription(b, '/sub-upsert'), follows: { matches: [T20] } });
+  assert.equal(again.created, false);
+  assert.equal(again.subscription.id, first.subscription.id);
+  assert.deepEqual(again.subscription.follows.matches, [T20]);
+  push.remove(first.subscription.id);
+});
+
+test('followers of a team get an encrypted, VAPID-signed notification', async () => {
+  const fan = browser(), other = browser();
+  const { subscription: sub } = push.subscribe({ subscription: subscription(fan, '/fan'), follows: { teams: ['aus'] } });
+  push.subscribe({ subscription: subscription(other, '/other'), follows: { teams: ['pak'], series: ['9050'] } });
+  received.length = 0;
+
+  const results = await push.dispatch(wicket);
+  assert.deepEqual(results, [{ status: 201 }]);
+  assert.equal(received.length, 1);
+
+  const [req] = received;
+  assert.equal(req.path, '/fan');
+  assert.equal(req.headers['content-encoding'], 'aes128gcm');
+  assert.equal(req.headers.urgency, 'high');
+  verifyVapid(req.headers.authorization, subscription(fan, '/fan').endpoint);
+  assert.deepEqual(decrypt(fan, req.body), {
+    title: 'IND v AUS', body: wicket.text, url: `match.html?id=${encodeURIComponent(T20)}`,
+    tag: `${T20}:wicket`, type: 'wicket', matchId: T20,
+  });
+
+  // Event types the subscription didn't ask for are skipped
+  received.length = 0;
+  await push.dispatch({ ...wicket, type: 'innings_end' });
+  assert.equal(received.length, 0);
+
+  const tracked = push.get(sub.id);
+  assert.equal(tracked.stats.delivered, 1);
+  assert.equal(tracked.stats.lastStatus, 'sent');
+  assert.deepEqual(tracked.deliveries.map(d => [d.type, d.status]), [['wicket', 'sent']]);
+});
+
+test('an expired subscription is removed; test pushes report the result', async () => {
+  const { subscription: gone } = push.subscribe({ subscription: subscription(browser(), '/gone'), follows: { matches: [T20] } });
+  const results = await push.dispatch(wicket);
+  assert.ok(results.some(r => r.status === 410 && r.error === 'Subscription expired'));
+  assert.equal(push.get(gone.id), null);
+
+  const b = browser();
+  const { subscription: sub } = push.subscribe({ subscription: subscription(b, '/check') });
+  received.length = 0;
+  assert.deepEqual(await push.test(sub.id), { status: 201 });
+  assert.equal(decrypt(b, received[0].body).tag, 'test');
+  assert.equal(await push.test('missing'), null);
+});
+
+test('endpoints on this machine or a private network are refused', async () => {
+  const keys = subscription(browser(), '/x').keys;
+  const refused = ['http://push.example.com/x', 'https://10.0.0.7/x', 'https://169.254.169.254/latest',
+                   'https://192.168.1.1/x', 'https://[fd00::1]/x'];
+  delete process.env.PUSH_ALLOW_LOCAL;
+  try {
+    for (const endpoint of [...refused, 'http://127.0.0.1:8080/x', 'http://localhost/x', 'http://[::1]/x',
+                            'https://localhost/x']) {
+      assert.throws(() => push.subscribe({ subscription: { endpoint, keys } }), /not a loopback/, endpoint);
+    }
+  } finally {
+    process.env.PUSH_ALLOW_LOCAL = 'true';
+  }
+  // The flag only opens up this machine
+  for (const endpoint of refused) {
+    assert.throws(() => push.subscribe({ subscription: { endpoint, keys } }), /not a loopback/, endpoint);
+  }
+
+  // Subscribed while allowed, then refused at delivery once the flag is off
+  const { subscription: sub } = push.subscribe({
+    subscription: { ...subscription(browser(), '/resolved'), endpoint: `http://localhost:${server.address().port}/resolved` },
+  });
+  received.length = 0;
+  delete process.env.PUSH_ALLOW_LOCAL;
+  try {
+    const result = await push.test(sub.id);
+    assert.match(result.error, /resolves to a private address/);
+  } finally {
+    process.env.PUSH_ALLOW_LOCAL = 'true';
+  }
+  assert.equal(received.length, 0);
+  // Only the outcome is kept
+  const tracked = push.get(sub.id);
+  assert.equal(tracked.stats.lastStatus, 'failed');
+  assert.deepEqual(tracked.deliveries.map(d => Object.keys(d)), [['type', 'matchId', 'status', 'sentAt']]);
+  assert.equal(tracked.deliveries[0].status, 'failed');
+  push.remove(sub.id);
+});
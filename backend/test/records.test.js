@@ -0,0 +1,99 @@
+/**
+ * Head-to-head and venue records built from archived matches.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ARCHIVE_DB = ':memory:';
+
+const archive = require('../src/archive');
+const records = require('../src/records');
+
+let n = 0;
+// A finished match between `batFirst` and `chase`, `first`/`second` = [runs, wickets]
+function save({ batFirst, chase, first, second, status, venue = 'Wankhede Stadium, Mumbai', matchType = 't20', toss, scorers = [] }) {
+  const id = String(++n);
+  const match = {
+    id, name: `${batFirst} vs ${chase}, Match ${id}`, matchType, teams: [batFirst, chase], status,
+    matchStarted: true, matchEnded: true, venue, category: 'international', gender: 'mens',
+    dateTimeGMT: `2025-0${n}-01T13:30:00.000Z`,
+    score: [
+      { inning: `${batFirst} Inning 1`, r: first[0], w: first[1], o: '20' },
+      ...(second ? [{ inning: `${chase} Inning 1`, r: second[0], w: second[1], o: '19.2' }] : []),
+    ],
+  };
+  const scorecard = {
+    scorecard: [{
+      inning: `${batFirst} Inning 1`,
+      batting: scorers.map(([name, r, b]) => ({ batsman: { name }, 'dismissal-text': 'c X b Y', r, b, '4s': 0, '6s': 0 })),
+      bowling: [{ bowler: { name: `${chase} Bowler` }, o: '4', m: 0, r: 30, w: 2 }],
+    }],
+  };
+  const info = { venue, tossWinner: toss?.[0] || '', tossChoice: toss?.[1] || '' };
+  archive.save(match, scorecard, info);
+}
+
+save({ batFirst: 'India', chase: 'Australia', first: [190, 5], second: [170, 9], status: 'India won by 20 runs',
+  toss: ['India', 'bat'], scorers: [['Abhishek Sharma', 70, 40], ['Shubman Gill', 10, 12]] });
+save({ batFirst: 'Australia', chase: 'India', first: [150, 8], second: [151, 4], status: 'India won by 6 wkts',
+  toss: ['India', 'bowl'], scorers: [['Travis Head', 60, 35]] });
+save({ batFirst: 'India', chase: 'Australia', first: [160, 7], second: [161, 2], status: 'Australia won by 8 wkts',
+  toss: ['Australia', 'bowl'], scorers: [['Abhishek Sharma', 30, 20]] });
+save({ batFirst: 'India', chase: 'Australia', first: [40, 1], status: 'No result',
+  toss: ['Australia', 'bowl'] });
+save({ batFirst: 'Australia', chase: 'India', first: [400, 10], status: 'Match drawn', matchType: 'test',
+  venue: 'Melbourne Cricket Ground, Melbourne' });
+save({ batFirst: 'India', chase: 'England', first: [200, 6], second: [180, 8], status: 'India won by 20 runs',
+  venue: 'Eden Gardens, Kolkata' });
+
+test('head to head counts each side\'s results across formats', () => {
+  const h2h = records.headToHead({ teams: 'IND,Australia' });
+  assert.equal(h2h.matches, 5);
+  const [india, australia] = h2h.teams;
+  assert.equal(india.id, 'ind');
+  const { won, lost, tied, drawn, noResult } = india;
+  assert.deepEqual({ won, lost, tied, drawn, noResult }, { won: 2, lost: 1, tied: 0, drawn: 1, noResult: 1 });
+  assert.equal(australia.won, 1);
+  assert.equal(australia.lost, 2);
+
+  assert.equal(h2h.recent[0].status, 'Match drawn');
+  assert.equal(h2h.recent[2].winner, 'aus');
+  assert.deepEqual(h2h.topRunScorers[0], {
+    player: 'Abhishek Sharma', teamId: 'ind', innings: 2, runs: 100, average: 50, strikeRate: 166.67, highest: 70,
+  });
+  assert.deepEqual(h2h.topWicketTakers[0], {
+    player: 'Australia Bowler', teamId: 'aus', innings: 3, wickets: 6, average: 15, economy: 7.5,
+  });
+});
+
+test('head to head filters by format and rejects bad queries', () => {
+  assert.equal(records.headToHead({ teams: 'ind,aus', format: 'test' }).matches, 1);
+  assert.equal(records.headToHead({ teams: 'ind,aus', format: 't20' }).matches, 4);
+  assert.equal(records.headToHead({ teams: 'ind,Atlantis' }), null);
+  assert.throws(() => records.headToHead({ teams: 'ind' }), /two teams/);
+  assert.throws(() => records.headToHead({ teams: 'ind,india' }), /different teams/);
+  assert.throws(() => records.headToHead({ teams: 'ind,aus', format: 't30' }), /Unknown format/);
+});
+
+test('venue records split by format', () => {
+  const v = records.venue('wankhede stadium');
+  assert.equal(v.name, 'Wankhede Stadium');
+  assert.equal(v.city, 'Mumbai');
+  assert.equal(v.matches, 4);
+  assert.deepEqual(Object.keys(v.formats), ['t20']);
+
+  const t20 = v.formats.t20;
+  // The no result's 40 is left out
+  assert.equal(t20.averageFirstInnings, 166.7);
+  assert.deepEqual(t20.results, { decided: 3, battingFirstWon: 1, chasingWon: 2, battingFirstPct: 33.3, chasingPct: 66.7 });
+  assert.deepEqual(t20.highestTotals.map(t => [t.team, t.runs, t.against]),
+    [['India', 190, 'Australia'], ['Australia', 170, 'India'], ['Australia', 161, 'India']]);
+  assert.deepEqual(t20.toss, { decisions: 4, bat: 1, bowl: 3, batPct: 25, bowlPct: 75, winnerWonPct: 100 });
+});
+
+test('venues match on the ground without its city', () => {
+  assert.equal(records.venue('Melbourne Cricket Ground, Melbourne').formats.test.matches, 1);
+  assert.equal(records.venue('Wankhede Stadium, Mumbai', { format: 'test' }), null);
+  assert.equal(records.venue('Wankhede'), null);
+});
@@ -0,0 +1,123 @@
+/**
+ * Shared Redis cache store — two Cache instances standing in for two backend
+ * processes. Needs a Redis-compatible server:
+ *
+ *   REDIS_URL=redis://127.0.0.1:6379 npm test
+ *
+ * Skipped when REDIS_URL isn't set. Keys go under a random prefix, so a
+ * server with other data on it is fine.
+ */
+
+const crypto = require('crypto');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Cache } = require('../src/cache');
+const RedisStore = require('../src/redisStore');
+
+const REDIS_URL = process.env.REDIS_URL;
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function instances() {
+  const prefix = `criclive-test:${crypto.randomUUID()}:`;
+  const stores = [0, 1].map(() => new RedisStore({ url: REDIS_URL, prefix, maxStaleMs: 60 * 1000 }));
+  const caches = stores.map(store => new Cache({ store, lockTtlMs: 5000 }));
+  return { stores, caches, close: () => stores.forEach(s => s.close()) };
+}
+
+// Subscriptions are set up asynchronously after connecting
+async function ready(stores) {
+  for (let i = 0; i < 50 && !stores.every(s => s.stats().connected); i++) await sleep(20);
+  await sleep(50);
+}
+
+test('redis store', { skip: !REDIS_URL && 'REDIS_URL not set' }, async (t) => {
+  await t.test('an entry written by one instance reaches the other', async () => {
+    const { stores, caches: [a, b], close } = instances();
+    try {
+      await ready(stores);
+      const seen = [];
+      b.on('set', (key, value) => seen.push([key, value]));
+
+      a.set('scorecard:1', { total: 183 }, 30);
+      for (let i = 0; i < 50 && !seen.length; i++) await sleep(20);
+      assert.deepEqual(seen, [['scorecard:1', { total: 183 }]]);
+      assert.equal(b.get('scorecard:1').value.total, 183);
+
+      let calls = 0;
+      const hit = await b.getOrFetch('scorecard:1', async () => { calls++; });
+      assert.deepEqual([hit.value.total, hit.stale, calls], [183, false, 0]);
+    } finally {
+      close();
+    }
+  });
+
+  await t.test('a missing local copy is loaded from redis', async () => {
+    const { stores, caches: [a, b], close } = instances();
+    try {
+      await ready(stores);
+      a.set('matchinfo:1', { venue: "Lord's" }, 60);
+      await sleep(100);
+      b.flush();
+      assert.equal(b.peek('matchinfo:1'), null);
+
+      const { value } = await b.getOrFetch('matchinfo:1', async () => assert.fail('should not fetch'));
+      assert.equal(value.venue, "Lord's");
+    } finally {
+      close();
+    }
+  });
+
+  await t.test('only one instance fetches a key at a time', async () => {
+    const { stores, caches: [a, b], close } = instances();
+    try {
+      await ready(stores);
+      let calls = 0;
+      const loader = async () => { calls++; await sleep(300); return { n: calls }; };
+
+      const [fromA, fromB] = await Promise.all([
+        a.refresh('currentMatches', loader, 30),
+        b.refresh('currentMatches', loader, 30),
+      ]);
+      assert.equal(calls, 1);
+      assert.deepEqual(fromA, { n: 1 });
+      assert.deepEqual(fromB, { n: 1 });
+      assert.equal(a.stats().prefixes.currentMatches.refreshes + b.stats().prefixes.currentMatches.refreshes, 1);
+      assert.equal(await stores[0].isLocked('currentMatches'), false);
+    } finally {
+      close();
+    }
+  });
+
+  await t.test('a lock can only be released by its holder', async () => {
+    const { stores: [s], close } = instances();
+    try {
+      const token = await s.lock('scorecard:9', 5000);
+      assert.ok(token);
+      assert.equal(await s.lock('scorecard:9', 5000), null);
+      await s.unlock('scorecard:9', 'someone-else');
+      assert.equal(await s.isLocked('scorecard:9'), true);
+      await s.unlock('scorecard:9', token);
+      assert.equal(await s.isLocked('scorecard:9'), false);
+    } finally {
+      close();
+    }
+  });
+
+  await t.test('entries expire from redis after the TTL plus the stale window', async () => {
+    const prefix = `criclive-test:${crypto.randomUUID()}:`;
+    const store  = new RedisStore({ url: REDIS_URL, prefix, maxStaleMs: 0 });
+    try {
+      // Already expired: kept for the 1s grace period only
+      store.save('commentary:1:latest', { value: 'ball', expiresAt: Date.now() - 1000, cachedAt: Date.now() - 2000 });
+      await sleep(50);
+      store.clear();
+      assert.ok(await store.load('commentary:1:latest'));
+      await sleep(1100);
+      store.clear();
+      assert.equal(await store.load('commentary:1:latest'), null);
+    } finally {
+      store.close();
+    }
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Series points table: results read from status lines, points and net run
+ * rate from the innings totals.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ARCHIVE_DB = ':memory:';
+
+const { pointsTable, resultOf } = require('../src/series');
+
+function match(teams, status, score = [], matchType = 't20') {
+  return { teams, status, score, matchType, matchStarted: true, matchEnded: true };
+}
+
+const inn = (team, r, w, o) => ({ inning: `${team} Inning 1`, r, w, o });
+
+test('results are read from the status line', () => {
+  const teams = ['India', 'India A'];
+  assert.deepEqual(resultOf(match(teams, 'India A won by 5 wkts')), { type: 'win', winner: 'India A', loser: 'India' });
+  assert.deepEqual(resultOf(match(teams, 'Match tied (India won the Super Over)')), { type: 'win', winner: 'India', loser: 'India A' });
+  assert.deepEqual(resultOf(match(teams, 'Match tied')), { type: 'tie' });
+  assert.deepEqual(resultOf(match(teams, 'No result')), { type: 'no_result' });
+  assert.deepEqual(resultOf(match(teams, 'Match abandoned due to rain')), { type: 'no_result' });
+  assert.equal(resultOf(match(teams, 'Stumps')), null);
+});
+
+test('points table: points, NRR and ranking', () => {
+  const table = pointsTable([
+    // A 160/5 (20) beat B 150/10 (18.3) — B charged the full 20 overs
+    match(['Alpha', 'Bravo'], 'Alpha won by 10 runs', [inn('Alpha', 160, 5, '20'), inn('Bravo', 150, 10, '18.3')]),
+    // C 120/8 (20) lost to B 121/2 (15.4)
+    match(['Charlie', 'Bravo'], 'Bravo won by 8 wkts', [inn('Charlie', 120, 8, '20'), inn('Bravo', 121, 2, '15.4')]),
+    // A v C washed out
+    match(['Alpha', 'Charlie'], 'No result'),
+    // Not finished: ignored
+    { ...match(['Alpha', 'Bravo'], 'Alpha need 20 runs'), matchEnded: false },
+  ]);
+
+  assert.deepEqual(table.map(r => [r.position, r.team, r.played, r.won, r.lost, r.noResult, r.points]), [
+    [1, 'Alpha',   2, 1, 0, 1, 3],
+    [2, 'Bravo',   2, 1, 1, 0, 2],
+    [3, 'Charlie', 2, 0, 1, 1, 1],
+  ]);
+
+  const bravo = table[1];
+  assert.deepEqual(bravo.for, { runs: 271, overs: '35.4' });
+  assert.deepEqual(bravo.against, { runs: 280, overs: '40' });
+  // 271 / 35.667 − 280 / 40
+  assert.equal(bravo.nrr, 0.598);
+  assert.equal(table[0].nrr, +(160 / 20 - 150 / 20).toFixed(3));
+});
+
+test('points table: ties share the points and NRR breaks level points', () => {
+  const table = pointsTable([
+    match(['Alpha', 'Bravo'], 'Match tied', [inn('Alpha', 150, 6, '20'), inn('Bravo', 150, 9, '20')]),
+    match(['Charlie', 'Delta'], 'Match tied', [inn('Charlie', 100, 10, '15'), inn('Delta', 100, 3, '12')]),
+  ]);
+  assert.ok(table.every(r => r.points === 1 && r.tied === 1));
+  // Delta scored faster than Charlie; Alpha and Bravo are level at 0
+  assert.deepEqual(table.map(r => r.team), ['Delta', 'Alpha', 'Bravo', 'Charlie']);
+});
@@ -0,0 +1,48 @@
+/**
+ * Squad players' markers, batting order before the first ball, and squads
+ * rebuilt from an archived scorecard.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const squads = require('../src/squads');
+
+test('captain, keeper and substitute markers come off the name', () => {
+  const pick = p => [p.name, p.captain, p.keeper, p.substitute, p.replaces];
+  assert.deepEqual(pick(squads.player('Mushfiqur Rahim (c & wk)')), ['Mushfiqur Rahim', true, true, null, null]);
+  assert.deepEqual(pick(squads.player('Shivam Dube (Impact Sub)')), ['Shivam Dube', false, false, 'impact', null]);
+  assert.deepEqual(pick(squads.player('Matthew Short (Concussion Sub for Josh Inglis)')),
+    ['Matthew Short', false, false, 'concussion', 'Josh Inglis']);
+  assert.deepEqual(pick(squads.player('Harshit Rana (for Shivam Dube)', { substitute: 'concussion' })),
+    ['Harshit Rana', false, false, 'concussion', 'Shivam Dube']);
+});
+
+test('before a side bats its XI is numbered in listed order', () => {
+  const squad = {
+    team: 'India', announced: true, bench: [], squad: [],
+    playing: ['Abhishek Sharma', 'Shubman Gill', 'Harshit Rana (Impact Sub)'].map(name => squads.player(name)),
+  };
+  const out = squads.withBattingOrder(squad, { scorecard: [{ inning: 'Australia Inning 1', batting: [] }] });
+  assert.equal(out.battingOrder, 'listed');
+  assert.deepEqual(out.playing.map(p => p.battingPosition), [1, 2, null]);
+});
+
+test('archived matches get their XIs from the scorecard', () => {
+  const match = { id: '1', teams: ['India', 'Australia'] };
+  const scorecard = {
+    scorecard: [{
+      inning: 'India Inning 1',
+      batting: [{ batsman: { name: 'Abhishek Sharma' } }, { batsman: { name: 'Suryakumar Yadav (c)' } }],
+      didNotBat: [{ name: 'Sanju Samson (wk)' }],
+    }],
+  };
+  const { squads: [india, australia] } = squads.fromScorecard(match, scorecard);
+  assert.deepEqual(india.playing.map(p => [p.battingPosition, p.name, p.captain, p.keeper]), [
+    [1, 'Abhishek Sharma', false, false],
+    [2, 'Suryakumar Yadav', true, false],
+    [3, 'Sanju Samson', false, true],
+  ]);
+  assert.equal(india.battingOrder, 'scorecard');
+  assert.deepEqual([australia.announced, australia.playing], [false, []]);
+});
@@ -0,0 +1,122 @@
+/**
+ * SSE stream: per-match channels, replay after Last-Event-ID, the snapshot
+ * for an ID from before a restart, and the bounded replay buffer.
+ */
+
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+process.env.ARCHIVE_DB = ':memory:';
+process.env.DATA_PROVIDERS = 'cricbuzz';
+process.env.CRICBUZZ_MODE = 'replay';
+process.env.CRICBUZZ_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'cricbuzz');
+
+const cache  = require('../src/cache');
+const stream = require('../src/stream');
+
+// An EventSource stand-in: the request it sends and the frames it receives
+function connect(channel, lastEventId) {
+  const req = Object.assign(new EventEmitter(), {
+    query: {},
+    get: name => (name === 'Last-Event-ID' && lastEventId !== undefined ? String(lastEventId) : undefined),
+  });
+  const chunks = [];
+  const res = { writeHead() {}, write: chunk => chunks.push(chunk) };
+  stream.subscribe(req, res, channel, () => ({ snapshot: channel }));
+
+  return {
+    frames: () => chunks.join('').split('\n\n').filter(f => f.startsWith('id:')).map(f => {
+      const [, id, type, data] = f.match(/^id: (\d+)\nevent: (\w+)\ndata: (.*)$/s);
+      return { id: +id, type, data: JSON.parse(data) };
+    }),
+    close: () => req.emit('close'),
+  };
+}
+
+// A scorecard snapshot for match `id` whose first innings total is `r`
+function scorecard(id, r) {
+  cache.set(`scorecard:${id}`, { scorecard: [{ inning: 'India Inning 1', batting: [], bowling: [], total: { r, w: 0, o: '1' } }] }, 30);
+}
+
+test.before(() => {
+  cache.set('currentMatches', { data: [] }, 30);
+  scorecard('a', 0);
+  scorecard('b', 0);
+});
+
+test('a channel only gets its own match, after the snapshot', () => {
+  const a = connect('match:a');
+  const b = connect('match:b');
+  scorecard('a', 4);
+  scorecard('b', 6);
+  scorecard('a', 10);
+  a.close();
+  b.close();
+
+  const frames = a.frames();
+  assert.equal(frames[0].type, 'snapshot');
+  assert.deepEqual(frames[0].data, { snapshot: 'match:a' });
+  assert.deepEqual(frames.slice(1).map(f => [f.type, f.data.id, f.data.innings[0].inning.total.r]),
+    [['scorecard', 'a', 4], ['scorecard', 'a', 10]]);
+  assert.deepEqual(b.frames().slice(1).map(f => f.data.innings[0].inning.total.r), [6]);
+
+  // IDs only go up, and are shared across channels
+  const ids = [...frames, ...b.frames()].slice(1).map(f => f.id).sort((x, y) => x - y);
+  assert.equal(new Set(ids).size, ids.length);
+  // Closed clients get nothing more
+  scorecard('a', 12);
+  assert.equal(a.frames().length, 3);
+});
+
+test('a reconnect with Last-Event-ID gets what it missed on its channel', () => {
+  const first = connect('match:a');
+  scorecard('a', 20);
+  const lastSeen = first.frames().at(-1).id;
+  first.close();
+
+  scorecard('a', 24);
+  scorecard('b', 30);
+  scorecard('a', 28);
+
+  const resumed = connect('match:a', lastSeen);
+  const frames = resumed.frames();
+  resumed.close();
+  // No snapshot, just the missed updates in order
+  assert.deepEqual(frames.map(f => [f.type, f.data.innings[0].inning.total.r]), [['scorecard', 24], ['scorecard', 28]]);
+  assert.ok(frames.every(f => f.id > lastSeen));
+
+  // Up to date: nothing to replay
+  const current = connect('match:a', frames.at(-1).id);
+  assert.deepEqual(current.frames(), []);
+  current.close();
+});
+
+test('an ID this process never handed out gets a snapshot', () => {
+  const { lastEventId } = stream.status();
+  const restarted = connect('match:a', lastEventId + 1000);
+  const frames = restarted.frames();
+  restarted.close();
+  assert.deepEqual(frames.map(f => [f.id, f.type]), [[lastEventId, 'snapshot']]);
+});
+
+test('the replay buffer is bounded; older IDs get a snapshot', () => {
+  const start = stream.status().lastEventId;
+  for (let r = 100; r < 700; r++) scorecard('b', r);
+
+  const { buffered, lastEventId } = stream.status();
+  assert.equal(buffered, 500);
+  assert.equal(lastEventId, start + 600);
+
+  // The oldest update still buffered comes right after lastEventId - 500
+  const edge = connect('match:b', lastEventId - 500);
+  assert.equal(edge.frames().length, 500);
+  assert.equal(edge.frames()[0].data.innings[0].inning.total.r, 200);
+  edge.close();
+
+  const tooOld = connect('match:b', start);
+  assert.deepEqual(tooOld.frames().map(f => f.type), ['snapshot']);
+  tooOld.close();
+  assert.equal(stream.status().clients, 0);
+});
@@ -0,0 +1,87 @@
+/**
+ * Team registry: aliases to canonical IDs, payload annotation, and team
+ * pages over the Cricbuzz fixture match list.
+ */
+
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ARCHIVE_DB = ':memory:';
+process.env.DATA_PROVIDERS = 'cricbuzz';
+process.env.CRICBUZZ_MODE = 'replay';
+process.env.CRICBUZZ_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'cricbuzz');
+
+const teams     = require('../src/teams');
+const teamHub   = require('../src/teamHub');
+const poller    = require('../src/poller');
+const providers = require('../src/providers');
+
+const T20 = '100231~ind-vs-aus-2nd-t20i-australia-tour-of-india-2025';
+
+test('every alias of a national side resolves to one ID', () => {
+  for (const name of ['IND', 'India', 'india', ' India ']) assert.equal(teams.resolve(name).id, 'ind');
+  for (const name of ['India Women', 'Ind-W', 'INDW', 'IND W']) assert.equal(teams.resolve(name).id, 'ind-w');
+  assert.equal(teams.resolve('India', { gender: 'womens' }).id, 'ind-w');
+  assert.equal(teams.resolve('SA').id, 'rsa');
+
+  const u19 = teams.resolve('South Africa Women U19');
+  assert.deepEqual({ ...u19 }, {
+    id: 'rsa-w-u19', name: 'South Africa Women U19', shortname: 'RSAW-U19', gender: 'womens',
+    country: 'South Africa', flag: '🇿🇦', logo: null,
+  });
+  assert.equal(teams.resolve('India A').id, 'ind-a');
+});
+
+test('other teams are registered under a slug with the source\'s short name', () => {
+  const mi = teams.resolve('Mumbai Indians', { shortname: 'MI', logo: 'https://img/mi.jpg' });
+  assert.deepEqual({ ...mi }, {
+    id: 'mumbai-indians', name: 'Mumbai Indians', shortname: 'MI', gender: 'mens',
+    country: null, flag: null, logo: 'https://img/mi.jpg',
+  });
+  assert.equal(teams.resolve('MI'), mi);
+  assert.equal(teams.get('mumbai indians'), mi);
+  assert.equal(teams.get('Never Seen XI'), null);
+});
+
+test('annotate stamps team IDs on teamInfo and scorecard innings', () => {
+  const out = teams.annotate({
+    teams: ['Sri Lanka', 'Bangladesh'],
+    teamInfo: [{ name: 'Sri Lanka', shortname: '', img: null }],
+    scorecard: [{ inning: 'Sri Lanka Inning 1' }, { inning: 'Bangladesh Inning 1' }],
+  });
+  assert.deepEqual(out.teamInfo, [
+    { id: 'sl', name: 'Sri Lanka', shortname: 'SL', img: null, flag: '🇱🇰' },
+    { id: 'ban', name: 'Bangladesh', shortname: 'BAN', img: null, flag: '🇧🇩' },
+  ]);
+  assert.deepEqual(out.scorecard.map(i => i.teamId), ['sl', 'ban']);
+});
+
+test('provider payloads carry canonical team IDs', async () => {
+  const { data } = await providers.getCurrentMatches();
+  const t20 = data.find(m => m.id === T20);
+  assert.deepEqual(t20.teamInfo.map(t => [t.id, t.shortname, t.flag]), [['ind', 'IND', '🇮🇳'], ['aus', 'AUS', '🇦🇺']]);
+  // Cricbuzz logos are learned from the match list
+  assert.match(teams.get('ind').logo, /static\.cricbuzz\.com/);
+
+  const card = await providers.getScorecard(T20);
+  assert.deepEqual(card.data.scorecard.map(i => i.teamId), ['ind', 'aus']);
+  const info = await providers.getMatchInfo(T20);
+  assert.deepEqual(info.data.teamInfo.map(t => t.id), ['ind', 'aus']);
+  assert.ok(info.data.teamInfo.every(t => t.shortname && t.img));
+});
+
+test('team pages list live, upcoming and recent matches', async () => {
+  await poller.fetchCurrentMatches();
+  const ind = teamHub.get('IND');
+  assert.equal(ind.id, 'ind');
+  assert.deepEqual(ind.live.map(m => m.id), [T20]);
+  assert.ok(ind.aliases.includes('india'));
+
+  // The women's side has its own page
+  assert.deepEqual(teamHub.get('ind-w').live.map(m => m.teamInfo.map(t => t.id)), [['aus-w', 'ind-w']]);
+
+  const listed = teamHub.list({ q: 'india' });
+  assert.deepEqual(listed.slice(0, 2).map(t => [t.id, t.counts.live]), [['ind', 1], ['ind-w', 1]]);
+  assert.equal(teamHub.get('nowhere'), null);
+});
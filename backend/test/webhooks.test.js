@@ -0,0 +1,176 @@
+/**
+ * Webhooks against a local receiver: signed payloads for detected match
+ * events, subscription filters, retries and the dead-letter log.
+ */
+
+const path   = require('path');
+const http   = require('http');
+const crypto = require('crypto');
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ARCHIVE_DB = ':memory:';
+process.env.DATA_PROVIDERS = 'cricbuzz';
+process.env.CRICBUZZ_MODE = 'replay';
+process.env.CRICBUZZ_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'cricbuzz');
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE = '0';
+process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+
+const webhooks = require('../src/webhooks');
+const cache    = require('../src/cache');
+const poller   = require('../src/poller');
+
+const T20  = '100231~ind-vs-aus-2nd-t20i-australia-tour-of-india-2025';
+const WODI = '100277~ausw-vs-indw-1st-odi-india-women-tour-of-australia-2026';
+
+// ── Receiver ────────────────────────────────────────────────────────────────
+// Records every request. /flaky fails its first request, /down every one.
+const received = [];
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', c => chunks.push(c));
+  req.on('end', () => {
+    const tries = received.filter(r => r.path === req.url).length;
+    received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() });
+    res.statusCode = req.url === '/down' || (req.url === '/flaky' && tries === 0) ? 500 : 200;
+    res.end();
+  });
+});
+
+const url = p => `http://127.0.0.1:${server.address().port}${p}`;
+const at  = p => received.filter(r => r.path === p);
+
+async function waitFor(check, ms = 2000) {
+  const until = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > until) throw new Error('Timed out waiting for deliveries');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// A scorecard snapshot where `batter` is either still in or out
+function scorecard(batter, dismissal, r, inning = 'Australia Inning 1') {
+  return { scorecard: [{
+    inning,
+    batting: [{ batsman: { name: batter }, 'dismissal-text': dismissal, r, b: 17 }],
+    bowling: [],
+    total:   { r: 40, w: dismissal === 'batting' ? 0 : 1, o: '4.2' },
+  }] };
+}
+
+// The first snapshot is only a baseline; the second one's dismissal is the
+// "wicket" event the webhooks are sent
+function wicket(batter, matchId = T20, inning) {
+  cache.set(`scorecard:${matchId}`, scorecard(batter, 'batting', 28, inning), 30);
+  cache.set(`scorecard:${matchId}`, scorecard(batter, 'c Samson b Bumrah', 28, inning), 30);
+}
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  await poller.fetchCurrentMatches();
+});
+test.after(() => server.close());
+
+test('subscriptions are validated', () => {
+  assert.throws(() => webhooks.create({ url: 'ftp://example.com/hook' }), /absolute http\(s\) URL/);
+  assert.throws(() => webhooks.create({ url: 'https://example.com/hook', filter: { types: ['six'] } }),
+    /Unknown event type/);
+
+  delete process.env.WEBHOOK_ALLOW_PRIVATE;
+  try {
+    for (const target of ['http://127.0.0.1/', 'http://localhost:8080/', 'http://[::1]/', 'http://10.0.0.7/',
+                          'http://169.254.169.254/latest/meta-data', 'http://192.168.1.1/']) {
+      assert.throws(() => webhooks.create({ url: target }), /private address/, target);
+    }
+  } finally {
+    process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+  }
+});
+
+test('matching subscriptions get a signed payload', async () => {
+  const hook       = webhooks.create({ url: url('/hook'), filter: { teams: 'australia', types: ['wicket'] } });
+  const otherMatch = webhooks.create({ url: url('/other-match'), filter: { matchIds: ['999'] } });
+  const otherTeam  = webhooks.create({ url: url('/other-team'), filter: { teams: ['Pakistan'] } });
+  const otherType  = webhooks.create({ url: url('/other-type'), filter: { types: ['milestone'] } });
+  assert.match(hook.secret, /^[0-9a-f]{48}$/);
+
+  wicket('Travis Head');
+  await waitFor(() => webhooks.get(hook.id).stats.delivered === 1);
+
+  const [req] = at('/hook');
+  const payload = JSON.parse(req.body);
+  assert.equal(req.headers['x-criclive-event'], 'wicket');
+  assert.equal(req.headers['x-criclive-delivery'], payload.deliveryId);
+  assert.equal(req.headers['x-criclive-signature'],
+    `sha256=${crypto.createHmac('sha256', hook.secret).update(req.body).digest('hex')}`);
+  assert.equal(req.headers['x-criclive-signature'], webhooks.sign(hook.secret, req.body));
+  assert.equal(payload.type, 'wicket');
+  assert.equal(payload.matchId, T20);
+  assert.deepEqual(payload.match.teams, ['India', 'Australia']);
+  assert.equal(payload.data.batter, 'Travis Head');
+
+  assert.deepEqual(['/other-match', '/other-team', '/other-type'].map(p => at(p).length), [0, 0, 0]);
+  assert.equal(at('/hook').length, 1);
+  assert.equal(webhooks.get(hook.id).secret, undefined);
+
+  for (const sub of [hook, otherMatch, otherTeam, otherType]) webhooks.remove(sub.id);
+});
+
+test('team filters match team IDs, not names that contain them', async () => {
+  const india  = webhooks.create({ url: url('/india'), filter: { teams: ['India', 'IND'], types: ['wicket'] } });
+  const womens = webhooks.create({ url: url('/india-women'), filter: { teams: 'Ind-W', types: ['wicket'] } });
+  assert.deepEqual(india.filter.teams, ['ind']);
+  assert.deepEqual(webhooks.get(womens.id).filter.teams, ['ind-w']);
+
+  wicket('Smriti Mandhana', WODI, 'India Women Inning 1');
+  await waitFor(() => webhooks.get(womens.id).stats.delivered === 1);
+  wicket('Abhishek Sharma', T20, 'India Inning 1');
+  await waitFor(() => webhooks.get(india.id).stats.delivered === 1);
+
+  assert.deepEqual(at('/india').map(r => JSON.parse(r.body).data.batter), ['Abhishek Sharma']);
+  assert.deepEqual(at('/india-women').map(r => JSON.parse(r.body).data.batter), ['Smriti Mandhana']);
+  webhooks.remove(india.id);
+  webhooks.remove(womens.id);
+});
+
+test('failed deliveries are retried, then dead-lettered', async () => {
+  const flaky = webhooks.create({ url: url('/flaky'), filter: { types: ['wicket'] } });
+  const down  = webhooks.create({ url: url('/down'), filter: { types: ['wicket'] } });
+
+  wicket('Mitchell Marsh');
+  await waitFor(() => webhooks.get(flaky.id).stats.delivered === 1 && webhooks.get(down.id).deadLetters.length === 1);
+
+  // The retry carries the same delivery
+  const [first, retry] = at('/flaky');
+  assert.equal(first.headers['x-criclive-delivery'], retry.headers['x-criclive-delivery']);
+  assert.deepEqual(webhooks.get(flaky.id).stats, {
+    delivered: 1, failed: 1, lastStatus: '200', lastDelivery: webhooks.get(flaky.id).stats.lastDelivery,
+  });
+  assert.deepEqual(webhooks.get(flaky.id).deadLetters, []);
+
+  assert.equal(at('/down').length, 3);
+  const { stats, deadLetters: [dead] } = webhooks.get(down.id);
+  assert.equal(stats.failed, 3);
+  assert.equal(dead.attempts, 3);
+  assert.equal(dead.lastError, 'HTTP 500');
+  assert.equal(dead.deliveryId, at('/down')[0].headers['x-criclive-delivery']);
+  assert.equal(dead.payload.data.batter, 'Mitchell Marsh');
+  assert.equal(webhooks.status().deadLetters, 1);
+
+  webhooks.remove(flaky.id);
+  webhooks.remove(down.id);
+});
+
+test('a hostname resolving to a private address is refused at delivery', async () => {
+  const sub = webhooks.create({ url: `http://localhost:${server.address().port}/resolved`, filter: { types: ['wicket'] } });
+  delete process.env.WEBHOOK_ALLOW_PRIVATE;
+  try {
+    wicket('Josh Inglis');
+    await waitFor(() => webhooks.get(sub.id).deadLetters.length === 1);
+  } finally {
+    process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+  }
+  assert.equal(at('/resolved').length, 0);
+  assert.match(webhooks.get(sub.id).deadLetters[0].lastError, /resolves to a private address/);
+});
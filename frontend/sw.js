@@ -0,0 +1,27 @@
+// CricLive service worker — shows the notifications the backend pushes for
+// followed teams, series and matches, and opens the match on click.
+// Payload: { title, body, url, tag, type, matchId } (see backend/src/push.js)
+
+self.addEventListener('push', event => {
+  let data = {};
+  try { data = event.data ? event.data.json() : {}; } catch (e) { data = { body: event.data.text() }; }
+
+  event.waitUntil(self.registration.showNotification(data.title || 'CricLive', {
+    body:     data.body || '',
+    tag:      data.tag,
+    renotify: !!data.tag,
+    icon:     'data:image/svg+xml,' + encodeURIComponent(
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 28 28"><circle cx="14" cy="14" r="13" fill="#c1121f"/></svg>'),
+    data:     { url: data.url || 'index.html' },
+  }));
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || 'index.html', self.registration.scope).href;
+
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+    const open = windows.find(w => w.url === url);
+    return open ? open.focus() : self.clients.openWindow(url);
+  }));
+});